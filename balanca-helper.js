@@ -0,0 +1,156 @@
+/**
+ * Balança Helper - Etiquetas de peso/preço variável (EAN-13 iniciado em 2)
+ * Balanças de frios e açougue imprimem: prefixo + PLU + valor (peso ou preço) + verificador.
+ * O layout muda de loja para loja, então vem do .env:
+ *
+ *   BALANCA_PREFIXOS=2          (prefixos aceitos, ex: "2" ou "20,21,22"; sem ele não decodifica)
+ *   BALANCA_DIGITOS_PLU=4       (dígitos do PLU logo após o prefixo)
+ *   BALANCA_CAMPO=preco         (o valor embutido é "peso" ou "preco")
+ *   BALANCA_DIGITOS_VALOR=6     (dígitos do valor, antes do verificador)
+ *   BALANCA_DECIMAIS=2          (casas decimais do valor: 3 para kg, 2 para R$)
+ *
+ * A decodificação só liga com BALANCA_PREFIXOS definido: o prefixo 2 também é
+ * usado em EAN-13 de circulação restrita cadastrados como produto comum.
+ * Dígitos entre o PLU e o valor (se sobrarem) são ignorados. O PLU é resolvido
+ * na tabela produtos_plu; com o preço por kg cadastrado, uma etiqueta de preço
+ * também informa o peso.
+ */
+
+import { getDatabase } from './database-helper.js';
+
+/**
+ * Layout configurado para a loja
+ * @returns {{prefixos: string[], digitosPlu: number, campo: 'peso'|'preco', digitosValor: number, decimais: number}}
+ */
+export function configuracaoBalanca() {
+  const campo = (process.env.BALANCA_CAMPO || 'preco').toLowerCase() === 'peso' ? 'peso' : 'preco';
+  return {
+    prefixos: (process.env.BALANCA_PREFIXOS || '').split(',').map(p => p.trim()).filter(Boolean),
+    digitosPlu: Number(process.env.BALANCA_DIGITOS_PLU) || 4,
+    campo,
+    digitosValor: Number(process.env.BALANCA_DIGITOS_VALOR) || 6,
+    decimais: process.env.BALANCA_DECIMAIS !== undefined && process.env.BALANCA_DECIMAIS !== ''
+      ? Number(process.env.BALANCA_DECIMAIS)
+      : (campo === 'peso' ? 3 : 2)
+  };
+}
+
+/**
+ * PLU como gravado na tabela (sem zeros à esquerda)
+ * @param {string|number} plu
+ * @returns {string}
+ */
+export function normalizarPLU(plu) {
+  const digitos = String(plu ?? '').replace(/\D/g, '');
+  return digitos ? String(Number(digitos)) : '';
+}
+
+/**
+ * Decodifica uma etiqueta de balança
+ * @param {string} codigo - EAN-13 já validado
+ * @returns {{plu: string, campo: 'peso'|'preco', valor: number, peso: number|null, preco: number|null}|null}
+ *   null se o código não segue o layout configurado (ou não há layout configurado)
+ */
+export function decodificarBalanca(codigo) {
+  if (!/^\d{13}$/.test(codigo)) return null;
+
+  const config = configuracaoBalanca();
+  const prefixo = config.prefixos.find(p => codigo.startsWith(p));
+  if (!prefixo) return null;
+
+  const inicioValor = 12 - config.digitosValor;
+  const fimPlu = prefixo.length + config.digitosPlu;
+  if (fimPlu > inicioValor) return null;
+
+  const plu = normalizarPLU(codigo.slice(prefixo.length, fimPlu));
+  const valor = Number(codigo.slice(inicioValor, 12)) / 10 ** config.decimais;
+
+  return {
+    plu,
+    campo: config.campo,
+    valor,
+    peso: config.campo === 'peso' ? valor : null,
+    preco: config.campo === 'preco' ? valor : null
+  };
+}
+
+/**
+ * Busca um PLU na tabela da loja
+ * @param {string} plu
+ * @returns {Object|null}
+ */
+export function buscarPLU(plu) {
+  const database = getDatabase();
+  if (!database) return null;
+
+  return database.prepare(`
+    SELECT plu, produto, codigo_barras, preco_kg, unidade, data_atualizacao
+    FROM produtos_plu
+    WHERE plu = ?
+  `).get(normalizarPLU(plu)) || null;
+}
+
+/**
+ * Inclui ou atualiza PLUs da tabela
+ * @param {Array<{plu: string|number, produto: string, codigo_barras?: string, preco_kg?: number, unidade?: string}>} itens
+ * @returns {number} Quantidade gravada
+ */
+export function salvarPLUs(itens) {
+  const database = getDatabase();
+  if (!database) return 0;
+
+  const stmt = database.prepare(`
+    INSERT INTO produtos_plu (plu, produto, codigo_barras, preco_kg, unidade, data_atualizacao)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(plu) DO UPDATE SET
+      produto = excluded.produto,
+      codigo_barras = excluded.codigo_barras,
+      preco_kg = excluded.preco_kg,
+      unidade = excluded.unidade,
+      data_atualizacao = excluded.data_atualizacao
+  `);
+
+  const salvar = database.transaction((lista) => {
+    let total = 0;
+    for (const item of lista) {
+      const plu = normalizarPLU(item.plu);
+      if (!plu || !item.produto) continue;
+      const precoKg = Number(String(item.preco_kg ?? '').replace(',', '.'));
+      stmt.run(
+        plu,
+        String(item.produto).trim(),
+        item.codigo_barras ? String(item.codigo_barras).replace(/\D/g, '') : null,
+        precoKg > 0 ? precoKg : null,
+        item.unidade || 'kg'
+      );
+      total++;
+    }
+    return total;
+  });
+
+  return salvar(itens);
+}
+
+/**
+ * Peso da etiqueta: o embutido ou, em etiqueta de preço, preço ÷ preço por kg
+ * @param {ReturnType<typeof decodificarBalanca>} etiqueta
+ * @param {Object|null} registroPlu
+ * @returns {number|null} kg com 3 casas
+ */
+export function pesoDaEtiqueta(etiqueta, registroPlu) {
+  if (!etiqueta) return null;
+  if (etiqueta.peso !== null) return etiqueta.peso;
+  if (registroPlu && registroPlu.preco_kg > 0) {
+    return Math.round((etiqueta.preco / registroPlu.preco_kg) * 1000) / 1000;
+  }
+  return null;
+}
+
+export default {
+  configuracaoBalanca,
+  normalizarPLU,
+  decodificarBalanca,
+  buscarPLU,
+  salvarPLUs,
+  pesoDaEtiqueta,
+};
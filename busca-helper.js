@@ -0,0 +1,239 @@
+/**
+ * Busca Helper - Busca de produtos por nome no índice FTS5
+ * Procura em produto, marca, categoria, grupo e subgrupo sem diferenciar
+ * acentos ("acucar" encontra "AÇÚCAR") e por prefixo ("nesc" encontra
+ * "NESCAU"). Os resultados vêm ordenados por relevância (bm25).
+ * Quando a busca exata traz pouco, a busca aproximada corrige as palavras
+ * digitadas com erro ("nescao" → "nescau") usando o vocabulário do índice.
+ */
+
+import { getDatabase } from './database-helper.js';
+
+// Peso de cada coluna no bm25: o nome vale mais que marca, categoria e grupo
+const PESOS_LOCAL = '10.0, 5.0, 2.0, 1.0, 1.0';
+const PESOS_ONLINE = '10.0, 5.0, 2.0';
+
+// Busca aproximada: palavras curtas demais não são corrigidas
+const TAMANHO_MINIMO_CORRECAO = 3;
+
+/**
+ * Palavras do termo como o índice as guarda (minúsculas, sem acentos)
+ * @param {string} termo
+ * @returns {string[]}
+ */
+function palavrasDoTermo(termo) {
+  return String(termo ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Termo digitado → consulta FTS5 (todas as palavras, cada uma por prefixo)
+ * @param {string} termo
+ * @returns {string} Vazio se não sobrar nenhuma palavra
+ */
+export function consultaFTS(termo) {
+  return palavrasDoTermo(termo)
+    .map(palavra => `"${palavra}"*`)
+    .join(' ');
+}
+
+/**
+ * Busca produtos pelo nome na base local e no cache online
+ * @param {string} termo
+ * @param {{limite?: number}} [opcoes]
+ * @returns {Array<{codigo: string, nome: string, marca: string, categoria: string, origem: 'local'|'cache', relevancia: number}>|null}
+ *   null se o banco não existir
+ */
+export function buscarPorNome(termo, { limite = 100 } = {}) {
+  const database = getDatabase();
+  if (!database) return null;
+
+  const consulta = consultaFTS(termo);
+  if (!consulta) return [];
+
+  const locais = database.prepare(`
+    SELECT p.codigo_barras, p.produto AS nome, p.marca, p.categoria,
+           bm25(produtos_fts, ${PESOS_LOCAL}) AS relevancia
+    FROM produtos_fts
+    JOIN produtos p ON p.id = produtos_fts.rowid
+    WHERE produtos_fts MATCH ? AND p.excluido_em IS NULL
+    ORDER BY relevancia
+    LIMIT ?
+  `).all(consulta, limite);
+
+  // Produtos do cache online que não estão na base local
+  const online = database.prepare(`
+    SELECT o.codigo_barras, o.nome, o.marca, o.categoria,
+           bm25(produtos_online_fts, ${PESOS_ONLINE}) AS relevancia
+    FROM produtos_online_fts
+    JOIN produtos_online o ON o.id = produtos_online_fts.rowid
+    WHERE produtos_online_fts MATCH ?
+      AND NOT EXISTS (SELECT 1 FROM produtos p WHERE p.codigo_barras = o.codigo_barras AND p.excluido_em IS NULL)
+    ORDER BY relevancia
+    LIMIT ?
+  `).all(consulta, limite);
+
+  return [
+    ...locais.map(p => ({ ...p, origem: 'local' })),
+    ...online.map(p => ({ ...p, origem: 'cache' }))
+  ]
+    .sort((a, b) => a.relevancia - b.relevancia)
+    .slice(0, limite)
+    .map(p => ({
+      codigo: p.codigo_barras,
+      nome: p.nome || '',
+      marca: p.marca || '',
+      categoria: p.categoria || '',
+      origem: p.origem,
+      relevancia: Math.round(-p.relevancia * 1000) / 1000
+    }));
+}
+
+// -------------------------------------------
+// BUSCA APROXIMADA (erros de digitação)
+// -------------------------------------------
+
+/**
+ * Distância de edição com transposição ("nescua" → "nescau" = 1)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function distanciaEdicao(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const custo = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + custo);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Similaridade entre 0 e 1 (1 = iguais)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function similaridade(a, b) {
+  const maior = Math.max(a.length, b.length);
+  return maior === 0 ? 1 : 1 - distanciaEdicao(a, b) / maior;
+}
+
+// Erros aceitos conforme o tamanho da palavra
+function errosAceitos(palavra) {
+  if (palavra.length <= 4) return 1;
+  if (palavra.length <= 8) return 2;
+  return 3;
+}
+
+/**
+ * A palavra (ou uma palavra que começa com ela) está no índice?
+ * @param {Database} database
+ * @param {string} palavra
+ * @returns {boolean}
+ */
+function palavraConhecida(database, palavra) {
+  const fim = palavra + '\uffff';
+  return ['produtos_fts_vocab', 'produtos_online_fts_vocab'].some(vocab =>
+    database.prepare(`SELECT 1 FROM ${vocab} WHERE term >= ? AND term < ? LIMIT 1`).get(palavra, fim)
+  );
+}
+
+/**
+ * Palavra do índice mais parecida com a digitada (mesma letra inicial)
+ * @param {Database} database
+ * @param {string} palavra
+ * @returns {{palavra: string, similaridade: number}|null}
+ */
+function corrigirPalavra(database, palavra) {
+  const inicial = palavra[0];
+  const limite = errosAceitos(palavra);
+  let melhor = null;
+
+  for (const vocab of ['produtos_fts_vocab', 'produtos_online_fts_vocab']) {
+    const termos = database.prepare(`
+      SELECT term, doc FROM ${vocab} WHERE term >= ? AND term < ?
+    `).all(inicial, inicial + '\uffff');
+
+    for (const { term, doc } of termos) {
+      if (Math.abs(term.length - palavra.length) > limite) continue;
+      const distancia = distanciaEdicao(palavra, term);
+      if (distancia > limite) continue;
+
+      // Empate: fica a palavra que aparece em mais produtos
+      if (!melhor || distancia < melhor.distancia || (distancia === melhor.distancia && doc > melhor.doc)) {
+        melhor = { palavra: term, distancia, doc };
+      }
+    }
+  }
+
+  return melhor ? { palavra: melhor.palavra, similaridade: similaridade(palavra, melhor.palavra) } : null;
+}
+
+/**
+ * Similaridade do termo com o nome do produto: média, por palavra digitada,
+ * da palavra do produto mais parecida (prefixo conta como igual)
+ * @param {string[]} palavras - Palavras digitadas
+ * @param {string} texto - Nome + marca do produto
+ * @returns {number}
+ */
+function similaridadeComProduto(palavras, texto) {
+  const doProduto = palavrasDoTermo(texto);
+  if (palavras.length === 0 || doProduto.length === 0) return 0;
+
+  const soma = palavras.reduce((total, palavra) => total + Math.max(
+    ...doProduto.map(p => (p.startsWith(palavra) ? 1 : similaridade(palavra, p)))
+  ), 0);
+  return Math.round((soma / palavras.length) * 1000) / 1000;
+}
+
+/**
+ * Busca tolerante a erros de digitação: corrige as palavras que não existem
+ * no índice e repete a busca com o termo corrigido
+ * @param {string} termo
+ * @param {{limite?: number}} [opcoes]
+ * @returns {{sugestao: string|null, produtos: Array<Object>}|null}
+ *   sugestao = termo corrigido ("você quis dizer"); null se o banco não existir
+ */
+export function buscarAproximado(termo, { limite = 100 } = {}) {
+  const database = getDatabase();
+  if (!database) return null;
+
+  const palavras = palavrasDoTermo(termo);
+  let corrigiu = false;
+  const corrigidas = palavras.map(palavra => {
+    if (palavra.length < TAMANHO_MINIMO_CORRECAO || palavraConhecida(database, palavra)) return palavra;
+    const correcao = corrigirPalavra(database, palavra);
+    if (!correcao) return palavra;
+    corrigiu = true;
+    return correcao.palavra;
+  });
+
+  if (!corrigiu) return { sugestao: null, produtos: [] };
+
+  const sugestao = corrigidas.join(' ');
+  const produtos = (buscarPorNome(sugestao, { limite }) || [])
+    .map(p => ({ ...p, aproximado: true, similaridade: similaridadeComProduto(palavras, `${p.nome} ${p.marca}`) }))
+    .sort((a, b) => b.similaridade - a.similaridade);
+
+  return { sugestao, produtos };
+}
+
+export default {
+  consultaFTS,
+  buscarPorNome,
+  distanciaEdicao,
+  similaridade,
+  buscarAproximado,
+};
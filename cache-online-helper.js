@@ -0,0 +1,242 @@
+/**
+ * Cache Online Helper - produtos encontrados nas fontes online (tabela produtos_online)
+ * Compartilhado entre o servidor e o script de revalidação em massa.
+ *
+ * Revalidação (stale-while-revalidate): registros mais velhos que
+ * CACHE_ONLINE_MAX_DIAS continuam sendo servidos na hora, e uma nova consulta
+ * às fontes online atualiza o registro em segundo plano. Se o nome ou a marca
+ * mudarem, a versão anterior fica guardada em produtos_online_revisoes.
+ */
+
+import { getDatabase } from './database-helper.js';
+import { tipoDoCodigo } from './gtin-helper.js';
+import { executarCadeia } from './provedores/index.js';
+import { criarCoalescedor } from './coalescencia-helper.js';
+
+const MAX_DIAS_PADRAO = 30;
+
+function maxDias() {
+  return Number(process.env.CACHE_ONLINE_MAX_DIAS) || MAX_DIAS_PADRAO;
+}
+
+/**
+ * Busca um produto no cache online
+ * @param {string} codigo
+ * @returns {Object|null} Registro no formato do /consulta, com proveniencia e
+ *   vencido (mais velho que CACHE_ONLINE_MAX_DIAS)
+ */
+export function buscarCacheOnline(codigo) {
+  const database = getDatabase();
+  if (!database) return null;
+
+  try {
+    const stmt = database.prepare(`
+      SELECT codigo_barras, nome, marca, categoria, quantidade, imagem, ncm, cest,
+             peso_liquido, peso_bruto, proveniencia, fonte, data_coleta,
+             COALESCE(revalidado_em, data_coleta) < datetime('now', ?) AS vencido
+      FROM produtos_online
+      WHERE codigo_barras = ?
+    `);
+    const produto = stmt.get(`-${maxDias()} days`, codigo);
+
+    if (produto) {
+      return {
+        "cod de barra": produto.codigo_barras,
+        "produto": produto.nome,
+        "nome": produto.nome,
+        "marca": produto.marca || "",
+        "categoria": produto.categoria || "",
+        "quantidade": produto.quantidade || "",
+        "imagem": produto.imagem || "",
+        "ncm": produto.ncm || "",
+        "cest": produto.cest || "",
+        "peso líquido": produto.peso_liquido || "",
+        "peso bruto": produto.peso_bruto || "",
+        "fonte": produto.fonte,
+        "proveniencia": produto.proveniencia ? JSON.parse(produto.proveniencia) : null,
+        "vencido": produto.vencido === 1
+      };
+    }
+
+    return null;
+  } catch (err) {
+    console.error("Erro ao buscar cache online:", err);
+    return null;
+  }
+}
+
+/**
+ * Compara nome/marca ignorando espaços e maiúsculas
+ */
+function mudou(anterior, novo) {
+  const limpar = (v) => (v || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return limpar(anterior) !== limpar(novo);
+}
+
+/**
+ * Salva (ou atualiza) um produto no cache online
+ * Se já havia registro com outro nome ou marca, ele vira uma revisão.
+ * @param {string} codigo
+ * @param {Object} dados - nome, marca, categoria, quantidade, imagem, ncm, cest,
+ *   peso_liquido, peso_bruto, fonte, proveniencia
+ * @returns {{revisao: boolean}|undefined}
+ */
+export function salvarProdutoOnlineSQLite(codigo, dados) {
+  const database = getDatabase();
+  if (!database) return;
+
+  const { nome, marca, categoria, quantidade, imagem, ncm, cest, peso_liquido, peso_bruto, fonte, proveniencia } = dados;
+
+  try {
+    const salvar = database.transaction(() => {
+      const anterior = database.prepare(`
+        SELECT * FROM produtos_online WHERE codigo_barras = ?
+      `).get(codigo);
+
+      const revisao = Boolean(anterior) && (mudou(anterior.nome, nome) || mudou(anterior.marca, marca));
+      if (revisao) {
+        database.prepare(`
+          INSERT INTO produtos_online_revisoes
+          (codigo_barras, nome, marca, categoria, quantidade, imagem, proveniencia, fonte, data_coleta)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          anterior.codigo_barras,
+          anterior.nome,
+          anterior.marca,
+          anterior.categoria,
+          anterior.quantidade,
+          anterior.imagem,
+          anterior.proveniencia,
+          anterior.fonte,
+          anterior.data_coleta
+        );
+      }
+
+      database.prepare(`
+        INSERT OR REPLACE INTO produtos_online
+        (codigo_barras, nome, marca, categoria, quantidade, imagem, ncm, cest, peso_liquido, peso_bruto,
+         proveniencia, fonte, tipo_gtin, data_coleta, revalidado_em)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `).run(
+        codigo,
+        nome,
+        marca || '',
+        categoria || '',
+        quantidade || '',
+        imagem || '',
+        ncm || '',
+        cest || '',
+        peso_liquido || '',
+        peso_bruto || '',
+        proveniencia ? JSON.stringify(proveniencia) : null,
+        fonte,
+        tipoDoCodigo(codigo)
+      );
+
+      return { revisao };
+    });
+
+    const { revisao } = salvar();
+    if (revisao) {
+      console.log(`📚 Nome/marca de ${codigo} mudou na fonte: versão anterior guardada como revisão`);
+    }
+    console.log(`✅ Produto salvo no SQLite: ${codigo} - ${nome} (fonte: ${fonte})`);
+    return { revisao };
+  } catch (err) {
+    console.error("Erro ao salvar no SQLite:", err);
+  }
+}
+
+/**
+ * Marca o registro como conferido sem mudança de dados (as fontes responderam
+ * sem o produto), para não revalidar de novo a cada consulta
+ * @param {string} codigo
+ */
+function marcarRevalidado(codigo) {
+  const database = getDatabase();
+  if (!database) return;
+  database.prepare(`
+    UPDATE produtos_online SET revalidado_em = datetime('now') WHERE codigo_barras = ?
+  `).run(codigo);
+}
+
+/**
+ * Consulta de novo as fontes online e atualiza o registro do cache
+ * @param {string} codigo
+ * @returns {Promise<'atualizado'|'revisado'|'sem_resposta'|'fontes_indisponiveis'>}
+ */
+export async function revalidarCacheOnline(codigo) {
+  const online = await executarCadeia(codigo, { tipo: 'online' });
+
+  if (!online.resultado) {
+    // Alguma fonte falhou ou foi pulada (circuito, limite, cota): continua vencido
+    // para a próxima consulta ou execução em massa tentar de novo
+    if (!online.definitivo) return 'fontes_indisponiveis';
+
+    // Todas responderam sem o produto (removido da fonte): mantém o que temos
+    marcarRevalidado(codigo);
+    return 'sem_resposta';
+  }
+
+  const { resultado, proveniencia } = online;
+  const salvo = salvarProdutoOnlineSQLite(codigo, { ...resultado, fonte: resultado.origem, proveniencia });
+  return salvo && salvo.revisao ? 'revisado' : 'atualizado';
+}
+
+// Uma revalidação por código por vez, mesmo com várias consultas ao registro vencido
+const revalidacoesEmAndamento = criarCoalescedor("revalidação");
+
+/**
+ * Dispara a revalidação sem esperar (a consulta atual já foi respondida com o cache)
+ * @param {string} codigo
+ */
+export function revalidarEmSegundoPlano(codigo) {
+  console.log(`♻️ Cache online de ${codigo} vencido (> ${maxDias()} dias), revalidando em segundo plano`);
+  revalidacoesEmAndamento(codigo, () => revalidarCacheOnline(codigo))
+    .then(situacao => console.log(`♻️ Revalidação de ${codigo}: ${situacao}`))
+    .catch(err => console.error(`❌ Erro ao revalidar ${codigo}:`, err.message));
+}
+
+/**
+ * Registros mais antigos do cache (mais velhos primeiro)
+ * @param {number} limite
+ * @param {{somenteVencidos?: boolean}} [opcoes]
+ * @returns {Array<{codigo_barras: string, nome: string, data_coleta: string}>}
+ */
+export function listarCacheMaisAntigo(limite, { somenteVencidos = false } = {}) {
+  const database = getDatabase();
+  if (!database) return [];
+
+  return database.prepare(`
+    SELECT codigo_barras, nome, data_coleta
+    FROM produtos_online
+    ${somenteVencidos ? "WHERE COALESCE(revalidado_em, data_coleta) < datetime('now', ?)" : ''}
+    ORDER BY COALESCE(revalidado_em, data_coleta) ASC
+    LIMIT ?
+  `).all(...(somenteVencidos ? [`-${maxDias()} days`, limite] : [limite]));
+}
+
+/**
+ * Revisões anteriores de um produto (mais recentes primeiro)
+ * @param {string} codigo
+ */
+export function listarRevisoes(codigo) {
+  const database = getDatabase();
+  if (!database) return [];
+
+  return database.prepare(`
+    SELECT id, codigo_barras, nome, marca, categoria, quantidade, imagem, fonte, data_coleta, substituido_em
+    FROM produtos_online_revisoes
+    WHERE codigo_barras = ?
+    ORDER BY id DESC
+  `).all(codigo);
+}
+
+export default {
+  buscarCacheOnline,
+  salvarProdutoOnlineSQLite,
+  revalidarCacheOnline,
+  revalidarEmSegundoPlano,
+  listarCacheMaisAntigo,
+  listarRevisoes,
+};
@@ -0,0 +1,147 @@
+/**
+ * Catálogo Helper - Navegação da base local por grupo, subgrupo, marca e categoria
+ * Filtros, paginação e ordenação sobre a tabela produtos, com a contagem de
+ * cada valor (facetas) para montar os filtros da tela. A contagem de uma
+ * dimensão ignora o filtro dela mesma, para a tela mostrar as alternativas.
+ */
+
+import { getDatabase } from './database-helper.js';
+import { consultaFTS } from './busca-helper.js';
+
+// Dimensões com filtro e contagem
+export const FACETAS = ['grupo', 'subgrupo', 'marca', 'categoria', 'ncm'];
+
+// Ordenações aceitas (nome na API → coluna)
+const ORDENACOES = {
+  produto: 'produto',
+  codigo: 'codigo_barras',
+  grupo: 'grupo',
+  subgrupo: 'subgrupo',
+  marca: 'marca',
+  categoria: 'categoria',
+  cadastro: 'data_cadastro'
+};
+
+const POR_PAGINA_MAXIMO = 200;
+const FACETA_LIMITE = 50;
+
+/**
+ * Monta o WHERE a partir dos filtros
+ * @param {Object<string, string>} filtros - Valor exato por dimensão
+ * @param {string} [termo] - Texto livre (índice de busca por nome)
+ * @param {string} [ignorar] - Dimensão deixada de fora (contagem da própria faceta)
+ * @returns {{where: string, parametros: any[]}}
+ */
+function montarFiltro(filtros, termo, ignorar) {
+  const condicoes = ['excluido_em IS NULL'];
+  const parametros = [];
+
+  for (const dimensao of FACETAS) {
+    if (dimensao === ignorar || filtros[dimensao] === undefined) continue;
+    condicoes.push(`COALESCE(${dimensao}, '') = ?`);
+    parametros.push(filtros[dimensao]);
+  }
+
+  const consulta = consultaFTS(termo);
+  if (consulta) {
+    condicoes.push('id IN (SELECT rowid FROM produtos_fts WHERE produtos_fts MATCH ?)');
+    parametros.push(consulta);
+  }
+
+  return { where: `WHERE ${condicoes.join(' AND ')}`, parametros };
+}
+
+/**
+ * Consulta uma página do catálogo com as facetas
+ * @param {{filtros?: Object<string, string>, termo?: string, pagina?: number, porPagina?: number, ordem?: string, direcao?: 'asc'|'desc'}} opcoes
+ * @returns {{
+ *   total: number, pagina: number, porPagina: number, paginas: number, ordem: string, direcao: string,
+ *   itens: Object[], facetas: Object<string, Array<{valor: string, total: number}>>
+ * }|null} null se o banco não existir
+ */
+export function consultarCatalogo({ filtros = {}, termo = '', pagina = 1, porPagina = 50, ordem = 'produto', direcao = 'asc' } = {}) {
+  const database = getDatabase();
+  if (!database) return null;
+
+  const coluna = ORDENACOES[ordem] || ORDENACOES.produto;
+  const sentido = String(direcao).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+  const limite = Math.min(Math.max(parseInt(porPagina, 10) || 50, 1), POR_PAGINA_MAXIMO);
+  const atual = Math.max(parseInt(pagina, 10) || 1, 1);
+
+  const { where, parametros } = montarFiltro(filtros, termo);
+  const { total } = database.prepare(`SELECT COUNT(*) AS total FROM produtos ${where}`).get(...parametros);
+
+  const itens = database.prepare(`
+    SELECT codigo_barras, produto, grupo, subgrupo, marca, categoria, ncm, quantidade, preco_medio
+    FROM produtos
+    ${where}
+    ORDER BY ${coluna} IS NULL OR ${coluna} = '', ${coluna} ${sentido}, codigo_barras
+    LIMIT ? OFFSET ?
+  `).all(...parametros, limite, (atual - 1) * limite).map(p => ({
+    codigo: p.codigo_barras,
+    nome: p.produto || '',
+    grupo: p.grupo || '',
+    subgrupo: p.subgrupo || '',
+    marca: p.marca || '',
+    categoria: p.categoria || '',
+    ncm: p.ncm || '',
+    quantidade: p.quantidade || '',
+    preco_medio: p.preco_medio || ''
+  }));
+
+  const facetas = {};
+  for (const dimensao of FACETAS) {
+    const filtro = montarFiltro(filtros, termo, dimensao);
+    facetas[dimensao] = database.prepare(`
+      SELECT COALESCE(${dimensao}, '') AS valor, COUNT(*) AS total
+      FROM produtos
+      ${filtro.where}
+      GROUP BY COALESCE(${dimensao}, '')
+      ORDER BY total DESC, valor
+      LIMIT ${FACETA_LIMITE}
+    `).all(...filtro.parametros);
+  }
+
+  return {
+    total,
+    pagina: atual,
+    porPagina: limite,
+    paginas: Math.ceil(total / limite),
+    ordem: Object.keys(ORDENACOES).find(k => ORDENACOES[k] === coluna),
+    direcao: sentido.toLowerCase(),
+    itens,
+    facetas
+  };
+}
+
+/**
+ * Árvore grupo → subgrupo com a quantidade de produtos
+ * @returns {Array<{grupo: string, total: number, subgrupos: Array<{subgrupo: string, total: number}>}>|null}
+ */
+export function arvoreCatalogo() {
+  const database = getDatabase();
+  if (!database) return null;
+
+  const linhas = database.prepare(`
+    SELECT COALESCE(grupo, '') AS grupo, COALESCE(subgrupo, '') AS subgrupo, COUNT(*) AS total
+    FROM produtos
+    WHERE excluido_em IS NULL
+    GROUP BY COALESCE(grupo, ''), COALESCE(subgrupo, '')
+    ORDER BY grupo = '', grupo, subgrupo = '', subgrupo
+  `).all();
+
+  const grupos = new Map();
+  for (const { grupo, subgrupo, total } of linhas) {
+    if (!grupos.has(grupo)) grupos.set(grupo, { grupo, total: 0, subgrupos: [] });
+    const no = grupos.get(grupo);
+    no.total += total;
+    no.subgrupos.push({ subgrupo, total });
+  }
+  return [...grupos.values()];
+}
+
+export default {
+  FACETAS,
+  consultarCatalogo,
+  arvoreCatalogo,
+};
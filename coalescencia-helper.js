@@ -0,0 +1,35 @@
+/**
+ * Coalescência Helper - "single flight" em memória
+ * Requisições simultâneas para a mesma chave compartilham uma única execução:
+ * quando vários coletores leem o mesmo produto novo ao mesmo tempo, só uma
+ * busca externa (e um único salvamento) acontece.
+ */
+
+/**
+ * Cria um grupo de coalescência
+ * @param {string} nome - Usado nos logs (ex: "consulta", "foto")
+ * @returns {(chave: string, fn: () => Promise<any>) => Promise<any>}
+ */
+export function criarCoalescedor(nome) {
+  const emAndamento = new Map();
+
+  return function coalescer(chave, fn) {
+    if (emAndamento.has(chave)) {
+      console.log(`🔗 ${nome}: aguardando busca já em andamento para ${chave}`);
+      return emAndamento.get(chave);
+    }
+
+    const promessa = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        emAndamento.delete(chave);
+      });
+
+    emAndamento.set(chave, promessa);
+    return promessa;
+  };
+}
+
+export default {
+  criarCoalescedor,
+};
@@ -0,0 +1,159 @@
+/**
+ * Códigos Alternativos Helper - Vários códigos para o mesmo produto
+ * Um produto tem o código principal (produtos.codigo_barras) e pode ter
+ * apelidos tipados: GTIN antigo, código interno do ERP, referência do
+ * fornecedor e PLU. Qualquer apelido leva ao produto principal.
+ */
+
+import { getDatabase } from './database-helper.js';
+import { analisarCodigo } from './gtin-helper.js';
+
+export const TIPOS_CODIGO = ['gtin', 'interno', 'fornecedor', 'plu'];
+
+// Ordem de preferência quando o mesmo valor aparece em mais de um tipo
+const ORDEM_TIPOS = "CASE tipo WHEN 'gtin' THEN 0 WHEN 'interno' THEN 1 WHEN 'plu' THEN 2 ELSE 3 END";
+
+/**
+ * Forma gravada do apelido: GTIN canônico (só dígitos) ou texto em maiúsculas
+ * @param {string} codigo
+ * @param {string} tipo
+ * @returns {string}
+ */
+export function normalizarApelido(codigo, tipo) {
+  const texto = String(codigo ?? '').trim();
+  if (tipo === 'gtin') return analisarCodigo(texto).codigo;
+  if (tipo === 'plu') return texto.replace(/\D/g, '').replace(/^0+(?=\d)/, '');
+  return texto.toUpperCase();
+}
+
+/**
+ * Encontra o produto principal de um código alternativo
+ * @param {string} valor - Código lido/digitado
+ * @returns {{codigo: string, tipo: string, codigo_barras: string, fornecedor: string|null}|null}
+ */
+export function resolverCodigoAlternativo(valor) {
+  const database = getDatabase();
+  if (!database || !valor) return null;
+
+  // Cada tipo com a sua forma normalizada (GTIN só se for um GTIN válido, PLU só se for numérico)
+  const texto = String(valor).trim();
+  const candidatos = [
+    ['interno', normalizarApelido(texto, 'interno')],
+    ['fornecedor', normalizarApelido(texto, 'fornecedor')]
+  ];
+  if (analisarCodigo(texto).valido) candidatos.push(['gtin', normalizarApelido(texto, 'gtin')]);
+  if (/^\d+$/.test(texto)) candidatos.push(['plu', normalizarApelido(texto, 'plu')]);
+
+  try {
+    return database.prepare(`
+      SELECT codigo, tipo, codigo_barras, fornecedor
+      FROM codigos_alternativos
+      WHERE ${candidatos.map(() => '(tipo = ? AND codigo = ?)').join(' OR ')}
+      ORDER BY ${ORDEM_TIPOS}
+      LIMIT 1
+    `).get(...candidatos.flat()) || null;
+  } catch (err) {
+    console.error("Erro ao buscar código alternativo:", err);
+    return null;
+  }
+}
+
+/**
+ * Lista os códigos alternativos de um produto
+ * @param {string} codigoBarras - Código principal
+ */
+export function listarCodigosAlternativos(codigoBarras) {
+  const database = getDatabase();
+  if (!database) return [];
+
+  return database.prepare(`
+    SELECT codigo, tipo, fornecedor, observacao, data_cadastro
+    FROM codigos_alternativos
+    WHERE codigo_barras = ?
+    ORDER BY ${ORDEM_TIPOS}, codigo
+  `).all(codigoBarras);
+}
+
+/**
+ * Inclui ou atualiza códigos alternativos
+ * @param {Array<{codigo_barras: string, codigo: string, tipo: string, fornecedor?: string, observacao?: string}>} itens
+ * @returns {{gravados: number, erros: Array<{codigo: string, erro: string}>}}
+ */
+export function salvarCodigosAlternativos(itens) {
+  const database = getDatabase();
+  if (!database) return { gravados: 0, erros: [] };
+
+  const produtoExiste = database.prepare(`
+    SELECT 1 FROM produtos WHERE codigo_barras = ? AND excluido_em IS NULL
+    UNION ALL
+    SELECT 1 FROM produtos_online WHERE codigo_barras = ?
+  `);
+  const stmt = database.prepare(`
+    INSERT INTO codigos_alternativos (codigo, tipo, codigo_barras, fornecedor, observacao, data_cadastro)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(tipo, codigo) DO UPDATE SET
+      codigo_barras = excluded.codigo_barras,
+      fornecedor = excluded.fornecedor,
+      observacao = excluded.observacao
+  `);
+
+  const erros = [];
+  const salvar = database.transaction((lista) => {
+    let gravados = 0;
+    for (const item of lista) {
+      const tipo = String(item.tipo || '').toLowerCase();
+      const principal = analisarCodigo(item.codigo_barras).codigo;
+      const codigo = normalizarApelido(item.codigo, tipo);
+
+      if (!TIPOS_CODIGO.includes(tipo)) {
+        erros.push({ codigo: item.codigo, erro: `tipo deve ser um de: ${TIPOS_CODIGO.join(', ')}` });
+        continue;
+      }
+      if (!codigo) {
+        erros.push({ codigo: item.codigo, erro: 'código alternativo vazio' });
+        continue;
+      }
+      if (tipo === 'gtin' && !analisarCodigo(codigo).valido) {
+        erros.push({ codigo: item.codigo, erro: 'GTIN inválido (tamanho ou dígito verificador)' });
+        continue;
+      }
+      if (codigo === principal) {
+        erros.push({ codigo: item.codigo, erro: 'é o próprio código principal' });
+        continue;
+      }
+      if (!principal || !produtoExiste.get(principal, principal)) {
+        erros.push({ codigo: item.codigo, erro: `produto ${item.codigo_barras} não encontrado` });
+        continue;
+      }
+
+      stmt.run(codigo, tipo, principal, item.fornecedor || null, item.observacao || null);
+      gravados++;
+    }
+    return gravados;
+  });
+
+  return { gravados: salvar(itens), erros };
+}
+
+/**
+ * Remove um código alternativo
+ * @param {string} tipo
+ * @param {string} codigo
+ * @returns {number} Linhas removidas
+ */
+export function removerCodigoAlternativo(tipo, codigo) {
+  const database = getDatabase();
+  if (!database) return 0;
+  return database.prepare(`
+    DELETE FROM codigos_alternativos WHERE tipo = ? AND codigo = ?
+  `).run(tipo, normalizarApelido(codigo, tipo)).changes;
+}
+
+export default {
+  TIPOS_CODIGO,
+  normalizarApelido,
+  resolverCodigoAlternativo,
+  listarCodigosAlternativos,
+  salvarCodigosAlternativos,
+  removerCodigoAlternativo,
+};
@@ -0,0 +1,190 @@
+/**
+ * CSV Helper - Leitura de CSV conforme a RFC 4180
+ * Campos entre aspas podem conter o delimitador, quebras de linha e aspas
+ * duplicadas (""). Aceita CRLF ou LF, BOM no início e detecta o delimitador
+ * (";", "," ou tabulação) pela primeira linha quando não for informado.
+ * Arquivos grandes podem ser lidos em stream (registrosCSV), registro a
+ * registro, sabendo em que byte cada um termina (para retomar a leitura).
+ * formatarLinhaCSV faz o caminho inverso, para as exportações.
+ */
+
+import fs from 'fs';
+import { StringDecoder } from 'string_decoder';
+
+const DELIMITADORES = [';', ',', '\t'];
+
+/**
+ * Delimitador mais frequente na primeira linha (fora de aspas)
+ * @param {string} texto
+ * @returns {string}
+ */
+export function detectarDelimitador(texto) {
+  const contagem = Object.fromEntries(DELIMITADORES.map(d => [d, 0]));
+  let entreAspas = false;
+
+  for (const c of texto) {
+    if (c === '"') entreAspas = !entreAspas;
+    else if (!entreAspas && (c === '\n' || c === '\r')) break;
+    else if (!entreAspas && c in contagem) contagem[c]++;
+  }
+
+  return DELIMITADORES.reduce((melhor, d) => (contagem[d] > contagem[melhor] ? d : melhor), DELIMITADORES[0]);
+}
+
+// Bytes do caractere em UTF-8 (cada metade de um par substituto conta 2)
+function bytesUTF8(codigo) {
+  if (codigo < 0x80) return 1;
+  if (codigo < 0x800 || (codigo >= 0xd800 && codigo <= 0xdfff)) return 2;
+  return 3;
+}
+
+/**
+ * Máquina de estados do CSV, alimentada em pedaços
+ * Cada registro completo é entregue com a posição (em bytes) logo após ele.
+ * @param {string} separador
+ * @param {number} [posicaoInicial] - Byte do arquivo onde o primeiro pedaço começa
+ * @returns {{consumir: (texto: string, emitir: Function) => void, terminar: (emitir: Function) => void}}
+ */
+function criarAnalisador(separador, posicaoInicial = 0) {
+  let linha = [];
+  let campo = '';
+  let entreAspas = false;
+  let aspaPendente = false;
+  let crPendente = false;
+  let posicao = posicaoInicial;
+
+  const fecharLinha = (emitir) => {
+    linha.push(campo);
+    if (linha.length > 1 || linha[0] !== '') emitir(linha, posicao);
+    linha = [];
+    campo = '';
+  };
+
+  const consumir = (texto, emitir) => {
+    for (let i = 0; i < texto.length; i++) {
+      const c = texto[i];
+      posicao += bytesUTF8(texto.charCodeAt(i));
+
+      // "\r" do pedaço anterior: "\r\n" é uma quebra só
+      if (crPendente) {
+        crPendente = false;
+        if (c === '\n') continue;
+      }
+
+      if (aspaPendente) {
+        // Aspa dentro de campo entre aspas: "" é aspa literal; senão fecha o campo
+        aspaPendente = false;
+        if (c === '"') {
+          campo += '"';
+          continue;
+        }
+        entreAspas = false;
+      }
+
+      if (entreAspas) {
+        if (c === '"') aspaPendente = true;
+        else campo += c;
+        continue;
+      }
+
+      if (c === '"' && campo === '') {
+        entreAspas = true;
+      } else if (c === separador) {
+        linha.push(campo);
+        campo = '';
+      } else if (c === '\n' || c === '\r') {
+        crPendente = c === '\r';
+        fecharLinha(emitir);
+      } else {
+        campo += c;
+      }
+    }
+  };
+
+  const terminar = (emitir) => {
+    if (campo !== '' || linha.length > 0) fecharLinha(emitir);
+  };
+
+  return { consumir, terminar };
+}
+
+/**
+ * Separa o CSV em linhas e campos
+ * @param {string} texto
+ * @param {{delimitador?: string}} [opcoes]
+ * @returns {{delimitador: string, linhas: string[][]}} Linhas em branco são descartadas
+ */
+export function analisarCSV(texto, { delimitador } = {}) {
+  const conteudo = String(texto ?? '').replace(/^\uFEFF/, '');
+  const separador = delimitador || detectarDelimitador(conteudo);
+
+  const linhas = [];
+  const analisador = criarAnalisador(separador);
+  const emitir = (registro) => linhas.push(registro);
+  analisador.consumir(conteudo, emitir);
+  analisador.terminar(emitir);
+
+  return { delimitador: separador, linhas };
+}
+
+/**
+ * Lê um arquivo CSV em stream, um registro por vez (memória constante)
+ * Para retomar, passe o delimitador e o byte onde a leitura anterior parou
+ * (o "fim" de um registro já processado).
+ * @param {string} caminho
+ * @param {{delimitador?: string, inicio?: number}} [opcoes]
+ * @returns {AsyncGenerator<{campos: string[], fim: number, delimitador: string}>}
+ *   fim = posição em bytes logo após o registro
+ */
+export async function* registrosCSV(caminho, { delimitador, inicio = 0 } = {}) {
+  const decoder = new StringDecoder('utf8');
+  let analisador = null;
+  let separador = delimitador;
+  let primeiro = inicio === 0;
+  const prontos = [];
+  const emitir = (campos, fim) => prontos.push({ campos, fim });
+
+  for await (const pedaco of fs.createReadStream(caminho, { start: inicio })) {
+    let texto = decoder.write(pedaco);
+
+    if (!analisador) {
+      let posicao = inicio;
+      if (primeiro && texto.startsWith('\uFEFF')) {
+        texto = texto.slice(1);
+        posicao += 3;
+      }
+      primeiro = false;
+      separador = separador || detectarDelimitador(texto);
+      analisador = criarAnalisador(separador, posicao);
+    }
+
+    analisador.consumir(texto, emitir);
+    while (prontos.length > 0) yield { ...prontos.shift(), delimitador: separador };
+  }
+
+  if (analisador) {
+    analisador.consumir(decoder.end(), emitir);
+    analisador.terminar(emitir);
+    while (prontos.length > 0) yield { ...prontos.shift(), delimitador: separador };
+  }
+}
+
+/**
+ * Monta uma linha de CSV, com aspas só nos campos que precisam
+ * @param {Array<any>} campos
+ * @param {string} [delimitador]
+ * @returns {string} Linha terminada em CRLF
+ */
+export function formatarLinhaCSV(campos, delimitador = ';') {
+  return campos.map(valor => {
+    const texto = valor === null || valor === undefined ? '' : String(valor);
+    return /["\r\n]/.test(texto) || texto.includes(delimitador) ? `"${texto.replace(/"/g, '""')}"` : texto;
+  }).join(delimitador) + '\r\n';
+}
+
+export default {
+  detectarDelimitador,
+  analisarCSV,
+  registrosCSV,
+  formatarLinhaCSV,
+};
@@ -0,0 +1,84 @@
+/**
+ * Database Helper - Conexão e estrutura do banco SQLite
+ * Compartilhado entre o servidor e os scripts de migração
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { aplicarMigracoes } from './migracoes-helper.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DB_PATH = path.join(__dirname, 'data', 'produtos.db');
+
+let db = null;
+
+/**
+ * Adiciona uma coluna se ela ainda não existir (bancos criados por versões antigas)
+ * @param {Database} database - Conexão aberta
+ * @param {string} tabela - Nome da tabela
+ * @param {string} coluna - Nome da coluna
+ * @param {string} definicao - Tipo e default (ex: "TEXT DEFAULT ''")
+ */
+export function adicionarColuna(database, tabela, coluna, definicao) {
+  const colunas = database.prepare(`PRAGMA table_info(${tabela})`).all();
+  if (!colunas.some(c => c.name === coluna)) {
+    database.exec(`ALTER TABLE ${tabela} ADD COLUMN ${coluna} ${definicao}`);
+  }
+}
+
+/**
+ * Deixa o banco na versão atual do esquema (aplica as migrações pendentes de migracoes/)
+ * Como os salvamentos usam INSERT OR REPLACE, os triggers de DELETE do índice
+ * de busca só disparam com recursive_triggers (configuração da conexão).
+ * @param {Database} database - Conexão aberta
+ * @returns {Array<{versao: number, descricao: string}>} Migrações aplicadas agora
+ */
+export function garantirEsquema(database) {
+  database.pragma('recursive_triggers = ON');
+  return aplicarMigracoes(database);
+}
+
+/**
+ * Reconstrói os índices de texto a partir das tabelas (após cargas grandes)
+ * @param {Database} database - Conexão aberta
+ */
+export function reconstruirIndiceBusca(database) {
+  console.log("🔤 Construindo índice de busca por nome...");
+  database.exec(`
+    INSERT INTO produtos_fts (produtos_fts) VALUES ('rebuild');
+    INSERT INTO produtos_online_fts (produtos_online_fts) VALUES ('rebuild');
+    INSERT INTO produtos_fts (produtos_fts) VALUES ('optimize');
+    INSERT INTO produtos_online_fts (produtos_online_fts) VALUES ('optimize');
+  `);
+}
+
+/**
+ * Abre (uma única vez) o banco do servidor
+ * @returns {Database|null} Conexão ou null se o banco ainda não foi criado
+ */
+export function getDatabase() {
+  if (!db) {
+    if (!fs.existsSync(DB_PATH)) {
+      console.log("⚠️ Banco SQLite não encontrado. Execute: node migrate-to-sqlite.js");
+      return null;
+    }
+    db = new Database(DB_PATH, { readonly: false });
+    db.pragma('journal_mode = WAL');
+    db.pragma('cache_size = 5000');
+    garantirEsquema(db);
+    console.log("✅ Banco SQLite conectado");
+  }
+  return db;
+}
+
+export default {
+  DB_PATH,
+  adicionarColuna,
+  garantirEsquema,
+  reconstruirIndiceBusca,
+  getDatabase,
+};
@@ -0,0 +1,161 @@
+/**
+ * Embalagens Helper - Hierarquia de embalagens (unidade → fardo → caixa → palete)
+ * Cada linha da tabela embalagens liga o código de uma embalagem (DUN-14/ITF-14,
+ * EAN do fardo...) ao código que ela contém e à quantidade. Os níveis se
+ * encadeiam: a caixa contém fardos, o fardo contém unidades.
+ */
+
+import { getDatabase } from './database-helper.js';
+import { analisarCodigo } from './gtin-helper.js';
+
+// Proteção contra cadastros circulares ou cadeias absurdas
+const MAX_NIVEIS = 10;
+
+/**
+ * Código como gravado na tabela (mesma forma canônica do /consulta)
+ * @param {string} valor
+ * @returns {string}
+ */
+function codigoCanonico(valor) {
+  return analisarCodigo(valor).codigo;
+}
+
+function buscarNivel(database, codigo) {
+  return database.prepare(`
+    SELECT codigo_barras, codigo_contido, quantidade, descricao
+    FROM embalagens
+    WHERE codigo_barras = ?
+  `).get(codigo);
+}
+
+/**
+ * Desce a hierarquia até a unidade
+ * @param {string} codigo - Código da embalagem
+ * @returns {{
+ *   codigo: string, codigoUnidade: string, multiplicador: number, descricao: string,
+ *   niveis: Array<{codigo: string, contem: string, quantidade: number, descricao: string|null}>
+ * }|null} null se o código não é uma embalagem cadastrada
+ */
+export function resolverEmbalagem(codigo) {
+  const database = getDatabase();
+  if (!database || !codigo) return null;
+
+  const niveis = [];
+  const visitados = new Set([codigo]);
+  let atual = codigo;
+  let multiplicador = 1;
+
+  for (let nivel = buscarNivel(database, atual); nivel; nivel = buscarNivel(database, atual)) {
+    if (visitados.has(nivel.codigo_contido) || niveis.length >= MAX_NIVEIS) {
+      console.warn(`⚠️ Hierarquia de embalagens circular ou profunda demais a partir de ${codigo}`);
+      return null;
+    }
+    niveis.push({
+      codigo: nivel.codigo_barras,
+      contem: nivel.codigo_contido,
+      quantidade: nivel.quantidade,
+      descricao: nivel.descricao
+    });
+    multiplicador *= nivel.quantidade;
+    atual = nivel.codigo_contido;
+    visitados.add(atual);
+  }
+
+  if (niveis.length === 0) return null;
+
+  // "Caixa 12 × Fardo 6 = 72 un"
+  const descricao = niveis.length === 1
+    ? `${niveis[0].descricao || 'Embalagem'} com ${multiplicador} un`
+    : `${niveis.map(n => `${n.descricao || 'Embalagem'} ${n.quantidade}`).join(' × ')} = ${multiplicador} un`;
+
+  return { codigo, codigoUnidade: atual, multiplicador, descricao, niveis };
+}
+
+/**
+ * Inclui ou atualiza embalagens
+ * @param {Array<{codigo_barras: string, codigo_contido: string, quantidade: number, descricao?: string}>} itens
+ * @returns {{gravados: number, erros: Array<{codigo_barras: string, erro: string}>}}
+ */
+export function salvarEmbalagens(itens) {
+  const database = getDatabase();
+  if (!database) return { gravados: 0, erros: [] };
+
+  const stmt = database.prepare(`
+    INSERT INTO embalagens (codigo_barras, codigo_contido, quantidade, descricao, data_atualizacao)
+    VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(codigo_barras) DO UPDATE SET
+      codigo_contido = excluded.codigo_contido,
+      quantidade = excluded.quantidade,
+      descricao = excluded.descricao,
+      data_atualizacao = excluded.data_atualizacao
+  `);
+
+  const erros = [];
+  const salvar = database.transaction((lista) => {
+    let gravados = 0;
+    for (const item of lista) {
+      const codigo = codigoCanonico(item.codigo_barras);
+      const contido = codigoCanonico(item.codigo_contido);
+      const quantidade = parseInt(item.quantidade, 10);
+
+      if (!codigo || !contido || !(quantidade > 0)) {
+        erros.push({ codigo_barras: item.codigo_barras, erro: 'codigo_barras, codigo_contido e quantidade (> 0) são obrigatórios' });
+        continue;
+      }
+      if (codigo === contido) {
+        erros.push({ codigo_barras: item.codigo_barras, erro: 'A embalagem não pode conter ela mesma' });
+        continue;
+      }
+
+      stmt.run(codigo, contido, quantidade, item.descricao ? String(item.descricao).trim() : null);
+
+      // Não deixa fechar um ciclo (caixa → fardo → caixa)
+      if (!resolverEmbalagem(codigo)) {
+        throw Object.assign(new Error(`Cadastro de ${codigo} criaria uma hierarquia circular`), { circular: true });
+      }
+      gravados++;
+    }
+    return gravados;
+  });
+
+  try {
+    return { gravados: salvar(itens), erros };
+  } catch (err) {
+    if (!err.circular) throw err;
+    return { gravados: 0, erros: [...erros, { codigo_barras: null, erro: err.message }] };
+  }
+}
+
+/**
+ * Lista as embalagens cadastradas (opcionalmente só as que contêm um código)
+ * @param {{contido?: string}} [filtro]
+ */
+export function listarEmbalagens({ contido } = {}) {
+  const database = getDatabase();
+  if (!database) return [];
+
+  return database.prepare(`
+    SELECT codigo_barras, codigo_contido, quantidade, descricao, data_atualizacao
+    FROM embalagens
+    ${contido ? 'WHERE codigo_contido = ?' : ''}
+    ORDER BY codigo_contido, quantidade
+  `).all(...(contido ? [codigoCanonico(contido)] : []));
+}
+
+/**
+ * Remove uma embalagem
+ * @param {string} codigo
+ * @returns {number} Linhas removidas
+ */
+export function removerEmbalagem(codigo) {
+  const database = getDatabase();
+  if (!database) return 0;
+  return database.prepare('DELETE FROM embalagens WHERE codigo_barras = ?').run(codigoCanonico(codigo)).changes;
+}
+
+export default {
+  resolverEmbalagem,
+  salvarEmbalagens,
+  listarEmbalagens,
+  removerEmbalagem,
+};
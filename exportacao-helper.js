@@ -0,0 +1,212 @@
+/**
+ * Exportação Helper - Catálogo em CSV, XLSX, JSON ou NDJSON, em stream
+ * As linhas são lidas em páginas pelo id (keyset) e formatadas à medida que
+ * saem, então exportar centenas de milhares de produtos usa memória
+ * constante. Serve a base local (produtos) e o cache online (produtos_online).
+ */
+
+import { formatarLinhaCSV } from './csv-helper.js';
+import { LINHAS_MAXIMAS_XLSX, planilhaEmStream } from './xlsx-stream-helper.js';
+
+// Linhas lidas do banco por vez
+const PAGINA = 1000;
+
+// Colunas exportadas, filtros aceitos e data de alteração de cada tabela
+export const TABELAS_EXPORTACAO = {
+  produtos: {
+    aba: 'Produtos',
+    colunas: [
+      'codigo_barras', 'produto', 'grupo', 'subgrupo', 'marca', 'categoria', 'ncm',
+      'unidade_medida', 'quantidade', 'peso_liquido', 'peso_bruto', 'preco_medio',
+      'tipo_gtin', 'fonte', 'data_cadastro', 'atualizado_em', 'ausente_desde', 'excluido_em'
+    ],
+    filtros: ['grupo', 'subgrupo', 'marca', 'categoria', 'fonte'],
+    alteradoEm: 'COALESCE(atualizado_em, data_cadastro)',
+    excluidos: 'excluido_em IS NULL'
+  },
+  produtos_online: {
+    aba: 'Cache online',
+    colunas: [
+      'codigo_barras', 'nome', 'marca', 'categoria', 'quantidade', 'ncm', 'cest',
+      'peso_liquido', 'peso_bruto', 'imagem', 'fonte', 'tipo_gtin', 'data_coleta', 'revalidado_em'
+    ],
+    filtros: ['marca', 'categoria', 'fonte'],
+    alteradoEm: 'COALESCE(revalidado_em, data_coleta)',
+    excluidos: null
+  }
+};
+
+// Content-Type e extensão de cada formato
+export const FORMATOS_EXPORTACAO = {
+  csv: { tipo: 'text/csv; charset=utf-8', extensao: 'csv' },
+  'csv-virgula': { tipo: 'text/csv; charset=utf-8', extensao: 'csv' },
+  xlsx: { tipo: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensao: 'xlsx' },
+  json: { tipo: 'application/json; charset=utf-8', extensao: 'json' },
+  ndjson: { tipo: 'application/x-ndjson; charset=utf-8', extensao: 'ndjson' }
+};
+
+function erroExportacao(mensagem, status, erros) {
+  return Object.assign(new Error(mensagem), { status, erros });
+}
+
+/**
+ * Valida o pedido e monta a consulta
+ * Cada filtro aceita um valor ou uma lista (qualquer um deles); a comparação
+ * é exata. "desde" traz só o que foi criado ou alterado a partir da data.
+ * @param {{tabela?: string, filtros?: Object<string, string|string[]>, desde?: string, incluirExcluidos?: boolean}} pedido
+ * @returns {{tabela: string, colunas: string[], aba: string, where: string, parametros: Array<string>}}
+ */
+export function montarConsulta({ tabela = 'produtos', filtros = {}, desde, incluirExcluidos = false } = {}) {
+  const definicao = TABELAS_EXPORTACAO[tabela];
+  if (!definicao) {
+    throw erroExportacao(`Tabela inválida: ${tabela}`, 400, [`use ${Object.keys(TABELAS_EXPORTACAO).join(' ou ')}`]);
+  }
+
+  const condicoes = [];
+  const parametros = [];
+  const erros = [];
+
+  for (const [campo, valor] of Object.entries(filtros)) {
+    if (valor === undefined) continue;
+    if (!definicao.filtros.includes(campo)) {
+      erros.push(`filtro ${campo} não existe em ${tabela} (use ${definicao.filtros.join(', ')})`);
+      continue;
+    }
+    const valores = (Array.isArray(valor) ? valor : [valor]).map(v => String(v).trim());
+    condicoes.push(`COALESCE(${campo}, '') IN (${valores.map(() => '?').join(', ')})`);
+    parametros.push(...valores);
+  }
+
+  if (desde !== undefined && desde !== '') {
+    // Mesmo formato das colunas (UTC, "AAAA-MM-DD HH:MM:SS")
+    const data = new Date(desde);
+    if (Number.isNaN(data.getTime())) {
+      erros.push('desde deve ser uma data (ex: 2024-05-01 ou 2024-05-01T08:00:00Z)');
+    } else {
+      condicoes.push(`datetime(${definicao.alteradoEm}) >= ?`);
+      parametros.push(data.toISOString().slice(0, 19).replace('T', ' '));
+    }
+  }
+
+  if (erros.length > 0) throw erroExportacao('Filtros inválidos', 400, erros);
+
+  if (definicao.excluidos && !incluirExcluidos) condicoes.push(definicao.excluidos);
+
+  return {
+    tabela,
+    colunas: definicao.colunas,
+    aba: definicao.aba,
+    where: condicoes.join(' AND '),
+    parametros
+  };
+}
+
+/**
+ * Quantas linhas a exportação vai ter
+ * @param {Database} database
+ * @param {Object} consulta - Retorno de montarConsulta
+ * @returns {number}
+ */
+export function contarExportacao(database, { tabela, where, parametros }) {
+  return database.prepare(`SELECT COUNT(*) AS total FROM ${tabela}${where ? ` WHERE ${where}` : ''}`)
+    .get(...parametros).total;
+}
+
+/**
+ * Linhas da consulta, página a página pelo id
+ * Não mantém um cursor aberto entre as páginas: a conexão fica livre para
+ * as outras rotas enquanto o cliente baixa o arquivo.
+ * @param {Database} database
+ * @param {Object} consulta - Retorno de montarConsulta
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* linhasDaConsulta(database, { tabela, colunas, where, parametros }) {
+  const pagina = database.prepare(`
+    SELECT id, ${colunas.join(', ')} FROM ${tabela}
+    WHERE ${where ? `${where} AND ` : ''}id > ?
+    ORDER BY id
+    LIMIT ${PAGINA}
+  `);
+
+  let ultimo = 0;
+  while (true) {
+    const linhas = pagina.all(...parametros, ultimo);
+    for (const { id, ...linha } of linhas) yield linha;
+    if (linhas.length < PAGINA) break;
+    ultimo = linhas[linhas.length - 1].id;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+async function* emCSV(linhas, colunas, delimitador) {
+  // BOM para o Excel reconhecer o UTF-8
+  yield '\uFEFF' + formatarLinhaCSV(colunas, delimitador);
+  for await (const linha of linhas) yield formatarLinhaCSV(colunas.map(c => linha[c]), delimitador);
+}
+
+async function* emJSON(linhas) {
+  let primeira = true;
+  yield '[';
+  for await (const linha of linhas) {
+    yield (primeira ? '\n' : ',\n') + JSON.stringify(linha);
+    primeira = false;
+  }
+  yield '\n]\n';
+}
+
+async function* emNDJSON(linhas) {
+  for await (const linha of linhas) yield JSON.stringify(linha) + '\n';
+}
+
+async function* emLista(linhas, colunas) {
+  for await (const linha of linhas) yield colunas.map(c => linha[c] ?? null);
+}
+
+/**
+ * Prepara a exportação (valida antes de qualquer byte ser enviado)
+ * @param {Database} database
+ * @param {{formato?: string, tabela?: string, filtros?: Object, desde?: string, incluirExcluidos?: boolean}} pedido
+ * @returns {{tipo: string, nomeArquivo: string, total: number, conteudo: AsyncGenerator<string|Buffer>}}
+ */
+export function exportarCatalogo(database, { formato = 'csv', ...pedido } = {}) {
+  const saida = FORMATOS_EXPORTACAO[formato];
+  if (!saida) {
+    throw erroExportacao(`Formato inválido: ${formato}`, 400, [`use ${Object.keys(FORMATOS_EXPORTACAO).join(', ')}`]);
+  }
+
+  const consulta = montarConsulta(pedido);
+  const total = contarExportacao(database, consulta);
+
+  // Uma aba do Excel não comporta mais que isso (o cabeçalho ocupa uma linha)
+  if (formato === 'xlsx' && total > LINHAS_MAXIMAS_XLSX - 1) {
+    throw erroExportacao(`Exportação com ${total} linhas passa do limite do Excel`, 400, [
+      `uma planilha XLSX comporta até ${LINHAS_MAXIMAS_XLSX - 1} linhas`,
+      'use formato=csv ou ndjson, ou filtre (grupo, marca, desde...) para exportar em partes'
+    ]);
+  }
+
+  const linhas = linhasDaConsulta(database, consulta);
+
+  let conteudo;
+  if (formato === 'csv') conteudo = emCSV(linhas, consulta.colunas, ';');
+  else if (formato === 'csv-virgula') conteudo = emCSV(linhas, consulta.colunas, ',');
+  else if (formato === 'json') conteudo = emJSON(linhas);
+  else if (formato === 'ndjson') conteudo = emNDJSON(linhas);
+  else conteudo = planilhaEmStream(emLista(linhas, consulta.colunas), { aba: consulta.aba, cabecalhos: consulta.colunas });
+
+  const dia = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return {
+    tipo: saida.tipo,
+    nomeArquivo: `${consulta.tabela.replace('_', '-')}-${dia}.${saida.extensao}`,
+    total,
+    conteudo
+  };
+}
+
+export default {
+  TABELAS_EXPORTACAO,
+  FORMATOS_EXPORTACAO,
+  montarConsulta,
+  contarExportacao,
+  exportarCatalogo,
+};
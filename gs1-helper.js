@@ -0,0 +1,251 @@
+/**
+ * GS1 Helper - Interpretação de etiquetas GS1 com identificadores de aplicação (AI)
+ * Lê GS1-128, GS1 DataMatrix/QR (element string, com ou sem parênteses e
+ * separador GS) e URLs GS1 Digital Link, e extrai os campos usados na loja:
+ *
+ *   (01) GTIN   (10) lote   (17) validade   (310n) peso líquido em kg   (21) série
+ *
+ * Ex: "(01)07891000100103(17)261231(10)L123"
+ *     "]d20107891000100103172612311 0L123"   (GS = \x1D)
+ *     "https://id.gs1.org/01/07891000100103/10/L123?17=261231"
+ */
+
+import { digitoVerificadorValido } from './gtin-helper.js';
+
+// Separador de campos variáveis (FNC1 transmitido como GS)
+const GS = '\x1D';
+
+// Identificadores de simbologia que alguns leitores enviam antes dos dados
+const PREFIXO_SIMBOLOGIA = /^\](C1|d2|Q3|e0|J1)/;
+
+// AIs com tamanho fixo de dados (o resto é variável até o GS ou o fim)
+const TAMANHO_FIXO = {
+  '00': 18, '01': 14, '02': 14, '03': 14, '04': 16,
+  '11': 6, '12': 6, '13': 6, '15': 6, '16': 6, '17': 6, '20': 2,
+  '410': 13, '411': 13, '412': 13, '413': 13, '414': 13, '415': 13, '416': 13, '417': 13,
+  '422': 3, '424': 3, '426': 3
+};
+
+// Nomes exibidos dos AIs mais comuns
+const DESCRICOES = {
+  '00': 'SSCC',
+  '01': 'GTIN',
+  '02': 'GTIN do conteúdo',
+  '10': 'Lote',
+  '11': 'Data de fabricação',
+  '13': 'Data de embalagem',
+  '15': 'Consumir preferencialmente até',
+  '17': 'Validade',
+  '21': 'Número de série',
+  '30': 'Quantidade variável',
+  '37': 'Quantidade de itens'
+};
+
+// AIs de data (AAMMDD)
+const AIS_DATA = ['11', '12', '13', '15', '16', '17'];
+
+/**
+ * Quantos dígitos tem o AI que começa neste trecho
+ * @param {string} texto
+ * @returns {number}
+ */
+function tamanhoDoAI(texto) {
+  const dois = texto.slice(0, 2);
+  if (/^(23|24|25|40|41|42)$/.test(dois)) return 3;
+  if (/^(31|32|33|34|35|36|39|43|70|71|72|80|81|82)$/.test(dois)) return 4;
+  return 2;
+}
+
+/**
+ * Tamanho fixo dos dados do AI (null = variável)
+ * @param {string} ai
+ * @returns {number|null}
+ */
+function tamanhoDosDados(ai) {
+  if (TAMANHO_FIXO[ai]) return TAMANHO_FIXO[ai];
+  // Medidas (31xx a 36xx): 6 dígitos com a casa decimal no último dígito do AI
+  if (/^3[1-6]\d\d$/.test(ai)) return 6;
+  return null;
+}
+
+/**
+ * AAMMDD → AAAA-MM-DD (dia 00 = último dia do mês, janela de século do GS1)
+ * @param {string} valor
+ * @returns {string|null}
+ */
+export function dataGS1(valor) {
+  if (!/^\d{6}$/.test(valor)) return null;
+
+  const aa = Number(valor.slice(0, 2));
+  const mes = Number(valor.slice(2, 4));
+  let dia = Number(valor.slice(4, 6));
+  if (mes < 1 || mes > 12) return null;
+
+  // Ano dentro de -49/+50 anos do atual
+  const anoAtual = new Date().getFullYear();
+  const seculo = Math.floor(anoAtual / 100) * 100;
+  let ano = seculo + aa;
+  if (ano - anoAtual > 50) ano -= 100;
+  if (anoAtual - ano > 49) ano += 100;
+
+  const ultimoDia = new Date(Date.UTC(ano, mes, 0)).getUTCDate();
+  if (dia === 0) dia = ultimoDia;
+  if (dia > ultimoDia) return null;
+
+  return `${ano}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+}
+
+/**
+ * GTIN-14 do AI (01) → código usado na base (EAN-13, UPC-A ou EAN-8 sem os zeros de preenchimento)
+ * @param {string} gtin14
+ * @returns {string}
+ */
+export function gtinDaEtiqueta(gtin14) {
+  if (gtin14.startsWith('000000')) return gtin14.slice(6);
+  if (gtin14.startsWith('00')) return gtin14.slice(2);
+  if (gtin14.startsWith('0')) return gtin14.slice(1);
+  return gtin14;
+}
+
+/**
+ * Separa um element string em pares AI/valor
+ * @param {string} texto - Sem prefixo de simbologia
+ * @returns {Array<{ai: string, valor: string}>|null} null se não for um element string válido
+ */
+function lerElementString(texto) {
+  const elementos = [];
+
+  // Formato legível: (01)07891000100103(10)L123
+  if (texto.startsWith('(')) {
+    const partes = [...texto.matchAll(/\((\d{2,4})\)([^(]*)/g)];
+    if (partes.length === 0 || partes.map(p => p[0]).join('') !== texto) return null;
+    return partes.map(p => ({ ai: p[1], valor: p[2].replace(new RegExp(GS, 'g'), '').trim() }));
+  }
+
+  let resto = texto;
+  while (resto.length > 0) {
+    if (resto[0] === GS) {
+      resto = resto.slice(1);
+      continue;
+    }
+
+    const ai = resto.slice(0, tamanhoDoAI(resto));
+    if (!/^\d+$/.test(ai) || ai.length < 2) return null;
+    resto = resto.slice(ai.length);
+
+    const fixo = tamanhoDosDados(ai);
+    let valor;
+    if (fixo) {
+      valor = resto.slice(0, fixo);
+      if (valor.length !== fixo) return null;
+      resto = resto.slice(fixo);
+    } else {
+      const fim = resto.indexOf(GS);
+      valor = fim >= 0 ? resto.slice(0, fim) : resto;
+      resto = fim >= 0 ? resto.slice(fim + 1) : '';
+    }
+
+    elementos.push({ ai, valor });
+  }
+
+  return elementos.length > 0 ? elementos : null;
+}
+
+/**
+ * Lê uma URL GS1 Digital Link (AIs no caminho e na query string)
+ * @param {string} texto
+ * @returns {Array<{ai: string, valor: string}>|null}
+ */
+function lerDigitalLink(texto) {
+  let url;
+  try {
+    url = new URL(texto);
+  } catch {
+    return null;
+  }
+
+  const segmentos = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const inicio = segmentos.findIndex((s, i) => /^(01|00)$/.test(s) && /^\d+$/.test(segmentos[i + 1] || ''));
+  if (inicio < 0) return null;
+
+  const elementos = [];
+  for (let i = inicio; i + 1 < segmentos.length; i += 2) {
+    if (!/^\d{2,4}$/.test(segmentos[i])) break;
+    elementos.push({ ai: segmentos[i], valor: segmentos[i + 1] });
+  }
+  for (const [chave, valor] of url.searchParams) {
+    if (/^\d{2,4}$/.test(chave)) {
+      elementos.push({ ai: chave, valor });
+    }
+  }
+
+  return elementos;
+}
+
+/**
+ * Interpreta uma leitura GS1 (element string ou Digital Link)
+ * @param {string} texto - Leitura bruta do scanner
+ * @returns {{
+ *   formato: 'element_string'|'digital_link',
+ *   gtin: string|null, gtin14: string|null, lote: string|null, validade: string|null,
+ *   pesoLiquidoKg: number|null, serie: string|null,
+ *   elementos: Array<{ai: string, valor: string, descricao: string|null}>
+ * }|null} null se a leitura não for GS1 (ex: EAN-13 simples)
+ */
+export function interpretarGS1(texto) {
+  if (!texto) return null;
+  let bruto = String(texto).trim().replace(/<GS>|\{GS\}/gi, GS);
+
+  let formato = 'element_string';
+  let elementos = null;
+
+  if (/^https?:\/\//i.test(bruto)) {
+    formato = 'digital_link';
+    elementos = lerDigitalLink(bruto);
+  } else {
+    const comSimbologia = PREFIXO_SIMBOLOGIA.test(bruto);
+    bruto = bruto.replace(PREFIXO_SIMBOLOGIA, '').replace(/^\x1D/, '');
+
+    // Sem parênteses, GS ou prefixo de simbologia, só dígitos longos viram element string
+    const pareceGS1 = comSimbologia || bruto.startsWith('(') || bruto.includes(GS) || /^\d{16,}/.test(bruto);
+    if (!pareceGS1) return null;
+    elementos = lerElementString(bruto);
+  }
+
+  if (!elementos || elementos.length === 0) return null;
+
+  const valor = (ai) => {
+    const elemento = elementos.find(e => e.ai === ai);
+    return elemento ? elemento.valor : null;
+  };
+
+  const gtin14 = valor('01') || valor('02');
+  if (gtin14 && (!/^\d{14}$/.test(gtin14) || !digitoVerificadorValido(gtin14))) return null;
+
+  // Peso líquido em kg: 310n, onde n é o número de casas decimais
+  const peso = elementos.find(e => /^310\d$/.test(e.ai));
+  const pesoLiquidoKg = peso && /^\d{6}$/.test(peso.valor)
+    ? Number(peso.valor) / 10 ** Number(peso.ai[3])
+    : null;
+
+  return {
+    formato,
+    gtin: gtin14 ? gtinDaEtiqueta(gtin14) : null,
+    gtin14: gtin14 || null,
+    lote: valor('10'),
+    validade: valor('17') ? dataGS1(valor('17')) : null,
+    pesoLiquidoKg,
+    serie: valor('21'),
+    elementos: elementos.map(e => ({
+      ai: e.ai,
+      valor: AIS_DATA.includes(e.ai) ? dataGS1(e.valor) || e.valor : e.valor,
+      descricao: DESCRICOES[e.ai] || (/^310\d$/.test(e.ai) ? 'Peso líquido (kg)' : null)
+    }))
+  };
+}
+
+export default {
+  interpretarGS1,
+  dataGS1,
+  gtinDaEtiqueta,
+};
@@ -0,0 +1,365 @@
+/**
+ * GTIN Helper - Validação e identificação de códigos de barras GS1
+ * Confere dígito verificador, identifica o tipo (EAN-8, EAN-13, UPC-A,
+ * UPC-E, ITF-14), expande UPC-E e informa o país do prefixo GS1
+ */
+
+// Códigos de circulação restrita (balança, códigos internos da loja)
+export const USO_INTERNO = 'Uso interno (circulação restrita)';
+
+// Faixas de prefixo GS1 (3 dígitos do GTIN-13) → país/uso
+const PREFIXOS_GS1 = [
+  [0, 19, 'EUA e Canadá'],
+  [20, 29, USO_INTERNO],
+  [30, 39, 'EUA (medicamentos)'],
+  [40, 49, USO_INTERNO],
+  [50, 59, 'Cupons'],
+  [60, 139, 'EUA e Canadá'],
+  [200, 299, USO_INTERNO],
+  [300, 379, 'França e Mônaco'],
+  [380, 380, 'Bulgária'],
+  [383, 383, 'Eslovênia'],
+  [385, 385, 'Croácia'],
+  [387, 387, 'Bósnia e Herzegovina'],
+  [389, 389, 'Montenegro'],
+  [390, 390, 'Kosovo'],
+  [400, 440, 'Alemanha'],
+  [450, 459, 'Japão'],
+  [460, 469, 'Rússia'],
+  [470, 470, 'Quirguistão'],
+  [471, 471, 'Taiwan'],
+  [474, 474, 'Estônia'],
+  [475, 475, 'Letônia'],
+  [476, 476, 'Azerbaijão'],
+  [477, 477, 'Lituânia'],
+  [478, 478, 'Uzbequistão'],
+  [479, 479, 'Sri Lanka'],
+  [480, 480, 'Filipinas'],
+  [481, 481, 'Belarus'],
+  [482, 482, 'Ucrânia'],
+  [483, 483, 'Turcomenistão'],
+  [484, 484, 'Moldávia'],
+  [485, 485, 'Armênia'],
+  [486, 486, 'Geórgia'],
+  [487, 487, 'Cazaquistão'],
+  [488, 488, 'Tajiquistão'],
+  [489, 489, 'Hong Kong'],
+  [490, 499, 'Japão'],
+  [500, 509, 'Reino Unido'],
+  [520, 521, 'Grécia'],
+  [528, 528, 'Líbano'],
+  [529, 529, 'Chipre'],
+  [530, 530, 'Albânia'],
+  [531, 531, 'Macedônia do Norte'],
+  [535, 535, 'Malta'],
+  [539, 539, 'Irlanda'],
+  [540, 549, 'Bélgica e Luxemburgo'],
+  [560, 560, 'Portugal'],
+  [569, 569, 'Islândia'],
+  [570, 579, 'Dinamarca'],
+  [590, 590, 'Polônia'],
+  [594, 594, 'Romênia'],
+  [599, 599, 'Hungria'],
+  [600, 601, 'África do Sul'],
+  [603, 603, 'Gana'],
+  [604, 604, 'Senegal'],
+  [608, 608, 'Bahrein'],
+  [609, 609, 'Maurício'],
+  [611, 611, 'Marrocos'],
+  [613, 613, 'Argélia'],
+  [615, 615, 'Nigéria'],
+  [616, 616, 'Quênia'],
+  [618, 618, 'Costa do Marfim'],
+  [619, 619, 'Tunísia'],
+  [620, 620, 'Tanzânia'],
+  [621, 621, 'Síria'],
+  [622, 622, 'Egito'],
+  [623, 623, 'Brunei'],
+  [624, 624, 'Líbia'],
+  [625, 625, 'Jordânia'],
+  [626, 626, 'Irã'],
+  [627, 627, 'Kuwait'],
+  [628, 628, 'Arábia Saudita'],
+  [629, 629, 'Emirados Árabes Unidos'],
+  [640, 649, 'Finlândia'],
+  [690, 699, 'China'],
+  [700, 709, 'Noruega'],
+  [729, 729, 'Israel'],
+  [730, 739, 'Suécia'],
+  [740, 740, 'Guatemala'],
+  [741, 741, 'El Salvador'],
+  [742, 742, 'Honduras'],
+  [743, 743, 'Nicarágua'],
+  [744, 744, 'Costa Rica'],
+  [745, 745, 'Panamá'],
+  [746, 746, 'República Dominicana'],
+  [750, 750, 'México'],
+  [754, 755, 'Canadá'],
+  [759, 759, 'Venezuela'],
+  [760, 769, 'Suíça e Liechtenstein'],
+  [770, 771, 'Colômbia'],
+  [773, 773, 'Uruguai'],
+  [775, 775, 'Peru'],
+  [777, 777, 'Bolívia'],
+  [778, 779, 'Argentina'],
+  [780, 780, 'Chile'],
+  [784, 784, 'Paraguai'],
+  [786, 786, 'Equador'],
+  [789, 790, 'Brasil'],
+  [800, 839, 'Itália'],
+  [840, 849, 'Espanha'],
+  [850, 850, 'Cuba'],
+  [858, 858, 'Eslováquia'],
+  [859, 859, 'República Tcheca'],
+  [860, 860, 'Sérvia'],
+  [865, 865, 'Mongólia'],
+  [867, 867, 'Coreia do Norte'],
+  [868, 869, 'Turquia'],
+  [870, 879, 'Países Baixos'],
+  [880, 880, 'Coreia do Sul'],
+  [884, 884, 'Camboja'],
+  [885, 885, 'Tailândia'],
+  [888, 888, 'Singapura'],
+  [890, 890, 'Índia'],
+  [893, 893, 'Vietnã'],
+  [896, 896, 'Paquistão'],
+  [899, 899, 'Indonésia'],
+  [900, 919, 'Áustria'],
+  [930, 939, 'Austrália'],
+  [940, 949, 'Nova Zelândia'],
+  [950, 950, 'GS1 Global Office'],
+  [955, 955, 'Malásia'],
+  [958, 958, 'Macau'],
+  [977, 977, 'Publicações seriadas (ISSN)'],
+  [978, 979, 'Livros (ISBN)'],
+  [980, 980, 'Recibos de reembolso'],
+  [981, 984, 'Cupons'],
+  [990, 999, 'Cupons'],
+];
+
+/**
+ * Normaliza código de barras (7.8913E+12 → 7891300000000)
+ * @param {string|number} valor - Código como veio da planilha, scanner ou URL
+ * @returns {string} Apenas dígitos
+ */
+export function normalizarCodigo(valor) {
+  if (!valor) return "";
+  const str = String(valor).trim();
+
+  if (str.toLowerCase().includes("e")) {
+    const num = Number(str);
+    if (!Number.isNaN(num)) {
+      return String(num.toFixed(0));
+    }
+  }
+
+  return str.replace(/\D/g, "");
+}
+
+/**
+ * Calcula o dígito verificador GS1 (módulo 10) para os dígitos informados
+ * @param {string} semDigito - Código sem o dígito verificador
+ * @returns {number}
+ */
+export function calcularDigitoVerificador(semDigito) {
+  let soma = 0;
+  // Da direita para a esquerda, pesos alternados 3 e 1
+  for (let i = semDigito.length - 1, peso = 3; i >= 0; i--, peso = peso === 3 ? 1 : 3) {
+    soma += Number(semDigito[i]) * peso;
+  }
+  return (10 - (soma % 10)) % 10;
+}
+
+/**
+ * Confere o dígito verificador de um GTIN (8, 12, 13 ou 14 dígitos)
+ * @param {string} codigo - Código completo, só dígitos
+ * @returns {boolean}
+ */
+export function digitoVerificadorValido(codigo) {
+  if (!/^\d{8,14}$/.test(codigo)) return false;
+  const esperado = calcularDigitoVerificador(codigo.slice(0, -1));
+  return esperado === Number(codigo[codigo.length - 1]);
+}
+
+/**
+ * Expande um UPC-E (8 dígitos: sistema + 6 + verificador) para UPC-A
+ * @param {string} upce - Código UPC-E
+ * @returns {string|null} UPC-A de 12 dígitos ou null se o formato não for UPC-E
+ */
+export function expandirUPCE(upce) {
+  if (!/^[01]\d{7}$/.test(upce)) return null;
+
+  const sistema = upce[0];
+  const d = upce.slice(1, 7);
+  const verificador = upce[7];
+  const ultimo = d[5];
+
+  let corpo;
+  if (ultimo === '0' || ultimo === '1' || ultimo === '2') {
+    corpo = `${d.slice(0, 2)}${ultimo}0000${d.slice(2, 5)}`;
+  } else if (ultimo === '3') {
+    corpo = `${d.slice(0, 3)}00000${d.slice(3, 5)}`;
+  } else if (ultimo === '4') {
+    corpo = `${d.slice(0, 4)}00000${d[4]}`;
+  } else {
+    corpo = `${d.slice(0, 5)}0000${ultimo}`;
+  }
+
+  return `${sistema}${corpo}${verificador}`;
+}
+
+/**
+ * Completa o código com zeros à esquerda até 14 dígitos (GTIN-14)
+ * @param {string} codigo - GTIN-8, GTIN-12 ou GTIN-13
+ * @returns {string}
+ */
+export function paraGTIN14(codigo) {
+  return codigo.padStart(14, '0');
+}
+
+/**
+ * Identifica o país/uso pelo prefixo GS1
+ * @param {string} gtin14 - Código já completado para 14 dígitos
+ * @param {string} tipo - Tipo detectado (EAN-8 usa o próprio prefixo)
+ * @returns {string|null}
+ */
+export function paisDoPrefixo(gtin14, tipo) {
+  if (tipo === 'EAN-8') {
+    // EAN-8 iniciados em 0 ou 2 são de circulação restrita
+    const primeiro = gtin14[6];
+    if (primeiro === '0' || primeiro === '2') {
+      return USO_INTERNO;
+    }
+  }
+
+  // GTIN-14: o primeiro dígito é o indicador de embalagem, o prefixo vem depois
+  const inicio = tipo === 'EAN-8' ? 6 : 1;
+  const prefixo = Number(gtin14.slice(inicio, inicio + 3));
+  const faixa = PREFIXOS_GS1.find(([de, ate]) => prefixo >= de && prefixo <= ate);
+  return faixa ? faixa[2] : null;
+}
+
+/**
+ * Analisa um código lido (scanner, digitado ou planilha)
+ * codigo é a forma canônica: UPC-E expandido para UPC-A, UPC-A sempre com 12
+ * dígitos (mesmo lido como EAN-13 ou GTIN-14 com zeros à esquerda) e GTIN-14
+ * com indicador 0 reduzido ao EAN-13. A forma lida e, para UPC-A, a de 13
+ * dígitos ficam em alternativas, porque a base local pode ter o produto assim.
+ * @param {string|number} valor - Código bruto
+ * @returns {{
+ *   codigo: string, tipo: string|null, gtin14: string|null, valido: boolean,
+ *   pais: string|null, erro: string|null, alternativas: string[], digitoEsperado?: number
+ * }}
+ */
+export function analisarCodigo(valor) {
+  const digitos = normalizarCodigo(valor);
+  const resultado = {
+    codigo: digitos,
+    tipo: null,
+    gtin14: null,
+    valido: false,
+    pais: null,
+    erro: null,
+    alternativas: [],
+  };
+
+  if (!digitos) {
+    resultado.erro = 'codigo_vazio';
+    return resultado;
+  }
+
+  let tipo = null;
+  let canonico = digitos;
+
+  switch (digitos.length) {
+    case 8: {
+      // Mesmo tamanho do EAN-8: testa como UPC-E (verificador calculado sobre o UPC-A).
+      // EAN-8 iniciado em 0 é de uso interno, então nesse caso o UPC-E tem preferência
+      const upca = expandirUPCE(digitos);
+      const upceValido = Boolean(upca && digitoVerificadorValido(upca));
+      if (upceValido && (digitos[0] === '0' || !digitoVerificadorValido(digitos))) {
+        tipo = 'UPC-E';
+        canonico = upca;
+      } else {
+        tipo = 'EAN-8';
+      }
+      break;
+    }
+    case 12:
+      tipo = 'UPC-A';
+      break;
+    case 13:
+      // EAN-13 iniciado em 0 é o UPC-A completado: uma forma só para o mesmo produto
+      if (digitos[0] === '0') {
+        tipo = 'UPC-A';
+        canonico = digitos.slice(1);
+      } else {
+        tipo = 'EAN-13';
+      }
+      break;
+    case 14:
+      // Indicador 0 = unidade de consumo: é o EAN-13 (ou o UPC-A) completado com zeros à esquerda
+      if (digitos.startsWith('00')) {
+        tipo = 'UPC-A';
+        canonico = digitos.slice(2);
+      } else if (digitos[0] === '0') {
+        tipo = 'EAN-13';
+        canonico = digitos.slice(1);
+      } else {
+        tipo = 'ITF-14';
+      }
+      break;
+    default:
+      resultado.erro = 'tamanho_invalido';
+      return resultado;
+  }
+
+  resultado.tipo = tipo;
+  resultado.codigo = canonico;
+  // Outras formas em que a base pode ter o produto: a lida e, para UPC-A, a de 13 dígitos
+  const formas = [digitos, ...(canonico.length === 12 ? [`0${canonico}`] : [])];
+  resultado.alternativas = [...new Set(formas)].filter(forma => forma !== canonico);
+
+  if (!digitoVerificadorValido(canonico)) {
+    resultado.erro = 'digito_verificador_invalido';
+    resultado.digitoEsperado = calcularDigitoVerificador(canonico.slice(0, -1));
+    return resultado;
+  }
+
+  resultado.valido = true;
+  resultado.gtin14 = paraGTIN14(canonico);
+  resultado.pais = paisDoPrefixo(resultado.gtin14, tipo);
+  return resultado;
+}
+
+/**
+ * Indica se o código é de circulação restrita (não existe em bases online)
+ * @param {ReturnType<typeof analisarCodigo>} analise
+ * @returns {boolean}
+ */
+export function codigoDeUsoInterno(analise) {
+  return analise.valido && analise.pais === USO_INTERNO;
+}
+
+/**
+ * Retorna apenas o tipo do código (para gravar junto com o produto)
+ * @param {string|number} valor - Código bruto
+ * @returns {string|null}
+ */
+export function tipoDoCodigo(valor) {
+  const analise = analisarCodigo(valor);
+  return analise.valido ? analise.tipo : null;
+}
+
+export default {
+  USO_INTERNO,
+  normalizarCodigo,
+  calcularDigitoVerificador,
+  digitoVerificadorValido,
+  expandirUPCE,
+  paraGTIN14,
+  paisDoPrefixo,
+  analisarCodigo,
+  codigoDeUsoInterno,
+  tipoDoCodigo,
+};
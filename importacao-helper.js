@@ -0,0 +1,827 @@
+/**
+ * Importação Helper - Carga incremental da base de produtos (CSV/XLSX)
+ * Em vez de apagar e recriar o produtos.db, compara a planilha com a tabela
+ * produtos: inclui os novos, atualiza os alterados e (opcionalmente) marca os
+ * que sumiram da fonte. Produtos cadastrados à mão (fonte "manual"), excluídos
+ * pela API e o cache online não são tocados. Cada carga gera um relatório em
+ * data/relatorios.
+ *
+ * As colunas da planilha são ligadas às da tabela por um perfil de importação
+ * (cabeçalho → coluna, mais transformações), salvo em perfis_importacao. Sem
+ * perfil vale o "padrao", com os cabeçalhos de sempre da PARA_BUSCAR_DO_SITE.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+import { analisarCSV, registrosCSV } from './csv-helper.js';
+import { normalizarCodigo, analisarCodigo, tipoDoCodigo } from './gtin-helper.js';
+import { CAMPOS_PRODUTO, fotoDoProduto, registrarHistorico } from './produtos-helper.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RELATORIOS_DIR = path.join(__dirname, 'data', 'relatorios');
+
+// Quantos exemplos de cada tipo de mudança vão para o relatório
+const AMOSTRA = 20;
+
+// Linhas por transação na importação em stream
+export const LOTE_PADRAO = 5000;
+
+// Colunas de destino aceitas num perfil
+const COLUNAS_DESTINO = ['codigo_barras', ...CAMPOS_PRODUTO];
+
+// Cabeçalhos aceitos para cada campo no perfil padrão (comparados sem acento/pontuação)
+const CABECALHOS = {
+  codigo_barras: ['cod. de barra', 'cod de barra', 'codigo de barra', 'gtin', 'codigo_barras'],
+  produto: ['produto', 'nome'],
+  grupo: ['grupo'],
+  subgrupo: ['subgrupo'],
+  marca: ['marca'],
+  categoria: ['categoria'],
+  ncm: ['ncm'],
+  unidade_medida: ['unidade medida', 'unidade_medida'],
+  quantidade: ['quantidade'],
+  peso_liquido: ['peso líquido', 'peso_liquido'],
+  peso_bruto: ['peso bruto', 'peso_bruto'],
+  preco_medio: ['preço médio', 'preco_medio']
+};
+
+export const PERFIL_PADRAO = 'padrao';
+
+// -------------------------------------------
+// TRANSFORMAÇÕES
+// -------------------------------------------
+
+// Aplicadas na ordem do perfil, depois de aparar os espaços das pontas
+export const TRANSFORMACOES = {
+  maiusculas: v => v.toUpperCase(),
+  minusculas: v => v.toLowerCase(),
+  apenas_digitos: v => v.replace(/\D/g, ''),
+  remover_acentos: v => v.normalize('NFD').replace(/[\u0300-\u036f]/g, ''),
+  espacos_simples: v => v.replace(/\s+/g, ' '),
+  // "1.234,56" → "1234.56" (número no formato brasileiro)
+  decimal: v => (v.includes(',') ? v.replace(/\./g, '').replace(',', '.') : v)
+};
+
+/**
+ * Cabeçalho na forma usada para comparar ("Cód. de Barra" → "cod de barra")
+ * @param {string} cabecalho
+ * @returns {string}
+ */
+export function normalizarCabecalho(cabecalho) {
+  return String(cabecalho ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// -------------------------------------------
+// PERFIS DE IMPORTAÇÃO
+// -------------------------------------------
+
+function erroImportacao(mensagem, status, erros) {
+  return Object.assign(new Error(mensagem), { status, erros });
+}
+
+/**
+ * Perfil embutido: cabeçalhos da PARA_BUSCAR_DO_SITE, só aparando espaços
+ * @returns {Object}
+ */
+function perfilPadrao() {
+  const colunas = {};
+  for (const [coluna, nomes] of Object.entries(CABECALHOS)) {
+    for (const nome of nomes) colunas[nome] = coluna;
+  }
+  return {
+    nome: PERFIL_PADRAO,
+    descricao: 'Cabeçalhos da PARA_BUSCAR_DO_SITE (embutido)',
+    colunas,
+    transformacoes: {},
+    aba: null,
+    delimitador: null,
+    embutido: true
+  };
+}
+
+/**
+ * Confere e limpa um perfil enviado pela API
+ * @param {Object} dados - {nome, descricao?, colunas, transformacoes?, aba?, delimitador?}
+ * @returns {Object} Perfil pronto para gravar
+ */
+export function validarPerfil(dados) {
+  const erros = [];
+  const nome = String(dados?.nome ?? '').trim();
+  const colunas = dados?.colunas && typeof dados.colunas === 'object' ? dados.colunas : {};
+  const transformacoes = dados?.transformacoes && typeof dados.transformacoes === 'object' ? dados.transformacoes : {};
+
+  if (!/^[a-z0-9_-]{1,50}$/i.test(nome)) erros.push('nome deve ter só letras, números, "_" ou "-" (até 50)');
+  if (nome.toLowerCase() === PERFIL_PADRAO) erros.push(`"${PERFIL_PADRAO}" é o perfil embutido e não pode ser alterado`);
+
+  for (const [cabecalho, coluna] of Object.entries(colunas)) {
+    if (!COLUNAS_DESTINO.includes(coluna)) erros.push(`coluna de destino inválida para "${cabecalho}": ${coluna}`);
+  }
+  if (!Object.values(colunas).includes('codigo_barras')) erros.push('o perfil precisa mapear alguma coluna para codigo_barras');
+
+  for (const [coluna, lista] of Object.entries(transformacoes)) {
+    if (!COLUNAS_DESTINO.includes(coluna)) erros.push(`transformação para coluna inválida: ${coluna}`);
+    if (!Array.isArray(lista)) {
+      erros.push(`transformacoes.${coluna} deve ser uma lista`);
+      continue;
+    }
+    for (const t of lista) {
+      if (!TRANSFORMACOES[t]) erros.push(`transformação desconhecida em ${coluna}: ${t}`);
+    }
+  }
+
+  if (dados?.delimitador && ![';', ',', '\t'].includes(dados.delimitador)) erros.push('delimitador deve ser ";", "," ou tabulação');
+
+  if (erros.length > 0) throw erroImportacao('Perfil inválido', 400, erros);
+
+  return {
+    nome,
+    descricao: dados.descricao ? String(dados.descricao) : '',
+    colunas: Object.fromEntries(Object.entries(colunas).map(([cab, col]) => [String(cab), col])),
+    transformacoes,
+    aba: dados.aba ? String(dados.aba) : null,
+    delimitador: dados.delimitador || null
+  };
+}
+
+function perfilDaLinha(linha) {
+  return { nome: linha.nome, descricao: linha.descricao || '', ...JSON.parse(linha.mapeamento), criado_em: linha.criado_em, atualizado_em: linha.atualizado_em };
+}
+
+/**
+ * Perfis salvos (o embutido vem primeiro)
+ * @param {Database} database
+ * @returns {Object[]}
+ */
+export function listarPerfis(database) {
+  const salvos = database.prepare('SELECT * FROM perfis_importacao ORDER BY nome').all().map(perfilDaLinha);
+  return [perfilPadrao(), ...salvos];
+}
+
+/**
+ * Perfil pelo nome (vazio = padrão)
+ * @param {Database|null} database - null: só o embutido
+ * @param {string} [nome]
+ * @returns {Object}
+ */
+export function obterPerfil(database, nome) {
+  if (!nome || nome === PERFIL_PADRAO) return perfilPadrao();
+
+  const linha = database ? database.prepare('SELECT * FROM perfis_importacao WHERE nome = ?').get(nome) : null;
+  if (!linha) throw erroImportacao(`Perfil de importação "${nome}" não encontrado`, 404);
+  return perfilDaLinha(linha);
+}
+
+/**
+ * Cria ou substitui um perfil
+ * @param {Database} database
+ * @param {Object} dados
+ * @returns {Object} Perfil gravado
+ */
+export function salvarPerfil(database, dados) {
+  const perfil = validarPerfil(dados);
+  const { nome, descricao, ...mapeamento } = perfil;
+
+  database.prepare(`
+    INSERT INTO perfis_importacao (nome, descricao, mapeamento)
+    VALUES (?, ?, ?)
+    ON CONFLICT(nome) DO UPDATE SET
+      descricao = excluded.descricao,
+      mapeamento = excluded.mapeamento,
+      atualizado_em = CURRENT_TIMESTAMP
+  `).run(nome, descricao, JSON.stringify(mapeamento));
+
+  return obterPerfil(database, nome);
+}
+
+/**
+ * Remove um perfil salvo
+ * @param {Database} database
+ * @param {string} nome
+ * @returns {boolean} false se não existia
+ */
+export function removerPerfil(database, nome) {
+  return database.prepare('DELETE FROM perfis_importacao WHERE nome = ?').run(nome).changes > 0;
+}
+
+// -------------------------------------------
+// LEITURA DO ARQUIVO
+// -------------------------------------------
+
+/**
+ * O arquivo é XLSX? (zip, começa com "PK")
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function ehPlanilha(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+}
+
+/**
+ * Aba escolhida: pelo nome ou pela posição (1 = primeira)
+ * @param {string[]} abas
+ * @param {string|number|null} aba
+ * @returns {string}
+ */
+function escolherAba(abas, aba) {
+  if (aba === undefined || aba === null || aba === '') return abas[0];
+  if (abas.includes(String(aba))) return String(aba);
+
+  const posicao = Number(aba);
+  if (Number.isInteger(posicao) && posicao >= 1 && posicao <= abas.length) return abas[posicao - 1];
+
+  throw erroImportacao(`Aba "${aba}" não encontrada`, 400, [`abas disponíveis: ${abas.join(', ')}`]);
+}
+
+/**
+ * Lê CSV ou XLSX como tabela (primeira linha = cabeçalho)
+ * @param {Buffer} buffer
+ * @param {{aba?: string|number, delimitador?: string}} [opcoes]
+ * @returns {{tipo: 'csv'|'xlsx', abas: string[], aba: string|null, delimitador: string|null, cabecalhos: string[], linhas: string[][]}}
+ */
+export function lerTabela(buffer, { aba, delimitador } = {}) {
+  if (ehPlanilha(buffer)) {
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const abas = workbook.SheetNames;
+    const escolhida = escolherAba(abas, aba);
+    const linhas = XLSX.utils.sheet_to_json(workbook.Sheets[escolhida], { header: 1, defval: '', blankrows: false })
+      .map(l => l.map(v => String(v ?? '')));
+
+    return { tipo: 'xlsx', abas, aba: escolhida, delimitador: null, cabecalhos: linhas[0] || [], linhas: linhas.slice(1) };
+  }
+
+  const csv = analisarCSV(buffer.toString('utf8'), { delimitador });
+  return { tipo: 'csv', abas: [], aba: null, delimitador: csv.delimitador, cabecalhos: csv.linhas[0] || [], linhas: csv.linhas.slice(1) };
+}
+
+// -------------------------------------------
+// MAPEAMENTO E PROBLEMAS POR LINHA
+// -------------------------------------------
+
+/**
+ * Liga cada cabeçalho da planilha a uma coluna da tabela segundo o perfil
+ * @param {string[]} cabecalhos
+ * @param {Object} perfil
+ * @returns {{indices: Array<string|null>, colunas: Object<string, string>, naoMapeados: string[]}}
+ */
+function resolverColunas(cabecalhos, perfil) {
+  const porNome = new Map(Object.entries(perfil.colunas).map(([cab, col]) => [normalizarCabecalho(cab), col]));
+
+  const indices = cabecalhos.map(cab => porNome.get(normalizarCabecalho(cab)) || null);
+  const colunas = {};
+  const naoMapeados = [];
+  cabecalhos.forEach((cab, i) => {
+    if (indices[i]) colunas[cab] = indices[i];
+    else if (String(cab).trim()) naoMapeados.push(cab);
+  });
+
+  return { indices, colunas, naoMapeados };
+}
+
+function aplicarTransformacoes(valor, lista = []) {
+  return lista.reduce((v, t) => TRANSFORMACOES[t](v), String(valor ?? '').trim());
+}
+
+/**
+ * Converte as linhas da tabela em produtos, anotando os problemas de cada linha
+ * Nível "erro": a linha fica de fora (sem código utilizável). Nível "aviso":
+ * a linha entra, mas merece conferência.
+ * Campos sem coluna na planilha ficam undefined (a importação incremental
+ * não apaga o que a fonte não informa).
+ * @param {ReturnType<typeof lerTabela>} tabela
+ * @param {Object} perfil
+ * @param {{primeiraLinha?: number, vistos?: Map<string, number>}} [opcoes]
+ *   primeiraLinha: número da primeira linha de dados (lotes da importação em stream);
+ *   vistos: códigos já lidos → linha (compartilhado entre lotes para achar repetidos)
+ * @returns {{
+ *   produtos: Array<Object>, linhas: number, invalidos: number, colunas: Object<string, string>, naoMapeados: string[],
+ *   problemas: Array<{linha: number, codigo: string, nivel: 'erro'|'aviso', mensagens: string[]}>
+ * }} linha = número do registro na planilha (cabeçalho = 1)
+ */
+export function mapearLinhas(tabela, perfil, { primeiraLinha = 2, vistos = new Map() } = {}) {
+  const { indices, colunas, naoMapeados } = resolverColunas(tabela.cabecalhos, perfil);
+  const transformacoes = perfil.transformacoes || {};
+
+  const produtos = [];
+  const problemas = [];
+  let invalidos = 0;
+
+  if (!indices.includes('codigo_barras')) {
+    throw erroImportacao('Nenhuma coluna do arquivo foi reconhecida como código de barras', 400, [
+      `cabeçalhos do arquivo: ${tabela.cabecalhos.join(', ')}`,
+      `perfil: ${perfil.nome}`
+    ]);
+  }
+
+  tabela.linhas.forEach((valores, i) => {
+    const numero = primeiraLinha + i;
+    const erros = [];
+    const avisos = [];
+
+    const valoresPorColuna = {};
+    indices.forEach((coluna, idx) => {
+      if (!coluna) return;
+      const valor = aplicarTransformacoes(valores[idx], transformacoes[coluna]);
+      // Duas colunas para o mesmo campo (ex.: "produto" e "nome"): vale a primeira preenchida
+      if (!valoresPorColuna[coluna]) valoresPorColuna[coluna] = valor;
+    });
+
+    if (valores.length > tabela.cabecalhos.length && valores.slice(tabela.cabecalhos.length).some(v => String(v).trim())) {
+      avisos.push(`linha com ${valores.length} colunas, o cabeçalho tem ${tabela.cabecalhos.length} (aspas ou delimitador?)`);
+    }
+
+    const original = valoresPorColuna.codigo_barras || '';
+    const codigo = normalizarCodigo(original);
+    if (!original) {
+      erros.push('código de barras vazio');
+    } else if (codigo.length < 8) {
+      erros.push(`código de barras inválido: "${original}"`);
+    } else {
+      if (/\d[.,]?\d*e\+?\d+/i.test(original)) {
+        avisos.push(`código em notação científica ("${original}"): os últimos dígitos podem ter se perdido`);
+      }
+      const analise = analisarCodigo(codigo);
+      if (analise.erro === 'tamanho_invalido') avisos.push(`código com ${codigo.length} dígitos não é um GTIN`);
+      if (analise.erro === 'digito_verificador_invalido') avisos.push(`dígito verificador inválido (esperado ${analise.digitoEsperado})`);
+      if (vistos.has(codigo)) avisos.push(`código repetido (já aparece na linha ${vistos.get(codigo)})`);
+    }
+
+    if ('produto' in valoresPorColuna && !valoresPorColuna.produto) avisos.push('produto sem nome');
+    if (valoresPorColuna.ncm && !/^\d{8}$/.test(valoresPorColuna.ncm.replace(/[.\s-]/g, ''))) {
+      avisos.push(`ncm "${valoresPorColuna.ncm}" não tem 8 dígitos`);
+    }
+
+    if (erros.length > 0 || avisos.length > 0) {
+      problemas.push({ linha: numero, codigo, nivel: erros.length > 0 ? 'erro' : 'aviso', mensagens: [...erros, ...avisos] });
+    }
+    if (erros.length > 0) {
+      invalidos++;
+      return;
+    }
+
+    if (!vistos.has(codigo)) vistos.set(codigo, numero);
+    const produto = { codigo_barras: codigo };
+    for (const campo of CAMPOS_PRODUTO) {
+      if (campo in valoresPorColuna) produto[campo] = valoresPorColuna[campo];
+    }
+    produto.tipo_gtin = tipoDoCodigo(codigo);
+    produto.fonte = 'local';
+    produto.linha = numero;
+    produtos.push(produto);
+  });
+
+  return { produtos, linhas: tabela.linhas.length, invalidos, colunas, naoMapeados, problemas };
+}
+
+/**
+ * Lê um arquivo enviado (CSV ou XLSX) e converte com o perfil
+ * Aba e delimitador da chamada têm prioridade sobre os do perfil.
+ * @param {Buffer} buffer
+ * @param {{perfil?: Object, aba?: string|number, delimitador?: string}} [opcoes]
+ * @returns {ReturnType<typeof mapearLinhas> & {tipo: string, abas: string[], aba: string|null, delimitador: string|null}}
+ */
+export function produtosDoArquivo(buffer, { perfil = perfilPadrao(), aba, delimitador } = {}) {
+  const tabela = lerTabela(buffer, { aba: aba ?? perfil.aba, delimitador: delimitador || perfil.delimitador });
+  const { tipo, abas, aba: escolhida, delimitador: usado } = tabela;
+  return { tipo, abas, aba: escolhida, delimitador: usado, ...mapearLinhas(tabela, perfil) };
+}
+
+/**
+ * Prévia da importação: primeiras linhas já mapeadas e todas as linhas com
+ * problema, sem gravar nada
+ * @param {Buffer} buffer
+ * @param {{perfil?: Object, aba?: string|number, delimitador?: string, linhas?: number}} [opcoes]
+ * @returns {Object}
+ */
+export function previaImportacao(buffer, { linhas = 20, ...opcoes } = {}) {
+  const resultado = produtosDoArquivo(buffer, opcoes);
+  const erros = resultado.problemas.filter(p => p.nivel === 'erro').length;
+
+  return {
+    perfil: opcoes.perfil?.nome || PERFIL_PADRAO,
+    tipo: resultado.tipo,
+    abas: resultado.abas,
+    aba: resultado.aba,
+    delimitador: resultado.delimitador,
+    colunas: resultado.colunas,
+    naoMapeados: resultado.naoMapeados,
+    resumo: {
+      linhas: resultado.linhas,
+      validos: resultado.produtos.length,
+      erros,
+      avisos: resultado.problemas.length - erros
+    },
+    amostra: resultado.produtos.slice(0, linhas),
+    problemas: resultado.problemas
+  };
+}
+
+
+// -------------------------------------------
+// APLICAÇÃO NA TABELA PRODUTOS
+// -------------------------------------------
+
+/**
+ * Relatório vazio de uma importação
+ * @param {{arquivo?: string, marcarAusentes?: boolean}} opcoes
+ * @returns {Object}
+ */
+function novoRelatorio({ arquivo = null, marcarAusentes = false }) {
+  return {
+    arquivo,
+    inicio: new Date().toISOString(),
+    fim: null,
+    marcarAusentes,
+    total: 0,
+    adicionados: 0,
+    alterados: 0,
+    inalterados: 0,
+    reapareceram: 0,
+    preservadosManuais: 0,
+    ignoradosExcluidos: 0,
+    ausentes: 0,
+    invalidos: 0,
+    avisos: 0,
+    amostras: { adicionados: [], alterados: [], ausentes: [], problemas: [] }
+  };
+}
+
+/**
+ * Soma os problemas de um trecho do arquivo ao relatório
+ * @param {Object} relatorio
+ * @param {Object[]} problemas - Saída de mapearLinhas
+ */
+function registrarProblemas(relatorio, problemas) {
+  relatorio.avisos += problemas.filter(p => p.nivel === 'aviso').length;
+  const vagas = AMOSTRA - relatorio.amostras.problemas.length;
+  if (vagas > 0) relatorio.amostras.problemas.push(...problemas.slice(0, vagas));
+}
+
+/**
+ * Abre o registro da importação em importacoes (os códigos vistos ficam em importacao_codigos)
+ * @param {Database} database
+ * @param {Object} dados - arquivo, tamanho, modificado_em, perfil, delimitador, cabecalhos, posicao
+ * @param {Object} relatorio
+ * @returns {number} id
+ */
+function abrirImportacao(database, dados, relatorio) {
+  return database.prepare(`
+    INSERT INTO importacoes (arquivo, tamanho, modificado_em, perfil, delimitador, cabecalhos, posicao, relatorio, atualizada_em)
+    VALUES (@arquivo, @tamanho, @modificado_em, @perfil, @delimitador, @cabecalhos, @posicao, @relatorio, datetime('now'))
+  `).run({
+    tamanho: null, modificado_em: null, perfil: null, delimitador: null, cabecalhos: null, posicao: 0,
+    ...dados,
+    arquivo: dados.arquivo || '(envio)',
+    relatorio: JSON.stringify(relatorio)
+  }).lastInsertRowid;
+}
+
+/**
+ * Aplica um lote de produtos da fonte (chamar dentro de uma transação)
+ * @param {Database} database
+ * @param {Object[]} produtos - Saída de mapearLinhas
+ * @param {Object} relatorio - Contagens e amostras (atualizado aqui)
+ * @param {{importacao: number, usuario: string}} opcoes
+ */
+function aplicarProdutos(database, produtos, relatorio, { importacao, usuario }) {
+  const buscar = database.prepare('SELECT * FROM produtos WHERE codigo_barras = ?');
+  const inserir = database.prepare(`
+    INSERT INTO produtos (codigo_barras, ${CAMPOS_PRODUTO.join(', ')}, tipo_gtin, fonte, atualizado_em)
+    VALUES (@codigo_barras, ${CAMPOS_PRODUTO.map(c => `@${c}`).join(', ')}, @tipo_gtin, @fonte, datetime('now'))
+  `);
+  // Campo null mantém o valor atual: um só UPDATE serve qualquer combinação de campos alterados
+  const atualizar = database.prepare(`
+    UPDATE produtos SET ${CAMPOS_PRODUTO.map(c => `${c} = COALESCE(@${c}, ${c})`).join(', ')}, atualizado_em = datetime('now')
+    WHERE codigo_barras = @codigo_barras
+  `);
+  const marcarPresente = database.prepare('UPDATE produtos SET ausente_desde = NULL WHERE codigo_barras = ?');
+  // Códigos vistos na fonte (para achar os ausentes no fim)
+  const registrarVisto = database.prepare('INSERT OR IGNORE INTO importacao_codigos (importacao, codigo, linha) VALUES (?, ?, ?)');
+
+  relatorio.total += produtos.length;
+
+  for (const p of produtos) {
+    registrarVisto.run(importacao, p.codigo_barras, p.linha ?? null);
+    const atual = buscar.get(p.codigo_barras);
+
+    if (!atual) {
+      inserir.run({ ...Object.fromEntries(CAMPOS_PRODUTO.map(c => [c, p[c] ?? ''])), ...p });
+      relatorio.adicionados++;
+      if (relatorio.amostras.adicionados.length < AMOSTRA) {
+        relatorio.amostras.adicionados.push({ codigo: p.codigo_barras, produto: p.produto });
+      }
+      continue;
+    }
+
+    if (atual.excluido_em) {
+      relatorio.ignoradosExcluidos++;
+      continue;
+    }
+    if (atual.fonte === 'manual') {
+      relatorio.preservadosManuais++;
+      continue;
+    }
+
+    if (atual.ausente_desde) {
+      marcarPresente.run(p.codigo_barras);
+      relatorio.reapareceram++;
+    }
+
+    const campos = CAMPOS_PRODUTO.filter(c => p[c] !== undefined && (atual[c] ?? '') !== p[c]);
+    if (campos.length === 0) {
+      relatorio.inalterados++;
+      continue;
+    }
+
+    atualizar.run({
+      ...Object.fromEntries(CAMPOS_PRODUTO.map(c => [c, campos.includes(c) ? p[c] : null])),
+      codigo_barras: p.codigo_barras
+    });
+    registrarHistorico(database, p.codigo_barras, 'importar', usuario, fotoDoProduto(atual), fotoDoProduto(buscar.get(p.codigo_barras)));
+
+    relatorio.alterados++;
+    if (relatorio.amostras.alterados.length < AMOSTRA) {
+      relatorio.amostras.alterados.push({
+        codigo: p.codigo_barras,
+        campos: Object.fromEntries(campos.map(c => [c, { antes: atual[c] ?? '', depois: p[c] }]))
+      });
+    }
+  }
+}
+
+/**
+ * Fecha a importação: marca os ausentes (se pedido), grava o relatório final
+ * e libera os códigos vistos (chamar dentro de uma transação)
+ * @param {Database} database
+ * @param {number} importacao
+ * @param {Object} relatorio
+ */
+function concluirImportacao(database, importacao, relatorio) {
+  // Produtos da fonte anterior que não vieram desta vez (manuais e excluídos ficam de fora)
+  if (relatorio.marcarAusentes) {
+    const ausentes = database.prepare(`
+      SELECT codigo_barras, produto FROM produtos
+      WHERE fonte = 'local' AND excluido_em IS NULL AND ausente_desde IS NULL
+        AND codigo_barras NOT IN (SELECT codigo FROM importacao_codigos WHERE importacao = ?)
+    `).all(importacao);
+
+    const marcar = database.prepare("UPDATE produtos SET ausente_desde = datetime('now') WHERE codigo_barras = ?");
+    for (const a of ausentes) {
+      marcar.run(a.codigo_barras);
+    }
+    relatorio.ausentes = ausentes.length;
+    relatorio.amostras.ausentes = ausentes.slice(0, AMOSTRA).map(a => ({ codigo: a.codigo_barras, produto: a.produto }));
+  }
+
+  relatorio.fim = new Date().toISOString();
+  database.prepare('DELETE FROM importacao_codigos WHERE importacao = ?').run(importacao);
+  database.prepare(`
+    UPDATE importacoes SET status = 'concluida', relatorio = ?, atualizada_em = datetime('now') WHERE id = ?
+  `).run(JSON.stringify(relatorio), importacao);
+}
+
+/**
+ * Aplica os produtos da fonte na tabela produtos (arquivo já lido em memória)
+ * @param {Database} database - Conexão aberta (servidor ou script)
+ * @param {Object[]} produtos - Saída de produtosDoArquivo
+ * @param {{marcarAusentes?: boolean, arquivo?: string, usuario?: string, invalidos?: number, problemas?: Object[]}} [opcoes]
+ *   problemas: linhas com erro/aviso apontadas por mapearLinhas
+ * @returns {Object} Relatório (contagens e amostras)
+ */
+export function importarIncremental(database, produtos, { marcarAusentes = false, arquivo = null, usuario = 'importacao', invalidos = 0, problemas = [] } = {}) {
+  const relatorio = novoRelatorio({ arquivo, marcarAusentes });
+  relatorio.invalidos = invalidos;
+  registrarProblemas(relatorio, problemas);
+
+  database.transaction(() => {
+    const importacao = abrirImportacao(database, { arquivo }, relatorio);
+    aplicarProdutos(database, produtos, relatorio, { importacao, usuario });
+    concluirImportacao(database, importacao, relatorio);
+  })();
+
+  return relatorio;
+}
+
+// -------------------------------------------
+// IMPORTAÇÃO EM STREAM (arquivos grandes, com retomada)
+// -------------------------------------------
+
+/**
+ * Códigos já lidos nesta importação: os do lote atual em memória, os dos
+ * lotes anteriores em importacao_codigos (a memória não cresce com o arquivo)
+ * @param {Database} database
+ * @param {number} importacao
+ * @returns {Map<string, number>} Interface de Map usada por mapearLinhas
+ */
+function vistosDaImportacao(database, importacao) {
+  const lote = new Map();
+  const buscarLinha = database.prepare('SELECT linha FROM importacao_codigos WHERE importacao = ? AND codigo = ?');
+  return {
+    has: codigo => lote.has(codigo) || Boolean(buscarLinha.get(importacao, codigo)),
+    get: codigo => lote.get(codigo) ?? buscarLinha.get(importacao, codigo)?.linha,
+    set: (codigo, linha) => lote.set(codigo, linha),
+    clear: () => lote.clear()
+  };
+}
+
+/**
+ * Importação interrompida do mesmo arquivo (mesmo tamanho, data e perfil)
+ * @param {Database} database
+ * @param {string} caminho - Caminho absoluto do CSV
+ * @param {string} perfil - Nome do perfil
+ * @returns {Object|null} Linha de importacoes
+ */
+export function importacaoPendente(database, caminho, perfil = PERFIL_PADRAO) {
+  const { size, mtime } = fs.statSync(caminho);
+  return database.prepare(`
+    SELECT * FROM importacoes
+    WHERE arquivo = ? AND tamanho = ? AND modificado_em = ? AND perfil = ? AND status = 'andamento'
+    ORDER BY id DESC LIMIT 1
+  `).get(path.resolve(caminho), size, mtime.toISOString(), perfil) || null;
+}
+
+/**
+ * Marca importações como abandonadas e libera os códigos vistos delas
+ * @param {Database} database
+ * @param {number[]} ids
+ */
+function abandonarImportacoes(database, ids) {
+  const liberar = database.prepare('DELETE FROM importacao_codigos WHERE importacao = ?');
+  const abandonar = database.prepare("UPDATE importacoes SET status = 'abandonada', atualizada_em = datetime('now') WHERE id = ?");
+  database.transaction(() => {
+    for (const id of ids) {
+      liberar.run(id);
+      abandonar.run(id);
+    }
+  })();
+}
+
+/**
+ * Descarta importações interrompidas de um arquivo (quando não vão ser retomadas)
+ * @param {Database} database
+ * @param {string} caminho
+ */
+function abandonarPendentes(database, caminho) {
+  const pendentes = database.prepare(`
+    SELECT id FROM importacoes WHERE arquivo = ? AND status = 'andamento'
+  `).all(path.resolve(caminho));
+  abandonarImportacoes(database, pendentes.map(p => p.id));
+}
+
+/**
+ * Descarta as importações interrompidas que não têm como ser retomadas
+ * Só o CLI retoma (pelo mesmo arquivo); uma importação pela API que caiu no
+ * meio deixaria o registro em andamento e os códigos vistos para sempre.
+ * @param {Database} database
+ * @param {(arquivo: string) => boolean} naoRetomavel - true para descartar
+ * @returns {string[]} Arquivos das importações descartadas
+ */
+export function abandonarInterrompidas(database, naoRetomavel) {
+  const interrompidas = database.prepare(`
+    SELECT id, arquivo FROM importacoes WHERE status = 'andamento'
+  `).all().filter(i => naoRetomavel(i.arquivo));
+  abandonarImportacoes(database, interrompidas.map(i => i.id));
+  return interrompidas.map(i => i.arquivo);
+}
+
+/**
+ * Importa um CSV grande lendo em stream, em lotes de tamanho fixo
+ * Cada lote é uma transação que também grava até onde o arquivo foi lido
+ * (byte e linha). Se o processo cair, a próxima chamada com o mesmo arquivo
+ * continua do último lote gravado em vez de recomeçar.
+ * @param {Database} database
+ * @param {string} caminho - Arquivo CSV
+ * @param {{
+ *   perfil?: Object, delimitador?: string, lote?: number, marcarAusentes?: boolean,
+ *   usuario?: string, arquivo?: string, retomar?: boolean,
+ *   aoProgredir?: (progresso: {linhas: number, posicao: number, tamanho: number, percentual: number, porSegundo: number, eta: number|null}) => void
+ * }} [opcoes] - arquivo: nome no relatório (padrão: nome do CSV); retomar=false recomeça do zero
+ * @returns {Promise<Object>} Relatório (com retomadaDaLinha quando continuou uma importação anterior)
+ */
+export async function importarEmStream(database, caminho, {
+  perfil = perfilPadrao(), delimitador, lote = LOTE_PADRAO, marcarAusentes = false,
+  usuario = 'importacao', arquivo, retomar = true, aoProgredir
+} = {}) {
+  const absoluto = path.resolve(caminho);
+  const { size: tamanho, mtime } = fs.statSync(absoluto);
+
+  const pendente = retomar ? importacaoPendente(database, absoluto, perfil.nome) : null;
+  if (!pendente) abandonarPendentes(database, absoluto);
+
+  let importacao = pendente?.id ?? null;
+  let cabecalhos = pendente ? JSON.parse(pendente.cabecalhos) : null;
+  let linhas = pendente?.linhas ?? 0;
+  let posicao = pendente?.posicao ?? 0;
+  const relatorio = pendente ? JSON.parse(pendente.relatorio) : novoRelatorio({ arquivo: arquivo === undefined ? path.basename(absoluto) : arquivo, marcarAusentes });
+  if (pendente) relatorio.retomadaDaLinha = linhas + 2;
+
+  let vistos = importacao ? vistosDaImportacao(database, importacao) : null;
+  const inicioLeitura = { tempo: Date.now(), posicao };
+  let pendentes = [];
+  let fimDoLote = posicao;
+
+  const salvarPosicao = database.prepare(`
+    UPDATE importacoes SET posicao = ?, linhas = ?, relatorio = ?, atualizada_em = datetime('now') WHERE id = ?
+  `);
+
+  const gravarLote = database.transaction((registros, fim) => {
+    const resultado = mapearLinhas({ cabecalhos, linhas: registros }, perfil, { primeiraLinha: linhas + 2, vistos });
+    relatorio.invalidos += resultado.invalidos;
+    registrarProblemas(relatorio, resultado.problemas);
+    aplicarProdutos(database, resultado.produtos, relatorio, { importacao, usuario });
+
+    linhas += registros.length;
+    posicao = fim;
+    salvarPosicao.run(posicao, linhas, JSON.stringify(relatorio), importacao);
+  });
+
+  const processarLote = () => {
+    gravarLote(pendentes, fimDoLote);
+    pendentes = [];
+    vistos.clear();
+
+    if (aoProgredir) {
+      const segundos = (Date.now() - inicioLeitura.tempo) / 1000;
+      const bytesPorSegundo = segundos > 0 ? (posicao - inicioLeitura.posicao) / segundos : 0;
+      aoProgredir({
+        linhas,
+        posicao,
+        tamanho,
+        percentual: tamanho > 0 ? Math.round((posicao / tamanho) * 1000) / 10 : 100,
+        porSegundo: segundos > 0 ? Math.round((linhas - (pendente?.linhas ?? 0)) / segundos) : 0,
+        eta: bytesPorSegundo > 0 ? Math.round((tamanho - posicao) / bytesPorSegundo) : null
+      });
+    }
+  };
+
+  for await (const { campos, fim, delimitador: usado } of registrosCSV(absoluto, {
+    delimitador: pendente?.delimitador || delimitador || perfil.delimitador,
+    inicio: posicao
+  })) {
+    if (!cabecalhos) {
+      // Confere o cabeçalho antes de gravar qualquer coisa (sem coluna de código, erro 400)
+      mapearLinhas({ cabecalhos: campos, linhas: [] }, perfil);
+      cabecalhos = campos;
+      posicao = fim;
+      importacao = abrirImportacao(database, {
+        arquivo: absoluto, tamanho, modificado_em: mtime.toISOString(), perfil: perfil.nome,
+        delimitador: usado, cabecalhos: JSON.stringify(cabecalhos), posicao
+      }, relatorio);
+      vistos = vistosDaImportacao(database, importacao);
+      continue;
+    }
+
+    pendentes.push(campos);
+    fimDoLote = fim;
+    if (pendentes.length >= lote) processarLote();
+  }
+
+  if (!cabecalhos) throw erroImportacao('Arquivo vazio', 400);
+  if (pendentes.length > 0) processarLote();
+
+  database.transaction(() => concluirImportacao(database, importacao, relatorio))();
+  return relatorio;
+}
+
+/**
+ * Grava o relatório em data/relatorios/importacao-AAAAMMDD-HHMMSS.json
+ * @param {Object} relatorio
+ * @returns {string} Caminho do arquivo
+ */
+export function salvarRelatorio(relatorio) {
+  fs.mkdirSync(RELATORIOS_DIR, { recursive: true });
+  const carimbo = relatorio.inicio.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const caminho = path.join(RELATORIOS_DIR, `importacao-${carimbo}.json`);
+  fs.writeFileSync(caminho, JSON.stringify(relatorio, null, 2));
+  return caminho;
+}
+
+export default {
+  RELATORIOS_DIR,
+  LOTE_PADRAO,
+  PERFIL_PADRAO,
+  TRANSFORMACOES,
+  normalizarCabecalho,
+  validarPerfil,
+  listarPerfis,
+  obterPerfil,
+  salvarPerfil,
+  removerPerfil,
+  lerTabela,
+  mapearLinhas,
+  produtosDoArquivo,
+  previaImportacao,
+  importarIncremental,
+  importacaoPendente,
+  abandonarInterrompidas,
+  importarEmStream,
+  salvarRelatorio,
+};
@@ -0,0 +1,166 @@
+/**
+ * Lote Helper - Consulta de listas de códigos de barras
+ * Lê a lista (JSON, CSV, XLSX ou texto), executa as consultas com
+ * concorrência limitada e monta as linhas do resultado.
+ */
+
+import XLSX from 'xlsx';
+import { normalizarCodigo } from './gtin-helper.js';
+
+// Cabeçalhos aceitos para a coluna de códigos numa planilha/CSV
+const COLUNAS_CODIGO = ['cod de barra', 'codigo de barras', 'código de barras', 'codigo_barras', 'codigo', 'código', 'gtin', 'ean', 'barcode'];
+
+/**
+ * Extrai os códigos do corpo JSON: ["789..."], [{codigo: "789..."}] ou {codigos: [...]}
+ * @param {any} corpo
+ * @returns {string[]|null} null se o formato não for reconhecido
+ */
+export function codigosDoJSON(corpo) {
+  const lista = Array.isArray(corpo) ? corpo : (corpo && Array.isArray(corpo.codigos) ? corpo.codigos : null);
+  if (!lista) return null;
+
+  return lista
+    .map(item => (item && typeof item === 'object' ? item.codigo ?? item.gtin ?? item.ean : item))
+    .map(item => String(item ?? '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Extrai os códigos de um arquivo enviado (XLSX, CSV ou um código por linha)
+ * Usa a coluna com cabeçalho conhecido ou, se não houver, a primeira coluna.
+ * @param {Buffer} buffer
+ * @returns {string[]}
+ */
+export function codigosDoArquivo(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+
+  const linhas = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+  if (linhas.length === 0) return [];
+
+  const cabecalho = linhas[0].map(c => String(c).trim().toLowerCase());
+  let coluna = cabecalho.findIndex(c => COLUNAS_CODIGO.includes(c));
+  let inicio = 1;
+
+  if (coluna < 0) {
+    coluna = 0;
+    // Sem cabeçalho reconhecido: a primeira linha só é cabeçalho se não tiver dígitos
+    inicio = normalizarCodigo(linhas[0][0]) ? 0 : 1;
+  }
+
+  return linhas
+    .slice(inicio)
+    .map(linha => String(linha[coluna] ?? '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Executa fn para cada item com no máximo `concorrencia` execuções ao mesmo tempo
+ * @param {any[]} itens
+ * @param {(item: any, indice: number) => Promise<any>} fn
+ * @param {{concorrencia?: number, aoConcluir?: (resultado: any, indice: number) => void|Promise<void>, cancelado?: () => boolean}} [opcoes]
+ *   aoConcluir pode devolver uma Promise (ex: esperar o cliente ler a resposta) e o trabalhador espera
+ * @returns {Promise<any[]>} Resultados na ordem dos itens
+ */
+export async function processarEmLote(itens, fn, { concorrencia = 4, aoConcluir, cancelado } = {}) {
+  const resultados = new Array(itens.length);
+  let proximo = 0;
+
+  async function trabalhador() {
+    while (proximo < itens.length) {
+      if (cancelado && cancelado()) return;
+      const indice = proximo++;
+      resultados[indice] = await fn(itens[indice], indice);
+      if (aoConcluir) await aoConcluir(resultados[indice], indice);
+    }
+  }
+
+  const total = Math.max(1, Math.min(concorrencia, itens.length));
+  await Promise.all(Array.from({ length: total }, trabalhador));
+  return resultados;
+}
+
+/**
+ * Monta a linha do lote a partir da resposta de /consulta
+ * origem: local | cache | online | nao_encontrado | invalido
+ * @param {string} codigo - Como veio na lista
+ * @param {object} resposta - Payload de consultarCodigo
+ * @param {number} indice
+ */
+export function linhaDoLote(codigo, resposta, indice) {
+  if (resposta.ok) {
+    const produto = resposta.produto || {};
+    return {
+      indice,
+      codigo,
+      ok: true,
+      origem: resposta.origem,
+      fonte: resposta.fonte || '',
+      tipo: resposta.gtin ? resposta.gtin.tipo : '',
+      nome: produto.produto || produto.nome || '',
+      marca: produto.marca || '',
+      categoria: produto.categoria || '',
+      quantidade: produto.quantidade || '',
+      erro: ''
+    };
+  }
+
+  return {
+    indice,
+    codigo,
+    ok: false,
+    origem: resposta.erro === 'nao_encontrado' || resposta.erro === 'plu_nao_encontrado' ? 'nao_encontrado' : 'invalido',
+    fonte: '',
+    tipo: resposta.tipo || '',
+    nome: '',
+    marca: '',
+    categoria: '',
+    quantidade: '',
+    erro: resposta.erro || ''
+  };
+}
+
+/**
+ * Gera o XLSX com as linhas do lote
+ * @param {object[]} linhas
+ * @returns {Buffer}
+ */
+export function planilhaDoLote(linhas) {
+  const dados = linhas.map(l => ({
+    "Código de Barras": l.codigo,
+    "Origem": l.origem,
+    "Fonte": l.fonte,
+    "Tipo": l.tipo,
+    "Produto": l.nome,
+    "Marca": l.marca,
+    "Categoria": l.categoria,
+    "Quantidade": l.quantidade,
+    "Erro": l.erro
+  }));
+
+  const sheet = XLSX.utils.json_to_sheet(dados);
+  sheet['!cols'] = [
+    { wch: 18 },
+    { wch: 15 },
+    { wch: 25 },
+    { wch: 8 },
+    { wch: 40 },
+    { wch: 20 },
+    { wch: 25 },
+    { wch: 12 },
+    { wch: 28 }
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Consulta em Lote");
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+export default {
+  codigosDoJSON,
+  codigosDoArquivo,
+  processarEmLote,
+  linhaDoLote,
+  planilhaDoLote,
+};
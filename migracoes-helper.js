@@ -0,0 +1,100 @@
+/**
+ * Migrações Helper - Versão do esquema SQLite
+ * Cada migração de migracoes/ tem um número; schema_version guarda as que já
+ * rodaram. As pendentes são aplicadas em ordem, cada uma numa transação
+ * (ou entra inteira ou não entra). O modo simulação só lista o que falta.
+ */
+
+import { MIGRACOES } from './migracoes/index.js';
+
+// A lista precisa estar em ordem e sem buracos (1, 2, 3...)
+MIGRACOES.forEach((m, i) => {
+  if (m.versao !== i + 1 || typeof m.up !== 'function') {
+    throw new Error(`Migração na posição ${i + 1} de migracoes/index.js está fora de ordem ou incompleta (versao ${m.versao})`);
+  }
+});
+
+export const VERSAO_MAIS_RECENTE = MIGRACOES.length;
+
+function garantirTabelaVersao(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      versao INTEGER PRIMARY KEY,
+      descricao TEXT NOT NULL,
+      aplicada_em TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+// Banco anterior ao controle de versão (ou novo): ainda não tem schema_version
+function temTabelaVersao(database) {
+  return Boolean(database.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'").get());
+}
+
+/**
+ * Migrações já aplicadas no banco (não altera nada, serve para a simulação)
+ * @param {Database} database
+ * @returns {Array<{versao: number, descricao: string, aplicada_em: string}>}
+ */
+export function migracoesAplicadas(database) {
+  if (!temTabelaVersao(database)) return [];
+  return database.prepare('SELECT versao, descricao, aplicada_em FROM schema_version ORDER BY versao').all();
+}
+
+/**
+ * Versão em que o banco está (0 = nenhuma migração registrada)
+ * @param {Database} database
+ * @returns {number}
+ */
+export function versaoDoEsquema(database) {
+  return migracoesAplicadas(database).reduce((maior, m) => Math.max(maior, m.versao), 0);
+}
+
+/**
+ * Migrações ainda não aplicadas no banco
+ * @param {Database} database
+ * @returns {Array<{versao: number, descricao: string}>}
+ */
+export function migracoesPendentes(database) {
+  const aplicadas = new Set(migracoesAplicadas(database).map(m => m.versao));
+  return MIGRACOES.filter(m => !aplicadas.has(m.versao)).map(({ versao, descricao }) => ({ versao, descricao }));
+}
+
+/**
+ * Aplica as migrações pendentes em ordem
+ * Se uma falhar, a transação dela é desfeita, as seguintes não rodam e o erro sobe.
+ * @param {Database} database
+ * @param {{simular?: boolean}} [opcoes] - simular: só retorna as pendentes, sem alterar o banco
+ * @returns {Array<{versao: number, descricao: string}>} Migrações aplicadas (ou que seriam)
+ */
+export function aplicarMigracoes(database, { simular = false } = {}) {
+  const pendentes = migracoesPendentes(database);
+
+  const versaoAtual = versaoDoEsquema(database);
+  if (versaoAtual > VERSAO_MAIS_RECENTE) {
+    console.warn(`⚠️ Banco na versão ${versaoAtual} do esquema, mas este código só conhece até a ${VERSAO_MAIS_RECENTE}`);
+  }
+
+  if (simular || pendentes.length === 0) return pendentes;
+
+  garantirTabelaVersao(database);
+  const registrar = database.prepare('INSERT INTO schema_version (versao, descricao) VALUES (?, ?)');
+  for (const { versao, descricao } of pendentes) {
+    const migracao = MIGRACOES[versao - 1];
+    database.transaction(() => {
+      migracao.up(database);
+      registrar.run(versao, descricao);
+    })();
+    console.log(`🗄️  Migração ${String(versao).padStart(3, '0')} aplicada: ${descricao}`);
+  }
+
+  return pendentes;
+}
+
+export default {
+  VERSAO_MAIS_RECENTE,
+  versaoDoEsquema,
+  migracoesPendentes,
+  migracoesAplicadas,
+  aplicarMigracoes,
+};
@@ -0,0 +1,206 @@
+/**
+ * Migração 001 - Esquema base
+ * Tabelas e colunas criadas antes do controle de versão do esquema. Tudo aqui
+ * usa IF NOT EXISTS / adicionarColuna, porque os bancos já em uso foram
+ * criados por versões anteriores em estágios diferentes.
+ */
+
+import { adicionarColuna } from '../database-helper.js';
+
+export const versao = 1;
+export const descricao = 'Esquema base (produtos, cache online, PLU, embalagens, códigos alternativos, histórico, importações)';
+
+/**
+ * @param {Database} database - Conexão aberta (já dentro da transação)
+ */
+export function up(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS produtos (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      codigo_barras TEXT UNIQUE NOT NULL,
+      produto TEXT,
+      grupo TEXT,
+      subgrupo TEXT,
+      marca TEXT,
+      categoria TEXT,
+      ncm TEXT,
+      unidade_medida TEXT,
+      quantidade TEXT,
+      peso_liquido TEXT,
+      peso_bruto TEXT,
+      preco_medio TEXT,
+      fonte TEXT DEFAULT 'local',
+      data_cadastro TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_codigo ON produtos(codigo_barras);
+    CREATE INDEX IF NOT EXISTS idx_produto ON produtos(produto);
+    CREATE INDEX IF NOT EXISTS idx_marca ON produtos(marca);
+
+    CREATE TABLE IF NOT EXISTS produtos_online (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      codigo_barras TEXT UNIQUE NOT NULL,
+      nome TEXT,
+      marca TEXT,
+      categoria TEXT,
+      fonte TEXT NOT NULL,
+      data_coleta TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_online_codigo ON produtos_online(codigo_barras);
+  `);
+
+  // Tipo do código (EAN-13, UPC-A...) gravado junto com o produto
+  adicionarColuna(database, 'produtos', 'tipo_gtin', 'TEXT');
+  adicionarColuna(database, 'produtos_online', 'tipo_gtin', 'TEXT');
+
+  // Resultado mesclado de várias fontes e a fonte de cada campo (JSON)
+  adicionarColuna(database, 'produtos_online', 'quantidade', 'TEXT');
+  adicionarColuna(database, 'produtos_online', 'imagem', 'TEXT');
+  adicionarColuna(database, 'produtos_online', 'proveniencia', 'TEXT');
+
+  // Dados fiscais e pesos (mesmas colunas da tabela produtos, vindos do Cosmos)
+  adicionarColuna(database, 'produtos_online', 'ncm', 'TEXT');
+  adicionarColuna(database, 'produtos_online', 'cest', 'TEXT');
+  adicionarColuna(database, 'produtos_online', 'peso_liquido', 'TEXT');
+  adicionarColuna(database, 'produtos_online', 'peso_bruto', 'TEXT');
+
+  // Revalidação do cache online: última conferência nas fontes e versões anteriores
+  adicionarColuna(database, 'produtos_online', 'revalidado_em', 'TEXT');
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS produtos_online_revisoes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      codigo_barras TEXT NOT NULL,
+      nome TEXT,
+      marca TEXT,
+      categoria TEXT,
+      quantidade TEXT,
+      imagem TEXT,
+      proveniencia TEXT,
+      fonte TEXT,
+      data_coleta TEXT,
+      substituido_em TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_revisoes_codigo ON produtos_online_revisoes(codigo_barras);
+  `);
+
+  // Tabela PLU das balanças (etiquetas de peso/preço variável)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS produtos_plu (
+      plu TEXT PRIMARY KEY,
+      produto TEXT NOT NULL,
+      codigo_barras TEXT,
+      preco_kg REAL,
+      unidade TEXT DEFAULT 'kg',
+      data_atualizacao TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Hierarquia de embalagens: código da caixa/fardo → código contido × quantidade
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS embalagens (
+      codigo_barras TEXT PRIMARY KEY,
+      codigo_contido TEXT NOT NULL,
+      quantidade INTEGER NOT NULL CHECK (quantidade > 0),
+      descricao TEXT,
+      data_atualizacao TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_embalagens_contido ON embalagens(codigo_contido);
+  `);
+
+  // Códigos alternativos (GTIN antigo, código interno, do fornecedor, PLU) → produto principal
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS codigos_alternativos (
+      codigo TEXT NOT NULL,
+      tipo TEXT NOT NULL CHECK (tipo IN ('gtin', 'interno', 'fornecedor', 'plu')),
+      codigo_barras TEXT NOT NULL,
+      fornecedor TEXT,
+      observacao TEXT,
+      data_cadastro TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (tipo, codigo)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alternativos_codigo ON codigos_alternativos(codigo);
+    CREATE INDEX IF NOT EXISTS idx_alternativos_produto ON codigos_alternativos(codigo_barras);
+  `);
+
+  // Cadastro pela API: exclusão lógica, última alteração e histórico (valores antes/depois em JSON)
+  adicionarColuna(database, 'produtos', 'excluido_em', 'TEXT');
+  adicionarColuna(database, 'produtos', 'atualizado_em', 'TEXT');
+
+  // Importação incremental: produto que sumiu da planilha de origem (continua consultável)
+  adicionarColuna(database, 'produtos', 'ausente_desde', 'TEXT');
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS produtos_historico (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      codigo_barras TEXT NOT NULL,
+      acao TEXT NOT NULL,
+      usuario TEXT,
+      data TEXT DEFAULT CURRENT_TIMESTAMP,
+      antes TEXT,
+      depois TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_historico_codigo ON produtos_historico(codigo_barras);
+  `);
+
+  // Cache negativo: códigos que nenhuma fonte encontrou (evita repetir as buscas online)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS produtos_nao_encontrados (
+      codigo_barras TEXT PRIMARY KEY,
+      tentativas INTEGER NOT NULL DEFAULT 1,
+      primeira_tentativa TEXT DEFAULT CURRENT_TIMESTAMP,
+      ultima_tentativa TEXT DEFAULT CURRENT_TIMESTAMP,
+      expira_em TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_nao_encontrados_expira ON produtos_nao_encontrados(expira_em);
+  `);
+
+  // Perfis de importação: cabeçalho da planilha → coluna de produtos, com transformações (JSON)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS perfis_importacao (
+      nome TEXT PRIMARY KEY,
+      descricao TEXT,
+      mapeamento TEXT NOT NULL,
+      criado_em TEXT DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Importações: até onde o arquivo foi lido (retomada após queda) e os códigos já vistos
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS importacoes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      arquivo TEXT NOT NULL,
+      tamanho INTEGER,
+      modificado_em TEXT,
+      perfil TEXT,
+      delimitador TEXT,
+      cabecalhos TEXT,
+      posicao INTEGER NOT NULL DEFAULT 0,
+      linhas INTEGER NOT NULL DEFAULT 0,
+      relatorio TEXT,
+      status TEXT NOT NULL DEFAULT 'andamento',
+      iniciada_em TEXT DEFAULT CURRENT_TIMESTAMP,
+      atualizada_em TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_importacoes_arquivo ON importacoes(arquivo, status);
+
+    CREATE TABLE IF NOT EXISTS importacao_codigos (
+      importacao INTEGER NOT NULL,
+      codigo TEXT NOT NULL,
+      linha INTEGER,
+      PRIMARY KEY (importacao, codigo)
+    ) WITHOUT ROWID;
+  `);
+}
+
+export default {
+  versao,
+  descricao,
+  up,
+};
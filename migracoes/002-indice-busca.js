@@ -0,0 +1,84 @@
+/**
+ * Migração 002 - Índices de texto (FTS5) para a busca por nome
+ * Sem acentos e com prefixo, em produtos e no cache online. Os triggers
+ * mantêm o índice junto com as tabelas; o vocabulário (fts5vocab) alimenta a
+ * busca aproximada. Bancos que já tinham dados são indexados aqui.
+ */
+
+import { reconstruirIndiceBusca } from '../database-helper.js';
+
+export const versao = 2;
+export const descricao = 'Índices de busca por nome (FTS5) com triggers e vocabulário';
+
+/**
+ * @param {Database} database - Conexão aberta (já dentro da transação)
+ */
+export function up(database) {
+  const existentes = database.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('produtos_fts', 'produtos_online_fts')
+  `).all().map(t => t.name);
+
+  database.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS produtos_fts USING fts5(
+      produto, marca, categoria, grupo, subgrupo,
+      content = 'produtos', content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS produtos_fts_insert AFTER INSERT ON produtos BEGIN
+      INSERT INTO produtos_fts (rowid, produto, marca, categoria, grupo, subgrupo)
+      VALUES (new.id, new.produto, new.marca, new.categoria, new.grupo, new.subgrupo);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS produtos_fts_delete AFTER DELETE ON produtos BEGIN
+      INSERT INTO produtos_fts (produtos_fts, rowid, produto, marca, categoria, grupo, subgrupo)
+      VALUES ('delete', old.id, old.produto, old.marca, old.categoria, old.grupo, old.subgrupo);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS produtos_fts_update AFTER UPDATE OF produto, marca, categoria, grupo, subgrupo ON produtos BEGIN
+      INSERT INTO produtos_fts (produtos_fts, rowid, produto, marca, categoria, grupo, subgrupo)
+      VALUES ('delete', old.id, old.produto, old.marca, old.categoria, old.grupo, old.subgrupo);
+      INSERT INTO produtos_fts (rowid, produto, marca, categoria, grupo, subgrupo)
+      VALUES (new.id, new.produto, new.marca, new.categoria, new.grupo, new.subgrupo);
+    END;
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS produtos_online_fts USING fts5(
+      nome, marca, categoria,
+      content = 'produtos_online', content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS produtos_online_fts_insert AFTER INSERT ON produtos_online BEGIN
+      INSERT INTO produtos_online_fts (rowid, nome, marca, categoria)
+      VALUES (new.id, new.nome, new.marca, new.categoria);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS produtos_online_fts_delete AFTER DELETE ON produtos_online BEGIN
+      INSERT INTO produtos_online_fts (produtos_online_fts, rowid, nome, marca, categoria)
+      VALUES ('delete', old.id, old.nome, old.marca, old.categoria);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS produtos_online_fts_update AFTER UPDATE OF nome, marca, categoria ON produtos_online BEGIN
+      INSERT INTO produtos_online_fts (produtos_online_fts, rowid, nome, marca, categoria)
+      VALUES ('delete', old.id, old.nome, old.marca, old.categoria);
+      INSERT INTO produtos_online_fts (rowid, nome, marca, categoria)
+      VALUES (new.id, new.nome, new.marca, new.categoria);
+    END;
+
+    -- Vocabulário dos índices (palavras já sem acento), usado na busca aproximada
+    CREATE VIRTUAL TABLE IF NOT EXISTS produtos_fts_vocab USING fts5vocab(produtos_fts, row);
+    CREATE VIRTUAL TABLE IF NOT EXISTS produtos_online_fts_vocab USING fts5vocab(produtos_online_fts, row);
+  `);
+
+  // Banco de uma versão anterior: indexa o que já estava gravado
+  const temDados = database.prepare('SELECT EXISTS (SELECT 1 FROM produtos) OR EXISTS (SELECT 1 FROM produtos_online) AS tem').get().tem;
+  if (existentes.length < 2 && temDados) {
+    reconstruirIndiceBusca(database);
+  }
+}
+
+export default {
+  versao,
+  descricao,
+  up,
+};
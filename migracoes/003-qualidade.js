@@ -0,0 +1,40 @@
+/**
+ * Migração 003 - Relatório de qualidade do catálogo
+ * Cada execução da verificação fica registrada com o resumo (contagem por
+ * verificação); os achados detalhados são guardados só da última.
+ */
+
+export const versao = 3;
+export const descricao = 'Execuções e achados da verificação de qualidade do catálogo';
+
+/**
+ * @param {Database} database - Conexão aberta (já dentro da transação)
+ */
+export function up(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS qualidade_execucoes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      inicio TEXT DEFAULT CURRENT_TIMESTAMP,
+      fim TEXT,
+      status TEXT NOT NULL DEFAULT 'andamento',
+      produtos INTEGER DEFAULT 0,
+      resumo TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS qualidade_achados (
+      execucao INTEGER NOT NULL,
+      verificacao TEXT NOT NULL,
+      codigo_barras TEXT NOT NULL,
+      detalhe TEXT,
+      sugestao TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_qualidade_achados ON qualidade_achados(execucao, verificacao);
+  `);
+}
+
+export default {
+  versao,
+  descricao,
+  up,
+};
@@ -0,0 +1,18 @@
+/**
+ * Migrações do esquema SQLite, em ordem
+ * Nova migração: arquivo com o próximo número (003-descricao.js) exportando
+ * versao, descricao e up(database), incluído nesta lista. Uma migração já
+ * publicada nunca é alterada: corrija com uma nova.
+ */
+
+import m001 from './001-esquema-base.js';
+import m002 from './002-indice-busca.js';
+import m003 from './003-qualidade.js';
+
+export const MIGRACOES = [
+  m001,
+  m002,
+  m003,
+];
+
+export default MIGRACOES;
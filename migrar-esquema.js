@@ -0,0 +1,59 @@
+/**
+ * Aplica as migrações pendentes do esquema no banco (data/produtos.db)
+ * O servidor já faz isso ao abrir o banco; este script serve para conferir
+ * antes de subir uma versão nova.
+ *
+ * Uso:
+ *   node migrar-esquema.js             (aplica as pendentes)
+ *   node migrar-esquema.js --dry-run   (só mostra o que seria aplicado)
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import { DB_PATH, garantirEsquema } from './database-helper.js';
+import { VERSAO_MAIS_RECENTE, versaoDoEsquema, migracoesPendentes } from './migracoes-helper.js';
+
+const SIMULAR = process.argv.includes('--dry-run');
+
+function main() {
+  if (!fs.existsSync(DB_PATH)) {
+    console.error('❌ Banco não encontrado. Rode a migração completa primeiro: node migrate-to-sqlite.js');
+    process.exit(1);
+  }
+
+  const db = new Database(DB_PATH, { readonly: SIMULAR });
+  if (!SIMULAR) {
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 10000');
+  }
+
+  console.log(`🗄️  Esquema do banco: versão ${versaoDoEsquema(db)} (mais recente: ${VERSAO_MAIS_RECENTE})`);
+
+  const pendentes = migracoesPendentes(db);
+  if (pendentes.length === 0) {
+    console.log('✅ Nenhuma migração pendente');
+    db.close();
+    return;
+  }
+
+  if (SIMULAR) {
+    console.log(`📋 ${pendentes.length} migração(ões) pendente(s) (simulação, nada foi alterado):`);
+    for (const { versao, descricao } of pendentes) {
+      console.log(`   ${String(versao).padStart(3, '0')} - ${descricao}`);
+    }
+    db.close();
+    return;
+  }
+
+  try {
+    const aplicadas = garantirEsquema(db);
+    console.log(`✅ ${aplicadas.length} migração(ões) aplicada(s); esquema na versão ${versaoDoEsquema(db)}`);
+  } catch (err) {
+    console.error(`❌ Migração falhou (desfeita, o banco ficou na versão ${versaoDoEsquema(db)}):`, err.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -1,6 +1,20 @@
 /**
  * Script de Migração CSV → SQLite
  * Converte a base de produtos CSV para um banco SQLite otimizado
+ *
+ * Uso:
+ *   node migrate-to-sqlite.js                                   (recria o banco do zero)
+ *   node migrate-to-sqlite.js --incremental [--marcar-ausentes]  (atualiza o banco existente)
+ *
+ * Opções de leitura (nos dois modos):
+ *   --perfil=nome   perfil de importação salvo no banco (mapeamento de colunas)
+ *   --aba=nome      aba da planilha XLSX (nome ou posição, 1 = primeira)
+ *   --lote=5000     linhas por transação na leitura do CSV
+ *   --do-zero       ignora uma importação interrompida do mesmo arquivo
+ *
+ * O CSV é lido em stream, em lotes: a memória não cresce com o arquivo e,
+ * se o processo cair, rodar de novo o mesmo comando continua do último lote
+ * gravado. A planilha XLSX ainda é lida inteira.
  */
 
 import Database from 'better-sqlite3';
@@ -8,6 +22,12 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import XLSX from 'xlsx';
+import { DB_PATH, garantirEsquema, reconstruirIndiceBusca } from './database-helper.js';
+import { normalizarCodigo, tipoDoCodigo } from './gtin-helper.js';
+import {
+  LOTE_PADRAO, produtosDoArquivo, obterPerfil, salvarPerfil,
+  importarIncremental, importacaoPendente, importarEmStream, salvarRelatorio
+} from './importacao-helper.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,21 +35,152 @@ const __dirname = path.dirname(__filename);
 // Caminhos dos arquivos
 const CSV_PATH = path.join(__dirname, 'data', 'PARA_BUSCAR_DO_SITE.csv');
 const XLSX_PATH = path.join(__dirname, 'data', 'PARA_BUSCAR_DO_SITE.xlsx');
-const DB_PATH = path.join(__dirname, 'data', 'produtos.db');
 const JSON_CACHE_PATH = path.join(__dirname, 'data', 'produtos.json');
 const OK_BASE_PATH = path.join(__dirname, 'data', 'OK BASE DO APP COLETADO.xlsx');
 
-// Normalizar código de barras (7.8913E+12 → 7891300000000)
-function normalizarCodigo(valor) {
-  if (!valor) return "";
-  const str = String(valor).trim();
+// Modo incremental: atualiza o banco existente em vez de recriá-lo
+const INCREMENTAL = process.argv.includes('--incremental');
+const MARCAR_AUSENTES = process.argv.includes('--marcar-ausentes');
+const DO_ZERO = process.argv.includes('--do-zero');
 
-  if (str.toLowerCase().includes("e")) {
-    const num = Number(str);
-    return String(num.toFixed(0));
+/**
+ * Valor de uma opção --nome=valor da linha de comando
+ * @param {string} nome
+ * @returns {string|undefined}
+ */
+function opcao(nome) {
+  const arg = process.argv.find(a => a.startsWith(`--${nome}=`));
+  return arg ? arg.slice(nome.length + 3) : undefined;
+}
+
+const PERFIL = opcao('perfil');
+const ABA = opcao('aba');
+const LOTE = parseInt(opcao('lote'), 10) || LOTE_PADRAO;
+
+/**
+ * Perfil pedido em --perfil (encerra com erro se não existir no banco)
+ * @param {Database} db
+ * @returns {Object}
+ */
+function carregarPerfil(db) {
+  try {
+    return obterPerfil(db, PERFIL);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Segundos → "1h02m", "3m05s", "12s"
+ * @param {number} segundos
+ * @returns {string}
+ */
+function formatarDuracao(segundos) {
+  const h = Math.floor(segundos / 3600);
+  const m = Math.floor((segundos % 3600) / 60);
+  const s = segundos % 60;
+  if (h > 0) return `${h}h${String(m).padStart(2, '0')}m`;
+  if (m > 0) return `${m}m${String(s).padStart(2, '0')}s`;
+  return `${s}s`;
+}
+
+function mostrarProgresso({ linhas, percentual, porSegundo, eta }) {
+  const restante = eta === null ? '' : ` • faltam ~${formatarDuracao(eta)}`;
+  console.log(`   ${percentual.toFixed(1)}% • ${linhas.toLocaleString()} linhas • ${porSegundo.toLocaleString()} linhas/s${restante}`);
+}
+
+/**
+ * Carrega a fonte no banco: CSV em stream (com retomada) ou XLSX em memória
+ * @param {Database} db
+ * @param {Object} perfil - Perfil de importação (carregarPerfil)
+ * @returns {Promise<Object>} Relatório da importação
+ */
+async function carregarFonte(db, perfil) {
+  if (PERFIL) console.log(`   Perfil de importação: ${perfil.nome}`);
+
+  if (fs.existsSync(CSV_PATH)) {
+    console.log(`📂 Lendo CSV em lotes de ${LOTE.toLocaleString()} linhas...`);
+    const pendente = DO_ZERO ? null : importacaoPendente(db, CSV_PATH, perfil.nome);
+    if (pendente) console.log(`   ↪️  Continuando importação interrompida a partir da linha ${(pendente.linhas + 2).toLocaleString()}`);
+
+    const relatorio = await importarEmStream(db, CSV_PATH, {
+      perfil,
+      lote: LOTE,
+      marcarAusentes: MARCAR_AUSENTES,
+      retomar: !DO_ZERO,
+      aoProgredir: mostrarProgresso
+    });
+    relatorio.perfil = perfil.nome;
+    return relatorio;
+  }
+
+  console.log('📂 Lendo XLSX...');
+  const { produtos, invalidos, problemas, aba } = produtosDoArquivo(fs.readFileSync(XLSX_PATH), { perfil, aba: ABA });
+  if (aba) console.log(`   Aba: ${aba}`);
+  console.log(`✅ ${produtos.length.toLocaleString()} produtos encontrados no arquivo`);
+
+  const relatorio = importarIncremental(db, produtos, {
+    marcarAusentes: MARCAR_AUSENTES,
+    arquivo: path.basename(XLSX_PATH),
+    invalidos,
+    problemas
+  });
+  relatorio.perfil = perfil.nome;
+  relatorio.aba = aba;
+  return relatorio;
+}
+
+/**
+ * Resumo do relatório no console e arquivo em data/relatorios
+ * @param {Object} relatorio
+ */
+function mostrarRelatorio(relatorio) {
+  const caminho = salvarRelatorio(relatorio);
+
+  console.log('');
+  console.log(`➕ Adicionados: ${relatorio.adicionados.toLocaleString()}`);
+  console.log(`✏️  Alterados: ${relatorio.alterados.toLocaleString()}`);
+  console.log(`＝ Inalterados: ${relatorio.inalterados.toLocaleString()}`);
+  console.log(`🛡️  Manuais preservados: ${relatorio.preservadosManuais.toLocaleString()}`);
+  if (relatorio.invalidos > 0 || relatorio.avisos > 0) {
+    console.log(`⚠️  Linhas com erro (ignoradas): ${relatorio.invalidos.toLocaleString()}, com aviso: ${relatorio.avisos.toLocaleString()}`);
+  }
+  if (relatorio.marcarAusentes) {
+    console.log(`➖ Ausentes da fonte (marcados): ${relatorio.ausentes.toLocaleString()}`);
+  }
+  console.log(`📄 Relatório: ${caminho}`);
+}
+
+/**
+ * Importação incremental: upsert no banco existente, sem apagar nada
+ * (pode rodar com o servidor no ar; o banco usa WAL)
+ */
+async function importar() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('  IMPORTAÇÃO INCREMENTAL → SQLite');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('');
+
+  if (!fs.existsSync(CSV_PATH) && !fs.existsSync(XLSX_PATH)) {
+    console.error('❌ Arquivo CSV ou XLSX não encontrado!');
+    console.log('   Esperado em:', CSV_PATH);
+    process.exit(1);
   }
 
-  return str.replace(/\D/g, "");
+  if (!fs.existsSync(DB_PATH)) {
+    console.error('❌ Banco não encontrado. Rode a migração completa primeiro: node migrate-to-sqlite.js');
+    process.exit(1);
+  }
+
+  const db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 10000');
+  garantirEsquema(db);
+
+  mostrarRelatorio(await carregarFonte(db, carregarPerfil(db)));
+
+  db.close();
 }
 
 async function migrar() {
@@ -45,12 +196,29 @@ async function migrar() {
     process.exit(1);
   }
 
+  // Perfil de importação salvo no banco antigo (é regravado no novo) e
+  // migração interrompida do mesmo CSV (nesse caso o banco é mantido e a carga continua)
+  let perfil = obterPerfil(null);
+  let retomar = false;
+  if (fs.existsSync(DB_PATH)) {
+    const antigo = new Database(DB_PATH);
+    garantirEsquema(antigo);
+    if (PERFIL) perfil = carregarPerfil(antigo);
+    retomar = !DO_ZERO && fs.existsSync(CSV_PATH) && Boolean(importacaoPendente(antigo, CSV_PATH, perfil.nome));
+    antigo.close();
+  } else if (PERFIL) {
+    console.error(`❌ Perfil "${PERFIL}" não encontrado: não há banco com perfis salvos`);
+    process.exit(1);
+  }
+
   // Criar/abrir banco de dados
-  console.log('📦 Criando banco de dados SQLite...');
+  console.log(retomar ? '📦 Retomando migração interrompida...' : '📦 Criando banco de dados SQLite...');
 
   // Remover banco antigo se existir
-  if (fs.existsSync(DB_PATH)) {
-    fs.unlinkSync(DB_PATH);
+  if (!retomar && fs.existsSync(DB_PATH)) {
+    for (const arquivo of [DB_PATH, `${DB_PATH}-wal`, `${DB_PATH}-shm`]) {
+      if (fs.existsSync(arquivo)) fs.unlinkSync(arquivo);
+    }
     console.log('   Banco antigo removido');
   }
 
@@ -62,183 +230,15 @@ async function migrar() {
   db.pragma('cache_size = 10000');
   db.pragma('temp_store = MEMORY');
 
-  // Criar tabela de produtos
+  // Criar tabelas (mesma estrutura usada pelo servidor)
   console.log('📋 Criando estrutura do banco...');
+  garantirEsquema(db);
+  if (PERFIL) salvarPerfil(db, perfil);
 
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS produtos (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      codigo_barras TEXT UNIQUE NOT NULL,
-      produto TEXT,
-      grupo TEXT,
-      subgrupo TEXT,
-      marca TEXT,
-      categoria TEXT,
-      ncm TEXT,
-      unidade_medida TEXT,
-      quantidade TEXT,
-      peso_liquido TEXT,
-      peso_bruto TEXT,
-      preco_medio TEXT,
-      fonte TEXT DEFAULT 'local',
-      data_cadastro TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_codigo ON produtos(codigo_barras);
-    CREATE INDEX IF NOT EXISTS idx_produto ON produtos(produto);
-    CREATE INDEX IF NOT EXISTS idx_marca ON produtos(marca);
-  `);
-
-  // Criar tabela de produtos encontrados online
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS produtos_online (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      codigo_barras TEXT UNIQUE NOT NULL,
-      nome TEXT,
-      marca TEXT,
-      categoria TEXT,
-      fonte TEXT NOT NULL,
-      data_coleta TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_online_codigo ON produtos_online(codigo_barras);
-  `);
-
-  // Ler dados do CSV ou XLSX
-  let produtos = [];
-
-  if (fs.existsSync(CSV_PATH)) {
-    console.log('📂 Lendo CSV...');
-    const conteudo = fs.readFileSync(CSV_PATH, 'utf8');
-    const linhas = conteudo.split('\n').filter(l => l.trim());
-
-    if (linhas.length === 0) {
-      console.error('❌ CSV vazio!');
-      process.exit(1);
-    }
-
-    // Detectar delimitador
-    const delimitador = linhas[0].includes(';') ? ';' : ',';
-    const cabecalhos = linhas[0].split(delimitador).map(h => h.trim().toLowerCase());
-
-    console.log(`   Delimitador: "${delimitador}"`);
-    console.log(`   Colunas: ${cabecalhos.join(', ')}`);
-
-    for (let i = 1; i < linhas.length; i++) {
-      const colunas = linhas[i].split(delimitador);
-      if (!colunas[0] || !colunas[0].trim()) continue;
-
-      let obj = {};
-      cabecalhos.forEach((cab, idx) => {
-        obj[cab] = (colunas[idx] || "").trim();
-      });
-
-      // Normalizar código de barras
-      const codigoOriginal = obj["cod. de barra"] || obj["cod de barra"] || obj["codigo de barra"] || obj["gtin"];
-      const codigo = normalizarCodigo(codigoOriginal);
-
-      if (codigo && codigo.length >= 8) {
-        produtos.push({
-          codigo_barras: codigo,
-          produto: obj['produto'] || obj['nome'] || '',
-          grupo: obj['grupo'] || '',
-          subgrupo: obj['subgrupo'] || '',
-          marca: obj['marca'] || '',
-          categoria: obj['categoria'] || '',
-          ncm: obj['ncm'] || '',
-          unidade_medida: obj['unidade medida'] || obj['unidade_medida'] || '',
-          quantidade: obj['quantidade'] || '',
-          peso_liquido: obj['peso líquido'] || obj['peso_liquido'] || '',
-          peso_bruto: obj['peso bruto'] || obj['peso_bruto'] || '',
-          preco_medio: obj['preço médio'] || obj['preco_medio'] || '',
-          fonte: 'local'
-        });
-      }
-
-      // Mostrar progresso
-      if (i % 50000 === 0) {
-        console.log(`   Processadas ${i.toLocaleString()} linhas...`);
-      }
-    }
-  } else if (fs.existsSync(XLSX_PATH)) {
-    console.log('📂 Lendo XLSX...');
-    const workbook = XLSX.readFile(XLSX_PATH);
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const linhas = XLSX.utils.sheet_to_json(sheet);
-
-    linhas.forEach((l, i) => {
-      let p = {};
-      for (const key in l) {
-        const keyLower = key.toString().toLowerCase().trim();
-        p[keyLower] = String(l[key] ?? "").trim();
-      }
-
-      const codigoOriginal = p["cod. de barra"] || p["cod de barra"] || p["codigo de barra"] || p["gtin"];
-      const codigo = normalizarCodigo(codigoOriginal);
-
-      if (codigo && codigo.length >= 8) {
-        produtos.push({
-          codigo_barras: codigo,
-          produto: p['produto'] || p['nome'] || '',
-          grupo: p['grupo'] || '',
-          subgrupo: p['subgrupo'] || '',
-          marca: p['marca'] || '',
-          categoria: p['categoria'] || '',
-          ncm: p['ncm'] || '',
-          unidade_medida: p['unidade medida'] || p['unidade_medida'] || '',
-          quantidade: p['quantidade'] || '',
-          peso_liquido: p['peso líquido'] || p['peso_liquido'] || '',
-          peso_bruto: p['peso bruto'] || p['peso_bruto'] || '',
-          preco_medio: p['preço médio'] || p['preco_medio'] || '',
-          fonte: 'local'
-        });
-      }
-
-      if (i % 50000 === 0 && i > 0) {
-        console.log(`   Processadas ${i.toLocaleString()} linhas...`);
-      }
-    });
-  }
-
-  console.log(`✅ ${produtos.length.toLocaleString()} produtos encontrados no arquivo`);
-
-  // Inserir produtos no banco (batch insert para performance)
+  // Carregar o CSV (em lotes) ou o XLSX
   console.log('');
   console.log('💾 Inserindo produtos no banco...');
-
-  const insertStmt = db.prepare(`
-    INSERT OR REPLACE INTO produtos
-    (codigo_barras, produto, grupo, subgrupo, marca, categoria, ncm, unidade_medida, quantidade, peso_liquido, peso_bruto, preco_medio, fonte)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
-  const insertMany = db.transaction((produtos) => {
-    for (const p of produtos) {
-      insertStmt.run(
-        p.codigo_barras,
-        p.produto,
-        p.grupo,
-        p.subgrupo,
-        p.marca,
-        p.categoria,
-        p.ncm,
-        p.unidade_medida,
-        p.quantidade,
-        p.peso_liquido,
-        p.peso_bruto,
-        p.preco_medio,
-        p.fonte
-      );
-    }
-  });
-
-  // Inserir em batches de 10000 para mostrar progresso
-  const BATCH_SIZE = 10000;
-  for (let i = 0; i < produtos.length; i += BATCH_SIZE) {
-    const batch = produtos.slice(i, i + BATCH_SIZE);
-    insertMany(batch);
-    console.log(`   Inseridos ${Math.min(i + BATCH_SIZE, produtos.length).toLocaleString()} / ${produtos.length.toLocaleString()}`);
-  }
+  mostrarRelatorio(await carregarFonte(db, perfil));
 
   // Importar produtos do cache JSON (produtos encontrados online anteriormente)
   if (fs.existsSync(JSON_CACHE_PATH)) {
@@ -250,13 +250,13 @@ async function migrar() {
 
       if (Array.isArray(cacheData) && cacheData.length > 0) {
         const insertOnline = db.prepare(`
-          INSERT OR REPLACE INTO produtos_online (codigo_barras, nome, fonte, data_coleta)
-          VALUES (?, ?, ?, datetime('now'))
+          INSERT OR REPLACE INTO produtos_online (codigo_barras, nome, fonte, tipo_gtin, data_coleta)
+          VALUES (?, ?, ?, ?, datetime('now'))
         `);
 
         const insertOnlineMany = db.transaction((items) => {
           for (const item of items) {
-            insertOnline.run(item.codigo, item.nome, item.fonte || 'cache');
+            insertOnline.run(item.codigo, item.nome, item.fonte || 'cache', tipoDoCodigo(item.codigo));
           }
         });
 
@@ -280,8 +280,8 @@ async function migrar() {
 
       if (dados.length > 0) {
         const insertOnline = db.prepare(`
-          INSERT OR REPLACE INTO produtos_online (codigo_barras, nome, fonte, data_coleta)
-          VALUES (?, ?, ?, ?)
+          INSERT OR REPLACE INTO produtos_online (codigo_barras, nome, fonte, tipo_gtin, data_coleta)
+          VALUES (?, ?, ?, ?, ?)
         `);
 
         const insertOnlineMany = db.transaction((items) => {
@@ -292,7 +292,7 @@ async function migrar() {
             const data = item["Data de Coleta"] || new Date().toISOString();
 
             if (codigo) {
-              insertOnline.run(codigo, nome, fonte, data);
+              insertOnline.run(codigo, nome, fonte, tipoDoCodigo(codigo), data);
             }
           }
         });
@@ -305,6 +305,10 @@ async function migrar() {
     }
   }
 
+  // Índice de busca por nome (FTS5): compacta o que os triggers gravaram durante a carga
+  console.log('');
+  reconstruirIndiceBusca(db);
+
   // Estatísticas finais
   console.log('');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -325,8 +329,15 @@ async function migrar() {
   db.close();
 }
 
-// Executar migração
-migrar().catch(err => {
-  console.error('❌ Erro na migração:', err);
-  process.exit(1);
-});
+// Executar migração (ou importação incremental com --incremental)
+if (INCREMENTAL) {
+  importar().catch(err => {
+    console.error('❌ Erro na importação:', err);
+    process.exit(1);
+  });
+} else {
+  migrar().catch(err => {
+    console.error('❌ Erro na migração:', err);
+    process.exit(1);
+  });
+}
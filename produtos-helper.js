@@ -0,0 +1,293 @@
+/**
+ * Produtos Helper - Cadastro da base local (criar, editar, excluir) com histórico
+ * Toda alteração na tabela produtos grava em produtos_historico quem fez,
+ * quando e os valores antes/depois (JSON). A exclusão é lógica (excluido_em):
+ * o produto some das consultas mas continua no banco e pode ser revertido.
+ */
+
+import { getDatabase } from './database-helper.js';
+import { analisarCodigo, tipoDoCodigo } from './gtin-helper.js';
+
+// Campos que a API aceita (mesmos nomes das colunas)
+export const CAMPOS_PRODUTO = [
+  'produto', 'grupo', 'subgrupo', 'marca', 'categoria', 'ncm',
+  'unidade_medida', 'quantidade', 'peso_liquido', 'peso_bruto', 'preco_medio'
+];
+
+// Foto do estado do produto guardada no histórico
+const CAMPOS_HISTORICO = [...CAMPOS_PRODUTO, 'fonte', 'excluido_em'];
+
+/**
+ * Erro de cadastro com o status HTTP para a rota
+ * @param {string} mensagem
+ * @param {number} status
+ * @param {string[]} [erros]
+ */
+function erroCadastro(mensagem, status, erros) {
+  return Object.assign(new Error(mensagem), { status, erros });
+}
+
+/**
+ * Limpa e valida os campos enviados
+ * @param {Object} dados
+ * @param {{parcial?: boolean}} [opcoes] - parcial: só os campos presentes (edição)
+ * @returns {{campos: Object, erros: string[]}}
+ */
+export function validarProduto(dados, { parcial = false } = {}) {
+  const campos = {};
+  const erros = [];
+
+  for (const campo of CAMPOS_PRODUTO) {
+    if (dados[campo] === undefined) continue;
+    campos[campo] = dados[campo] === null ? '' : String(dados[campo]).trim();
+  }
+
+  if (!parcial || campos.produto !== undefined) {
+    if (!campos.produto) erros.push('produto (nome) é obrigatório');
+  }
+
+  // NCM: 8 dígitos (aceita "1701.99.00")
+  if (campos.ncm) {
+    const ncm = campos.ncm.replace(/[.\s-]/g, '');
+    if (!/^\d{8}$/.test(ncm)) {
+      erros.push('ncm deve ter 8 dígitos');
+    } else {
+      campos.ncm = ncm;
+    }
+  }
+
+  return { campos, erros };
+}
+
+/**
+ * Estado do produto guardado no histórico
+ * @param {Object|null} linha - Linha da tabela produtos
+ * @returns {Object|null}
+ */
+export function fotoDoProduto(linha) {
+  if (!linha) return null;
+  return Object.fromEntries(CAMPOS_HISTORICO.map(c => [c, linha[c] ?? null]));
+}
+
+/**
+ * Grava uma alteração em produtos_historico (chamar dentro da transação da alteração)
+ * @param {Database} database
+ * @param {string} codigo
+ * @param {string} acao - criar | editar | excluir | restaurar | reverter | importar
+ * @param {string} usuario
+ * @param {Object|null} antes
+ * @param {Object|null} depois
+ */
+export function registrarHistorico(database, codigo, acao, usuario, antes, depois) {
+  database.prepare(`
+    INSERT INTO produtos_historico (codigo_barras, acao, usuario, antes, depois)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(codigo, acao, usuario || 'anonimo', antes ? JSON.stringify(antes) : null, depois ? JSON.stringify(depois) : null);
+}
+
+function lerLinha(database, codigo) {
+  return database.prepare('SELECT * FROM produtos WHERE codigo_barras = ?').get(codigo) || null;
+}
+
+/**
+ * Produto da base local
+ * @param {string} codigo
+ * @param {{incluirExcluidos?: boolean}} [opcoes]
+ * @returns {Object|null}
+ */
+export function obterProduto(codigo, { incluirExcluidos = false } = {}) {
+  const database = getDatabase();
+  if (!database) return null;
+
+  const linha = lerLinha(database, analisarCodigo(codigo).codigo);
+  if (!linha || (linha.excluido_em && !incluirExcluidos)) return null;
+  return linha;
+}
+
+/**
+ * O produto foi excluído da base local? (as fontes CSV/JSON não devem trazê-lo de volta)
+ * @param {string} codigo
+ * @returns {boolean}
+ */
+export function produtoExcluido(codigo) {
+  const database = getDatabase();
+  if (!database) return false;
+
+  const linha = database.prepare('SELECT excluido_em FROM produtos WHERE codigo_barras = ?').get(codigo);
+  return Boolean(linha && linha.excluido_em);
+}
+
+/**
+ * Cadastra um produto (ou reativa um excluído com os novos dados)
+ * @param {Object} dados - codigo_barras + CAMPOS_PRODUTO
+ * @param {{usuario?: string, fonte?: string}} [opcoes]
+ * @returns {Object} Produto gravado
+ */
+export function criarProduto(dados, { usuario, fonte = 'manual' } = {}) {
+  const database = getDatabase();
+  if (!database) throw erroCadastro('SQLite não configurado', 503);
+
+  const analise = analisarCodigo(dados.codigo_barras);
+  const { campos, erros } = validarProduto(dados);
+  if (!analise.codigo || !analise.valido) {
+    erros.unshift('codigo_barras não é um GTIN válido (tamanho ou dígito verificador)');
+  }
+  if (erros.length > 0) throw erroCadastro('Dados inválidos', 400, erros);
+
+  const codigo = analise.codigo;
+  const criar = database.transaction(() => {
+    const anterior = lerLinha(database, codigo);
+    if (anterior && !anterior.excluido_em) {
+      throw erroCadastro(`Produto ${codigo} já cadastrado`, 409);
+    }
+
+    const valores = Object.fromEntries(CAMPOS_PRODUTO.map(c => [c, campos[c] ?? '']));
+    database.prepare(`
+      INSERT INTO produtos (codigo_barras, ${CAMPOS_PRODUTO.join(', ')}, tipo_gtin, fonte, atualizado_em)
+      VALUES (@codigo_barras, ${CAMPOS_PRODUTO.map(c => `@${c}`).join(', ')}, @tipo_gtin, @fonte, datetime('now'))
+      ON CONFLICT(codigo_barras) DO UPDATE SET
+        ${CAMPOS_PRODUTO.map(c => `${c} = excluded.${c}`).join(', ')},
+        fonte = excluded.fonte,
+        excluido_em = NULL,
+        atualizado_em = excluded.atualizado_em
+    `).run({ ...valores, codigo_barras: codigo, tipo_gtin: tipoDoCodigo(codigo), fonte });
+
+    const novo = lerLinha(database, codigo);
+    registrarHistorico(database, codigo, anterior ? 'restaurar' : 'criar', usuario, fotoDoProduto(anterior), fotoDoProduto(novo));
+    return novo;
+  });
+
+  return criar();
+}
+
+/**
+ * Altera os campos enviados de um produto
+ * @param {string} codigo
+ * @param {Object} dados - Só os campos que mudam
+ * @param {{usuario?: string}} [opcoes]
+ * @returns {{produto: Object, alterados: string[]}}
+ */
+export function atualizarProduto(codigo, dados, { usuario } = {}) {
+  const database = getDatabase();
+  if (!database) throw erroCadastro('SQLite não configurado', 503);
+
+  const { campos, erros } = validarProduto(dados, { parcial: true });
+  if (erros.length > 0) throw erroCadastro('Dados inválidos', 400, erros);
+
+  const chave = analisarCodigo(codigo).codigo;
+  const atualizar = database.transaction(() => {
+    const anterior = lerLinha(database, chave);
+    if (!anterior || anterior.excluido_em) throw erroCadastro(`Produto ${codigo} não encontrado`, 404);
+
+    const alterados = Object.keys(campos).filter(c => (anterior[c] ?? '') !== campos[c]);
+    if (alterados.length === 0) return { produto: anterior, alterados };
+
+    database.prepare(`
+      UPDATE produtos SET ${alterados.map(c => `${c} = @${c}`).join(', ')}, atualizado_em = datetime('now')
+      WHERE codigo_barras = @codigo_barras
+    `).run({ ...Object.fromEntries(alterados.map(c => [c, campos[c]])), codigo_barras: chave });
+
+    const novo = lerLinha(database, chave);
+    registrarHistorico(database, chave, 'editar', usuario, fotoDoProduto(anterior), fotoDoProduto(novo));
+    return { produto: novo, alterados };
+  });
+
+  return atualizar();
+}
+
+/**
+ * Exclusão lógica
+ * @param {string} codigo
+ * @param {{usuario?: string}} [opcoes]
+ * @returns {Object} Produto como ficou
+ */
+export function excluirProduto(codigo, { usuario } = {}) {
+  const database = getDatabase();
+  if (!database) throw erroCadastro('SQLite não configurado', 503);
+
+  const chave = analisarCodigo(codigo).codigo;
+  const excluir = database.transaction(() => {
+    const anterior = lerLinha(database, chave);
+    if (!anterior || anterior.excluido_em) throw erroCadastro(`Produto ${codigo} não encontrado`, 404);
+
+    database.prepare(`
+      UPDATE produtos SET excluido_em = datetime('now'), atualizado_em = datetime('now') WHERE codigo_barras = ?
+    `).run(chave);
+
+    const novo = lerLinha(database, chave);
+    registrarHistorico(database, chave, 'excluir', usuario, fotoDoProduto(anterior), fotoDoProduto(novo));
+    return novo;
+  });
+
+  return excluir();
+}
+
+/**
+ * Histórico de alterações (mais recente primeiro)
+ * @param {string} codigo
+ * @returns {Array<{id: number, acao: string, usuario: string, data: string, antes: Object|null, depois: Object|null}>}
+ */
+export function historicoProduto(codigo) {
+  const database = getDatabase();
+  if (!database) return [];
+
+  return database.prepare(`
+    SELECT id, acao, usuario, data, antes, depois
+    FROM produtos_historico
+    WHERE codigo_barras = ?
+    ORDER BY id DESC
+  `).all(analisarCodigo(codigo).codigo).map(h => ({
+    ...h,
+    antes: h.antes ? JSON.parse(h.antes) : null,
+    depois: h.depois ? JSON.parse(h.depois) : null
+  }));
+}
+
+/**
+ * Volta o produto à versão gravada por uma entrada do histórico (estado "depois" dela)
+ * @param {string} codigo
+ * @param {number} idHistorico
+ * @param {{usuario?: string}} [opcoes]
+ * @returns {Object} Produto como ficou
+ */
+export function reverterProduto(codigo, idHistorico, { usuario } = {}) {
+  const database = getDatabase();
+  if (!database) throw erroCadastro('SQLite não configurado', 503);
+
+  const chave = analisarCodigo(codigo).codigo;
+  const reverter = database.transaction(() => {
+    const entrada = database.prepare(`
+      SELECT depois FROM produtos_historico WHERE id = ? AND codigo_barras = ?
+    `).get(idHistorico, chave);
+    if (!entrada || !entrada.depois) throw erroCadastro(`Versão ${idHistorico} não encontrada para ${codigo}`, 404);
+
+    const anterior = lerLinha(database, chave);
+    if (!anterior) throw erroCadastro(`Produto ${codigo} não encontrado`, 404);
+
+    const versao = JSON.parse(entrada.depois);
+    database.prepare(`
+      UPDATE produtos SET ${CAMPOS_HISTORICO.map(c => `${c} = @${c}`).join(', ')}, atualizado_em = datetime('now')
+      WHERE codigo_barras = @codigo_barras
+    `).run({ ...Object.fromEntries(CAMPOS_HISTORICO.map(c => [c, versao[c] ?? null])), codigo_barras: chave });
+
+    const novo = lerLinha(database, chave);
+    registrarHistorico(database, chave, 'reverter', usuario, fotoDoProduto(anterior), fotoDoProduto(novo));
+    return novo;
+  });
+
+  return reverter();
+}
+
+export default {
+  CAMPOS_PRODUTO,
+  validarProduto,
+  fotoDoProduto,
+  registrarHistorico,
+  obterProduto,
+  produtoExcluido,
+  criarProduto,
+  atualizarProduto,
+  excluirProduto,
+  historicoProduto,
+  reverterProduto,
+};
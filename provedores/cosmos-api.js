@@ -0,0 +1,147 @@
+/**
+ * Provedor Cosmos (Bluesoft) - API oficial de GTIN, autenticada por token
+ * Só entra na cadeia com COSMOS_TOKEN no .env; sem token, o scraping da
+ * página (cosmos.js) continua sendo a consulta ao Cosmos.
+ *
+ *   COSMOS_TOKEN=...              (header X-Cosmos-Token)
+ *   COSMOS_COTA_DIARIA=25         (consultas por dia do plano)
+ *   COSMOS_API_URL=https://api.cosmos.bluesoft.com.br
+ */
+
+import axios from 'axios';
+
+const URL_PADRAO = 'https://api.cosmos.bluesoft.com.br';
+const COTA_PADRAO = 25;
+
+// Consultas feitas no dia (a cota do Cosmos zera a cada dia)
+const cota = { dia: null, usadas: 0 };
+
+function hoje() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function limiteDiario() {
+  return Number(process.env.COSMOS_COTA_DIARIA) || COTA_PADRAO;
+}
+
+function cotaDoDia() {
+  if (cota.dia !== hoje()) {
+    cota.dia = hoje();
+    cota.usadas = 0;
+  }
+  return cota;
+}
+
+/**
+ * Indica se a cota diária da API já acabou
+ * @returns {boolean}
+ */
+export function cotaEsgotada() {
+  return cotaDoDia().usadas >= limiteDiario();
+}
+
+/**
+ * Indica se a API está disponível agora (token configurado e cota sobrando)
+ * @returns {boolean}
+ */
+export function cosmosApiDisponivel() {
+  return Boolean(process.env.COSMOS_TOKEN) && !cotaEsgotada();
+}
+
+/**
+ * Peso da API (gramas) → texto no formato da base ("1000 g")
+ */
+function formatarPeso(gramas) {
+  return gramas ? `${gramas} g` : '';
+}
+
+/**
+ * Converte a resposta de /gtins/{codigo}.json nos campos do produto
+ * @param {Object} dados - JSON da API
+ * @param {string} codigo
+ * @returns {import('./index.js').ResultadoProvedor|null}
+ */
+export function mapearProdutoCosmosApi(dados, codigo) {
+  if (!dados || !dados.description) return null;
+
+  return {
+    nome: dados.description.trim(),
+    codigo: codigo,
+    marca: (dados.brand && dados.brand.name) || '',
+    categoria: (dados.gpc && dados.gpc.description) || '',
+    ncm: dados.ncm && dados.ncm.code ? String(dados.ncm.code).replace(/\D/g, '') : '',
+    cest: dados.cest && dados.cest.code ? String(dados.cest.code).replace(/\D/g, '') : '',
+    peso_liquido: formatarPeso(dados.net_weight),
+    peso_bruto: formatarPeso(dados.gross_weight),
+    imagem: dados.thumbnail || '',
+    origem: 'Cosmos'
+  };
+}
+
+export default {
+  nome: 'cosmos_api',
+  rotulo: 'Cosmos (API)',
+  tipo: 'online',
+  origem: 'online',
+  // Antes do scraping do Cosmos (60)
+  prioridade: 55,
+  timeout: 10000,
+  // Sem token ou sem cota a fonte fica fora da cadeia (e o scraping entra no lugar);
+  // PROVEDOR_COSMOS_API_HABILITADO ainda pode desligar
+  get habilitado() {
+    return cosmosApiDisponivel();
+  },
+  limites: [{ quantidade: 10, janelaMs: 60000 }],
+  // Cada tentativa gasta cota: não repete
+  tentativas: 1,
+
+  estado() {
+    const { usadas } = cotaDoDia();
+    return { cota: { limiteDiario: limiteDiario(), usadas, esgotada: cotaEsgotada() } };
+  },
+
+  async buscar(codigo, { timeout }) {
+    // Cota acabou entre montar a cadeia e chamar: a API não foi consultada, não é um "não encontrado"
+    if (cotaEsgotada()) {
+      throw Object.assign(new Error(`cota diária de ${limiteDiario()} consultas esgotada`), { pulado: true });
+    }
+
+    console.log("🔑 Buscando na API do Cosmos...");
+
+    const base = (process.env.COSMOS_API_URL || URL_PADRAO).replace(/\/+$/, '');
+    cotaDoDia().usadas++;
+
+    let resposta;
+    try {
+      resposta = await axios.get(`${base}/gtins/${codigo}.json`, {
+        timeout,
+        headers: {
+          "X-Cosmos-Token": process.env.COSMOS_TOKEN,
+          "User-Agent": "Cosmos-API-Request",
+          "Accept": "application/json"
+        },
+        validateStatus: (status) => status === 200 || status === 404
+      });
+    } catch (err) {
+      const status = err.response && err.response.status;
+      if (status === 429) {
+        // A API avisou que a cota acabou antes da nossa contagem
+        cotaDoDia().usadas = limiteDiario();
+      } else if (status === 401 || status === 403) {
+        err.message = `token recusado pela API do Cosmos (HTTP ${status})`;
+      }
+      throw err;
+    }
+
+    if (resposta.status === 404) {
+      console.log("❌ Cosmos (API): GTIN não cadastrado");
+      return null;
+    }
+
+    const produto = mapearProdutoCosmosApi(resposta.data, codigo);
+    if (produto) {
+      console.log("✅ Cosmos (API): Encontrado -", produto.nome);
+    }
+    return produto;
+  }
+};
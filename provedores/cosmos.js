@@ -0,0 +1,253 @@
+/**
+ * Provedor Cosmos (Bluesoft) - scraping da página pública do produto
+ * Segue a lógica do script Python original. Além do nome, a página traz
+ * marca, NCM, CEST, categoria GPC, pesos e foto; os exemplos salvos em
+ * data/fixtures/cosmos permitem testar o parser offline (test-cosmos-parser.js).
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { cosmosApiDisponivel } from './cosmos-api.js';
+
+/**
+ * Remove sufixos de site do nome ("Produto X - Cosmos" → "Produto X")
+ * @param {string} nome
+ * @returns {string}
+ */
+export function limparNome(nome) {
+  if (!nome) return "";
+  nome = nome.trim();
+
+  const separadores = [" | ", " - ", " — ", " – "];
+  for (const sep of separadores) {
+    if (nome.includes(sep)) {
+      nome = nome.split(sep)[0].trim();
+    }
+  }
+
+  return nome;
+}
+
+const URL_BASE_COSMOS = 'https://cosmos.bluesoft.com.br';
+
+// Rótulos da página (sem acento, minúsculos) → coluna da tabela produtos
+const ROTULOS_COSMOS = {
+  marca: ['marca'],
+  ncm: ['ncm'],
+  cest: ['cest'],
+  categoria: ['gpc', 'categoria gpc', 'classificacao gpc', 'categoria'],
+  peso_liquido: ['peso liquido'],
+  peso_bruto: ['peso bruto']
+};
+
+function normalizarRotulo(texto) {
+  return texto
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[:\s]+$/, '')
+    .trim()
+    .toLowerCase();
+}
+
+function limparTexto(texto) {
+  const valor = (texto || '').replace(/\s+/g, ' ').replace(/^[:\s]+/, '').trim();
+  return valor === '-' ? '' : valor;
+}
+
+/**
+ * Lê os pares "rótulo → valor" da página (dt/dd, th/td ou "Rótulo: valor")
+ * @param {cheerio.CheerioAPI} $
+ * @returns {Object<string, string>}
+ */
+function valoresPorRotulo($) {
+  const valores = {};
+
+  $('dt, th, label, strong, b').each((_, el) => {
+    const item = $(el);
+    const rotulo = normalizarRotulo(item.text());
+    const campo = Object.keys(ROTULOS_COSMOS).find(c => ROTULOS_COSMOS[c].includes(rotulo));
+    if (!campo || campo in valores) return;
+
+    let valor = '';
+    if (el.tagName === 'dt') {
+      valor = item.nextAll('dd').first().text();
+    } else if (el.tagName === 'th') {
+      valor = item.nextAll('td').first().text();
+    } else {
+      // "<p><strong>NCM:</strong> 1806.90.00 - Outros</p>"
+      valor = item.parent().text().replace(item.text(), '');
+    }
+
+    valores[campo] = limparTexto(valor);
+  });
+
+  return valores;
+}
+
+/**
+ * Procura o Product do schema.org (JSON-LD), inclusive dentro de @graph
+ * @param {cheerio.CheerioAPI} $
+ * @returns {Object|null}
+ */
+function produtoJsonLd($) {
+  const scripts = $('script[type="application/ld+json"]').toArray();
+  for (const script of scripts) {
+    let dados;
+    try {
+      dados = JSON.parse($(script).contents().text());
+    } catch {
+      continue;
+    }
+    const itens = [].concat(dados, dados['@graph'] || []);
+    const produto = itens.find(i => i && [].concat(i['@type']).includes('Product'));
+    if (produto) return produto;
+  }
+  return null;
+}
+
+function somenteDigitos(valor, padrao) {
+  const encontrado = (valor || '').match(padrao);
+  return encontrado ? encontrado[0].replace(/\D/g, '') : '';
+}
+
+/**
+ * "10000043 - Açúcar/Substitutos do Açúcar" → "Açúcar/Substitutos do Açúcar"
+ */
+function descricaoGpc(valor) {
+  return (valor || '').replace(/^\d+\s*-\s*/, '').trim();
+}
+
+/**
+ * URL absoluta da foto, ignorando a imagem genérica de "sem foto"
+ */
+function urlDaImagem(src) {
+  if (!src || /no[-_]?image|sem[-_]?imagem|placeholder/i.test(src)) return '';
+  try {
+    return new URL(src, URL_BASE_COSMOS).href;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Extrai os dados do produto do HTML da página do Cosmos
+ * @param {string} html
+ * @returns {{nome: string, marca: string, ncm: string, cest: string, categoria: string,
+ *   peso_liquido: string, peso_bruto: string, imagem: string}|null} null se não há nome
+ */
+export function extrairProdutoCosmos(html) {
+  const $ = cheerio.load(html);
+  const jsonLd = produtoJsonLd($);
+  const valores = valoresPorRotulo($);
+
+  const nome = limparNome($('span#product_description').text())
+    || limparNome($('meta[property="og:title"]').attr('content'))
+    || limparNome($('h1').first().text())
+    || limparNome(jsonLd && jsonLd.name);
+
+  if (!nome || nome === '-') return null;
+
+  const marcaJsonLd = jsonLd && (typeof jsonLd.brand === 'string' ? jsonLd.brand : jsonLd.brand && jsonLd.brand.name);
+  const imagemJsonLd = jsonLd && [].concat(jsonLd.image || [])[0];
+  const imagem = urlDaImagem($('#product-gallery img, img.product-thumbnail-image').first().attr('src'))
+    || urlDaImagem(imagemJsonLd && typeof imagemJsonLd === 'object' ? imagemJsonLd.url : imagemJsonLd)
+    || urlDaImagem($('meta[property="og:image"]').attr('content'));
+
+  return {
+    nome,
+    marca: valores.marca || limparTexto(marcaJsonLd),
+    ncm: somenteDigitos(valores.ncm, /\d{4}\.?\d{2}\.?\d{2}/),
+    cest: somenteDigitos(valores.cest, /\d{2}\.?\d{3}\.?\d{2}/),
+    categoria: descricaoGpc(valores.categoria),
+    peso_liquido: valores.peso_liquido || '',
+    peso_bruto: valores.peso_bruto || '',
+    imagem
+  };
+}
+
+export default {
+  nome: 'cosmos',
+  rotulo: 'Cosmos',
+  tipo: 'online',
+  origem: 'online',
+  prioridade: 60,
+  timeout: 20000,
+  // Com a API oficial configurada o scraping só volta quando a cota do dia acaba
+  get habilitado() {
+    return !cosmosApiDisponivel();
+  },
+  // Sem limite publicado para a página pública: ritmo conservador
+  limites: [{ quantidade: 10, janelaMs: 60000 }],
+  tentativas: 1,
+
+  async buscar(codigo, { timeout }) {
+    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    console.log("🌐 INICIANDO BUSCA NO COSMOS");
+    console.log(`📋 Código: ${codigo}`);
+    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+
+    const headers = {
+      "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+      "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
+      "Accept-Language": "pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7",
+      "Referer": "https://cosmos.bluesoft.com.br/"
+    };
+
+    const urls = [
+      `https://api.cosmos.bluesoft.com.br/produtos/${codigo}`,
+      `https://cosmos.bluesoft.com.br/produtos/${codigo}`
+    ];
+
+    let ultimoErro = null;
+    // URLs que responderam de fato (200 ou 404); 403, 429 e 5xx não dizem nada sobre o produto
+    let respostas = 0;
+
+    for (const url of urls) {
+      try {
+        console.log(`\n🔗 Tentando: ${url}`);
+
+        const resposta = await axios.get(url, {
+          headers,
+          timeout,
+          validateStatus: (status) => status === 200 || status === 404,
+          maxRedirects: 5
+        });
+
+        console.log(`📊 Status: ${resposta.status}`);
+        respostas++;
+
+        if (resposta.status !== 200) {
+          console.log(`⚠️ Status ${resposta.status}, tentando próxima URL...`);
+          continue;
+        }
+
+        const html = resposta.data;
+        if (!html) continue;
+
+        const produto = extrairProdutoCosmos(html);
+        if (produto) {
+          console.log("✅ Produto encontrado no Cosmos:", produto.nome);
+          return { ...produto, codigo: codigo, origem: "Cosmos" };
+        }
+
+      } catch (err) {
+        console.log(`❌ Erro em ${url}: ${err.message}`);
+        // Limite do Cosmos vale para as duas URLs: o disjuntor respeita o Retry-After
+        if (err.response && err.response.status === 429) throw err;
+        ultimoErro = err;
+        continue;
+      }
+    }
+
+    // Nenhuma URL respondeu (bloqueio, rede ou servidor): deixa o registro tratar
+    if (respostas === 0) {
+      throw ultimoErro;
+    }
+
+    console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    console.log("❌ COSMOS: Produto NÃO encontrado");
+    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+    return null;
+  }
+};
@@ -0,0 +1,305 @@
+/**
+ * Registro de provedores de consulta (/consulta/:codigo)
+ * Cada fonte (SQLite, cache, APIs abertas, Cosmos...) é um provedor com
+ * nome, prioridade, timeout e flag de habilitado. A ordem e o liga/desliga
+ * vêm do .env, então cada loja ajusta a própria cadeia sem mexer no código:
+ *
+ *   PROVEDOR_COSMOS_HABILITADO=false
+ *   PROVEDOR_UPCITEMDB_PRIORIDADE=55
+ *   PROVEDOR_OPEN_FOOD_FACTS_TIMEOUT=5000
+ *
+ * Provedores com a mesma prioridade rodam em paralelo (uma etapa da cadeia)
+ * e, se mais de um responder, os resultados são mesclados campo a campo.
+ * Provedores locais sempre rodam antes dos online.
+ *
+ * Fontes online passam por disjuntor, limite de requisições e retentativa
+ * (ver resiliencia.js). Também configuráveis por fonte:
+ *
+ *   PROVEDOR_UPCITEMDB_LIMITE_POR_MINUTO=6
+ *   PROVEDOR_COSMOS_TENTATIVAS=1
+ *   CIRCUITO_FALHAS_PARA_ABRIR=5
+ *   CIRCUITO_TEMPO_ABERTO_MS=60000
+ */
+
+import openFacts from './open-facts.js';
+import upcItemDB from './upcitemdb.js';
+import cosmosApi from './cosmos-api.js';
+import cosmos from './cosmos.js';
+import { mesclarResultados } from './mesclagem.js';
+import { criarDisjuntor, criarLimitador, comRetentativa, retryAfterMs } from './resiliencia.js';
+
+/**
+ * @typedef {Object} ResultadoProvedor
+ * @property {string} nome - Nome do produto
+ * @property {string} codigo - Código consultado
+ * @property {string} [marca]
+ * @property {string} [categoria]
+ * @property {string} [quantidade] - Conteúdo da embalagem ("400 g")
+ * @property {string} [imagem] - URL da foto na fonte
+ * @property {string} [ncm] - Somente dígitos (8)
+ * @property {string} [cest] - Somente dígitos (7)
+ * @property {string} [peso_liquido]
+ * @property {string} [peso_bruto]
+ * @property {string} origem - Rótulo da fonte ("Open Food Facts", "Base Local"...)
+ * @property {Object} [produto] - Registro completo para exibição (fontes locais)
+ */
+
+/**
+ * @typedef {Object} Provedor
+ * @property {string} nome - Identificador usado na configuração (ex: open_food_facts)
+ * @property {string} rotulo - Nome exibido
+ * @property {'local'|'online'} tipo
+ * @property {'local'|'cache'|'online'} origem - Valor de "origem" na resposta da API
+ * @property {number} prioridade - Menor roda primeiro
+ * @property {number} timeout - Tempo máximo em ms
+ * @property {boolean} habilitado
+ * @property {Array<{quantidade: number, janelaMs: number}>} [limites] - Limites publicados da fonte
+ * @property {number} [tentativas] - Tentativas em erros temporários (padrão 2)
+ * @property {() => Object} [estado] - Informações extras para /api/stats (ex: cota diária)
+ * @property {(codigo: string, opcoes: {timeout: number}) => Promise<ResultadoProvedor|null>} buscar
+ *   Retorna null quando não encontra; lança erro quando a fonte falha. Erro com
+ *   pulado = true: a fonte não foi consultada (ex: cota do dia esgotada)
+ */
+
+const provedores = new Map();
+
+// Disjuntor e limitador de cada fonte online (criados na primeira consulta)
+const controles = new Map();
+
+// Quanto uma consulta aceita esperar por um token antes de pular a fonte
+const ESPERA_MAXIMA_TOKEN_MS = 2000;
+
+/**
+ * Lê a configuração do provedor no .env (PROVEDOR_<NOME>_<CAMPO>)
+ */
+function lerConfiguracao(nome, campo) {
+  return process.env[`PROVEDOR_${nome.toUpperCase()}_${campo}`];
+}
+
+/**
+ * Aplica a configuração do .env sobre os valores padrão do provedor
+ * (lida a cada chamada para respeitar o dotenv carregado pelo servidor)
+ * @param {Provedor} provedor
+ * @returns {Provedor}
+ */
+function aplicarConfiguracao(provedor) {
+  const prioridade = lerConfiguracao(provedor.nome, 'PRIORIDADE');
+  const timeout = Number(lerConfiguracao(provedor.nome, 'TIMEOUT'));
+  const habilitado = lerConfiguracao(provedor.nome, 'HABILITADO');
+  const tentativas = Number(lerConfiguracao(provedor.nome, 'TENTATIVAS'));
+  const limitePorMinuto = Number(lerConfiguracao(provedor.nome, 'LIMITE_POR_MINUTO'));
+
+  // O limite por minuto do .env substitui o da fonte; os demais (ex: por dia) continuam
+  let limites = provedor.limites || [];
+  if (limitePorMinuto > 0) {
+    limites = [...limites.filter(l => l.janelaMs !== 60000), { quantidade: limitePorMinuto, janelaMs: 60000 }];
+  }
+
+  return {
+    ...provedor,
+    prioridade: prioridade && Number.isFinite(Number(prioridade)) ? Number(prioridade) : provedor.prioridade,
+    timeout: timeout > 0 ? timeout : provedor.timeout,
+    habilitado: habilitado !== undefined ? habilitado !== 'false' && habilitado !== '0' : provedor.habilitado,
+    tentativas: tentativas > 0 ? tentativas : provedor.tentativas || 2,
+    limites
+  };
+}
+
+/**
+ * Registra (ou substitui) um provedor na cadeia
+ * @param {Provedor} provedor
+ */
+export function registrarProvedor(provedor) {
+  provedores.set(provedor.nome, provedor);
+}
+
+/**
+ * Lista os provedores registrados, em ordem de execução
+ * @returns {Provedor[]}
+ */
+export function listarProvedores() {
+  return [...provedores.values()].map(aplicarConfiguracao).sort((a, b) => {
+    if (a.tipo !== b.tipo) return a.tipo === 'local' ? -1 : 1;
+    return a.prioridade - b.prioridade;
+  });
+}
+
+/**
+ * Disjuntor e limitador da fonte (um par por provedor)
+ * @param {Provedor} provedor - Já com a configuração aplicada
+ */
+function controleDoProvedor(provedor) {
+  if (!controles.has(provedor.nome)) {
+    controles.set(provedor.nome, {
+      disjuntor: criarDisjuntor({
+        falhasParaAbrir: Number(process.env.CIRCUITO_FALHAS_PARA_ABRIR) || 5,
+        tempoAbertoMs: Number(process.env.CIRCUITO_TEMPO_ABERTO_MS) || 60000
+      }),
+      limitador: criarLimitador(provedor.limites)
+    });
+  }
+  return controles.get(provedor.nome);
+}
+
+/**
+ * Uma chamada ao provedor, limitada pelo timeout configurado
+ * @returns {Promise<ResultadoProvedor|null>}
+ */
+async function chamarComTimeout(provedor, codigo) {
+  let timer = null;
+  const limite = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const erro = new Error(`timeout de ${provedor.timeout}ms`);
+      erro.timeout = true;
+      reject(erro);
+    }, provedor.timeout);
+  });
+
+  try {
+    return await Promise.race([provedor.buscar(codigo, { timeout: provedor.timeout }), limite]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Executa um provedor (fontes online passam por disjuntor, limite e retentativa)
+ * "nao_encontrado" só quando a fonte respondeu; falha da fonte é "erro" e
+ * fonte não consultada (circuito aberto, limite ou cota) é "pulado" - nenhum
+ * dos dois prova que o produto não existe.
+ * @returns {Promise<{status: 'encontrado'|'nao_encontrado'|'erro'|'pulado', resultado: ResultadoProvedor|null}>}
+ */
+async function executarProvedor(provedor, codigo) {
+  const respondeu = (resultado) => ({ status: resultado ? 'encontrado' : 'nao_encontrado', resultado: resultado || null });
+
+  if (provedor.tipo !== 'online') {
+    try {
+      return respondeu(await chamarComTimeout(provedor, codigo));
+    } catch (err) {
+      console.log(`❌ ${provedor.rotulo}: Erro -`, err.message);
+      return { status: 'erro', resultado: null };
+    }
+  }
+
+  const { disjuntor, limitador } = controleDoProvedor(provedor);
+
+  // Circuito aberto: pula na hora em vez de esperar o timeout da fonte
+  if (!disjuntor.permite()) {
+    console.log(`⏭️ ${provedor.rotulo}: circuito aberto, pulando`);
+    return { status: 'pulado', resultado: null };
+  }
+
+  if (!(await limitador.consumir(ESPERA_MAXIMA_TOKEN_MS))) {
+    console.log(`⏭️ ${provedor.rotulo}: limite de requisições da fonte atingido, pulando`);
+    disjuntor.liberarTeste();
+    return { status: 'pulado', resultado: null };
+  }
+
+  try {
+    const resultado = await comRetentativa(() => chamarComTimeout(provedor, codigo), {
+      tentativas: provedor.tentativas,
+      antesDeRepetir: () => limitador.consumir(0)
+    });
+    disjuntor.registrarSucesso();
+    return respondeu(resultado);
+  } catch (err) {
+    // A própria fonte se recusou a consultar (ex: cota): não conta como falha do circuito
+    if (err.pulado) {
+      disjuntor.liberarTeste();
+      console.log(`⏭️ ${provedor.rotulo}: ${err.message}, pulando`);
+      return { status: 'pulado', resultado: null };
+    }
+
+    const status = err.response && err.response.status;
+    disjuntor.registrarFalha(status === 429 ? retryAfterMs(err) || undefined : undefined);
+
+    if (status === 429) {
+      console.log(`⚠️ ${provedor.rotulo}: Limite de requisições atingido`);
+    } else {
+      console.log(`❌ ${provedor.rotulo}: Erro -`, err.message);
+    }
+    return { status: 'erro', resultado: null };
+  }
+}
+
+/**
+ * Estado do disjuntor e do limitador de cada fonte online (para /api/stats)
+ * @returns {Array<Object>}
+ */
+export function estadoDosProvedores() {
+  return listarProvedores()
+    .filter(p => p.tipo === 'online')
+    .map(p => {
+      const { disjuntor, limitador } = controleDoProvedor(p);
+      return {
+        nome: p.nome,
+        rotulo: p.rotulo,
+        habilitado: p.habilitado,
+        circuito: disjuntor.resumo(),
+        limites: limitador.resumo(),
+        ...(p.estado ? p.estado() : {})
+      };
+    });
+}
+
+/**
+ * Percorre a cadeia de provedores até encontrar o produto
+ * Sem resultado, "definitivo" indica que todas as fontes ativas responderam
+ * que não conhecem o código; com alguma falha, o "não encontrado" não é
+ * confiável (não deve ir para o cache negativo).
+ * @param {string} codigo - Código já normalizado
+ * @param {{tipo?: 'local'|'online'}} [opcoes] - Restringe a cadeia a um tipo de provedor
+ * @returns {Promise<{
+ *   provedor: Provedor, resultado: ResultadoProvedor,
+ *   proveniencia: Object<string, string>|null, fontes: string[]
+ * }|{
+ *   resultado: null, definitivo: boolean, falhas: Array<{provedor: string, status: string}>
+ * }>}
+ */
+export async function executarCadeia(codigo, opcoes = {}) {
+  const ativos = listarProvedores().filter(p => p.habilitado && (!opcoes.tipo || p.tipo === opcoes.tipo));
+
+  // Agrupa em etapas: mesma prioridade (e mesmo tipo) roda em paralelo
+  const etapas = [];
+  for (const provedor of ativos) {
+    const ultima = etapas[etapas.length - 1];
+    if (ultima && ultima[0].prioridade === provedor.prioridade && ultima[0].tipo === provedor.tipo) {
+      ultima.push(provedor);
+    } else {
+      etapas.push([provedor]);
+    }
+  }
+
+  const falhas = [];
+  for (const etapa of etapas) {
+    const execucoes = await Promise.all(etapa.map(p => executarProvedor(p, codigo)));
+    execucoes.forEach(({ status }, i) => {
+      if (status !== 'encontrado' && status !== 'nao_encontrado') falhas.push({ provedor: etapa[i].nome, status });
+    });
+
+    const respostas = etapa
+      .map((provedor, i) => ({ provedor, resultado: execucoes[i].resultado }))
+      .filter(r => r.resultado && (r.resultado.nome || r.resultado.produto));
+
+    if (respostas.length === 0) continue;
+
+    // Fontes locais já têm o registro completo: vale a primeira da etapa
+    if (respostas[0].provedor.tipo === 'local') {
+      return { ...respostas[0], proveniencia: null, fontes: [respostas[0].provedor.nome] };
+    }
+
+    return mesclarResultados(respostas);
+  }
+
+  return { resultado: null, definitivo: ativos.length > 0 && falhas.length === 0, falhas };
+}
+
+// Provedores online embutidos (os locais são registrados pelo servidor)
+[...openFacts, upcItemDB, cosmosApi, cosmos].forEach(registrarProvedor);
+
+export default {
+  registrarProvedor,
+  listarProvedores,
+  executarCadeia,
+  estadoDosProvedores,
+};
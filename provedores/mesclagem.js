@@ -0,0 +1,85 @@
+/**
+ * Mesclagem campo a campo dos resultados de várias fontes online
+ * Quando mais de uma fonte responde na mesma etapa, cada campo vem da fonte
+ * de maior prioridade que o preencheu. A prioridade é configurável no .env:
+ *
+ *   MESCLA_PRIORIDADE=open_food_facts,upcitemdb          (todas as colunas)
+ *   MESCLA_PRIORIDADE_IMAGEM=upcitemdb,open_food_facts   (só a imagem)
+ *
+ * Fontes fora da lista entram depois, na ordem da cadeia.
+ */
+
+export const CAMPOS_MESCLA = ['nome', 'marca', 'categoria', 'quantidade', 'imagem', 'ncm', 'cest', 'peso_liquido', 'peso_bruto'];
+
+/**
+ * Lê a lista de prioridade de um campo (ou a global)
+ * @param {string} campo
+ * @returns {string[]}
+ */
+function prioridadeDoCampo(campo) {
+  const valor = process.env[`MESCLA_PRIORIDADE_${campo.toUpperCase()}`] || process.env.MESCLA_PRIORIDADE || '';
+  return valor.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Ordena as respostas conforme a prioridade configurada para o campo
+ * @param {Array<{provedor: import('./index.js').Provedor}>} respostas - Já na ordem da cadeia
+ * @param {string} campo
+ */
+function ordenarPorPrioridade(respostas, campo) {
+  const prioridade = prioridadeDoCampo(campo);
+  const posicao = (nome) => {
+    const i = prioridade.indexOf(nome);
+    return i >= 0 ? i : prioridade.length;
+  };
+  // sort é estável: empates mantêm a ordem da cadeia
+  return [...respostas].sort((a, b) => posicao(a.provedor.nome) - posicao(b.provedor.nome));
+}
+
+/**
+ * Mescla os resultados de uma etapa da cadeia
+ * @param {Array<{provedor: import('./index.js').Provedor, resultado: import('./index.js').ResultadoProvedor}>} respostas
+ * @returns {{
+ *   provedor: import('./index.js').Provedor,
+ *   resultado: import('./index.js').ResultadoProvedor,
+ *   proveniencia: Object<string, string>,
+ *   fontes: string[]
+ * }}
+ */
+export function mesclarResultados(respostas) {
+  const resultado = { codigo: respostas[0].resultado.codigo };
+  const proveniencia = {};
+
+  for (const campo of CAMPOS_MESCLA) {
+    for (const { provedor, resultado: r } of ordenarPorPrioridade(respostas, campo)) {
+      const valor = typeof r[campo] === 'string' ? r[campo].trim() : r[campo];
+      if (valor) {
+        resultado[campo] = valor;
+        proveniencia[campo] = provedor.nome;
+        break;
+      }
+    }
+    if (!(campo in resultado)) {
+      resultado[campo] = '';
+    }
+  }
+
+  // Só entram como fonte as que contribuíram com algum campo
+  const contribuintes = respostas.filter(r => Object.values(proveniencia).includes(r.provedor.nome));
+  resultado.origem = contribuintes.map(r => r.resultado.origem).join(' + ');
+
+  // O provedor "principal" é o que deu o nome
+  const principal = respostas.find(r => r.provedor.nome === proveniencia.nome) || respostas[0];
+
+  return {
+    provedor: principal.provedor,
+    resultado,
+    proveniencia,
+    fontes: contribuintes.map(r => r.provedor.nome)
+  };
+}
+
+export default {
+  CAMPOS_MESCLA,
+  mesclarResultados,
+};
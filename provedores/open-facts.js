@@ -0,0 +1,124 @@
+/**
+ * Provedores Open Facts - Open Food Facts, Open Beauty Facts e Open Pet Food Facts
+ * As três bases usam a mesma API v2, só muda o domínio
+ */
+
+import axios from 'axios';
+
+/**
+ * Cria um provedor para uma base da família Open Facts
+ * @param {{nome: string, rotulo: string, dominio: string, prioridade: number, emoji: string}} opcoes
+ * @returns {import('./index.js').Provedor}
+ */
+function criarProvedorOpenFacts({ nome, rotulo, dominio, prioridade, emoji }) {
+  return {
+    nome,
+    rotulo,
+    tipo: 'online',
+    origem: 'online',
+    prioridade,
+    timeout: 10000,
+    habilitado: true,
+    // Limite publicado para leitura de produto: 100 requisições/minuto
+    limites: [{ quantidade: 100, janelaMs: 60000 }],
+
+    async buscar(codigo, { timeout }) {
+      console.log(`${emoji} Buscando no ${rotulo}...`);
+
+      const url = `https://${dominio}/api/v2/product/${codigo}.json`;
+      const resposta = await axios.get(url, {
+        timeout,
+        headers: {
+          "User-Agent": "MISE-Scanner/1.0 (contact@mise.ws)"
+        },
+        // 404 = produto não cadastrado, não é falha do serviço
+        validateStatus: (status) => status === 200 || status === 404
+      });
+
+      if (resposta.data && resposta.data.status === 1 && resposta.data.product) {
+        const produto = resposta.data.product;
+        const nomeProduto = produto.product_name_pt || produto.product_name || produto.generic_name || null;
+
+        if (nomeProduto) {
+          console.log(`✅ ${rotulo}: Encontrado -`, nomeProduto);
+          return {
+            nome: nomeProduto,
+            codigo: codigo,
+            marca: produto.brands || "",
+            categoria: produto.categories || "",
+            quantidade: produto.quantity || "",
+            imagem: produto.image_front_url || produto.image_url || "",
+            origem: rotulo
+          };
+        }
+      }
+
+      return null;
+    }
+  };
+}
+
+export const openFoodFacts = criarProvedorOpenFacts({
+  nome: 'open_food_facts',
+  rotulo: 'Open Food Facts',
+  dominio: 'world.openfoodfacts.org',
+  prioridade: 50,
+  emoji: '🥫'
+});
+
+export const openBeautyFacts = criarProvedorOpenFacts({
+  nome: 'open_beauty_facts',
+  rotulo: 'Open Beauty Facts',
+  dominio: 'world.openbeautyfacts.org',
+  prioridade: 50,
+  emoji: '💄'
+});
+
+export const openPetFoodFacts = criarProvedorOpenFacts({
+  nome: 'open_pet_food_facts',
+  rotulo: 'Open Pet Food Facts',
+  dominio: 'world.openpetfoodfacts.org',
+  prioridade: 50,
+  emoji: '🐕'
+});
+
+/**
+ * Busca por nome no Open Food Facts (autocomplete)
+ * @param {string} termo - Texto digitado
+ * @returns {Promise<Array<{codigo: string, nome: string, marca: string, categoria: string, origem: string}>>}
+ */
+export async function buscarPorNomeOpenFoodFacts(termo) {
+  console.log("🥫 Buscando por nome no Open Food Facts:", termo);
+
+  try {
+    const url = `https://world.openfoodfacts.org/cgi/search.pl?search_terms=${encodeURIComponent(termo)}&search_simple=1&action=process&json=1&page_size=10&lc=pt`;
+    const resposta = await axios.get(url, {
+      timeout: 15000,
+      headers: {
+        "User-Agent": "MISE-Scanner/1.0 (contact@mise.ws)"
+      }
+    });
+
+    if (resposta.data && resposta.data.products && resposta.data.products.length > 0) {
+      const resultados = resposta.data.products
+        .filter(p => p.product_name || p.product_name_pt)
+        .map(p => ({
+          codigo: p.code || "",
+          nome: p.product_name_pt || p.product_name || "",
+          marca: p.brands || "",
+          categoria: p.categories || "",
+          origem: "Open Food Facts"
+        }))
+        .slice(0, 10);
+
+      console.log(`✅ Open Food Facts: Encontrados ${resultados.length} produtos`);
+      return resultados;
+    }
+  } catch (err) {
+    console.log("❌ Open Food Facts busca por nome: Erro -", err.message);
+  }
+
+  return [];
+}
+
+export default [openFoodFacts, openBeautyFacts, openPetFoodFacts];
@@ -0,0 +1,204 @@
+/**
+ * Resiliência das fontes online - disjuntor, limite de requisições e retentativa
+ *
+ * - Disjuntor (circuit breaker): depois de N falhas seguidas a fonte fica
+ *   "aberta" e é pulada até o tempo de espera acabar; então uma única
+ *   requisição de teste ("meio-aberto") decide se volta a fechar.
+ * - Limitador (token bucket): segue o limite publicado de cada fonte.
+ * - Retentativa com backoff exponencial e jitter para erros temporários.
+ */
+
+const CODIGOS_REDE_TEMPORARIOS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+/**
+ * Cria um disjuntor
+ * @param {{falhasParaAbrir?: number, tempoAbertoMs?: number}} [opcoes]
+ */
+export function criarDisjuntor({ falhasParaAbrir = 5, tempoAbertoMs = 60000 } = {}) {
+  let estado = 'fechado';
+  let falhasConsecutivas = 0;
+  let abertoAte = 0;
+  let testeEmAndamento = false;
+
+  function abrir(duracaoMs) {
+    estado = 'aberto';
+    abertoAte = Date.now() + duracaoMs;
+    testeEmAndamento = false;
+  }
+
+  return {
+    /**
+     * Indica se a fonte pode ser consultada agora
+     * @returns {boolean}
+     */
+    permite() {
+      if (estado === 'aberto' && Date.now() >= abertoAte) {
+        estado = 'meio-aberto';
+      }
+      if (estado === 'fechado') return true;
+      if (estado === 'meio-aberto' && !testeEmAndamento) {
+        testeEmAndamento = true;
+        return true;
+      }
+      return false;
+    },
+
+    registrarSucesso() {
+      estado = 'fechado';
+      falhasConsecutivas = 0;
+      testeEmAndamento = false;
+    },
+
+    /**
+     * @param {number} [duracaoMs] - Força o tempo aberto (ex: Retry-After de um 429)
+     */
+    registrarFalha(duracaoMs) {
+      falhasConsecutivas++;
+      if (estado === 'meio-aberto' || falhasConsecutivas >= falhasParaAbrir || duracaoMs) {
+        abrir(Math.max(duracaoMs || 0, tempoAbertoMs));
+      }
+    },
+
+    /**
+     * Libera o teste do meio-aberto sem contar sucesso nem falha (ex: requisição pulada)
+     */
+    liberarTeste() {
+      testeEmAndamento = false;
+    },
+
+    resumo() {
+      if (estado === 'aberto' && Date.now() >= abertoAte) {
+        estado = 'meio-aberto';
+      }
+      return {
+        estado,
+        falhasConsecutivas,
+        abertoAte: estado === 'aberto' ? new Date(abertoAte).toISOString() : null
+      };
+    }
+  };
+}
+
+/**
+ * Cria um limitador token bucket para uma ou mais janelas (ex: 6/min e 100/dia)
+ * @param {Array<{quantidade: number, janelaMs: number}>} limites
+ */
+export function criarLimitador(limites = []) {
+  const baldes = limites.map(({ quantidade, janelaMs }) => ({
+    capacidade: quantidade,
+    tokens: quantidade,
+    porMs: quantidade / janelaMs,
+    janelaMs,
+    atualizadoEm: Date.now()
+  }));
+
+  function reabastecer() {
+    const agora = Date.now();
+    for (const balde of baldes) {
+      balde.tokens = Math.min(balde.capacidade, balde.tokens + (agora - balde.atualizadoEm) * balde.porMs);
+      balde.atualizadoEm = agora;
+    }
+  }
+
+  return {
+    /**
+     * Tempo (ms) até haver um token em todas as janelas
+     * @returns {number}
+     */
+    esperaMs() {
+      reabastecer();
+      return Math.max(0, ...baldes.map(b => (b.tokens >= 1 ? 0 : (1 - b.tokens) / b.porMs)));
+    },
+
+    /**
+     * Consome um token se houver (ou se chegar dentro de esperaMaximaMs)
+     * @param {number} [esperaMaximaMs]
+     * @returns {Promise<boolean>}
+     */
+    async consumir(esperaMaximaMs = 0) {
+      let espera = this.esperaMs();
+      if (espera > esperaMaximaMs) return false;
+      if (espera > 0) {
+        await new Promise(resolve => setTimeout(resolve, espera));
+        espera = this.esperaMs();
+        if (espera > 0) return false;
+      }
+      baldes.forEach(b => { b.tokens -= 1; });
+      return true;
+    },
+
+    resumo() {
+      reabastecer();
+      return baldes.map(b => ({
+        limite: b.capacidade,
+        janelaMs: b.janelaMs,
+        disponiveis: Math.floor(b.tokens)
+      }));
+    }
+  };
+}
+
+/**
+ * Tempo pedido pelo servidor no header Retry-After (segundos ou data HTTP)
+ * @returns {number|null} Milissegundos
+ */
+export function retryAfterMs(err) {
+  const valor = err && err.response && err.response.headers && err.response.headers['retry-after'];
+  if (!valor) return null;
+  const segundos = Number(valor);
+  if (Number.isFinite(segundos)) return segundos * 1000;
+  const data = Date.parse(valor);
+  return Number.isNaN(data) ? null : Math.max(0, data - Date.now());
+}
+
+/**
+ * Indica se vale tentar de novo (rede instável, timeout, 5xx, 429)
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function erroTemporario(err) {
+  if (!err) return false;
+  if (err.response) {
+    return err.response.status === 429 || err.response.status >= 500;
+  }
+  return err.timeout === true || CODIGOS_REDE_TEMPORARIOS.includes(err.code);
+}
+
+/**
+ * Executa fn com retentativas e backoff exponencial com jitter ("full jitter")
+ * @param {(tentativa: number) => Promise<any>} fn
+ * @param {{tentativas?: number, baseMs?: number, maxMs?: number, antesDeRepetir?: () => Promise<boolean>|boolean}} [opcoes]
+ *   antesDeRepetir pode cancelar a próxima tentativa (ex: limite de requisições esgotado)
+ */
+export async function comRetentativa(fn, { tentativas = 2, baseMs = 300, maxMs = 3000, antesDeRepetir } = {}) {
+  let ultimoErro = null;
+
+  for (let tentativa = 1; tentativa <= tentativas; tentativa++) {
+    try {
+      return await fn(tentativa);
+    } catch (err) {
+      ultimoErro = err;
+      if (tentativa === tentativas || !erroTemporario(err)) break;
+
+      // Se o servidor pediu para esperar mais do que o teto, não adianta repetir agora
+      const pedido = retryAfterMs(err);
+      if (pedido !== null && pedido > maxMs) break;
+
+      const teto = Math.min(maxMs, baseMs * 2 ** (tentativa - 1));
+      const espera = pedido !== null ? pedido : Math.random() * teto;
+      await new Promise(resolve => setTimeout(resolve, espera));
+
+      if (antesDeRepetir && !(await antesDeRepetir())) break;
+    }
+  }
+
+  throw ultimoErro;
+}
+
+export default {
+  criarDisjuntor,
+  criarLimitador,
+  retryAfterMs,
+  erroTemporario,
+  comRetentativa,
+};
@@ -0,0 +1,54 @@
+/**
+ * Provedor UPCItemDB - banco de dados UPC/EAN (plano trial, sem chave)
+ */
+
+import axios from 'axios';
+
+export default {
+  nome: 'upcitemdb',
+  rotulo: 'UPCItemDB',
+  tipo: 'online',
+  origem: 'online',
+  prioridade: 50,
+  timeout: 10000,
+  habilitado: true,
+  // Plano trial: 100 consultas/dia, no máximo 6 por minuto
+  limites: [
+    { quantidade: 6, janelaMs: 60000 },
+    { quantidade: 100, janelaMs: 24 * 60 * 60 * 1000 }
+  ],
+
+  async buscar(codigo, { timeout }) {
+    console.log("🏷️ Buscando no UPCItemDB...");
+
+    const url = `https://api.upcitemdb.com/prod/trial/lookup?upc=${codigo}`;
+    const resposta = await axios.get(url, {
+      timeout,
+      headers: {
+        "Accept": "application/json",
+        "User-Agent": "MISE-Scanner/1.0"
+      },
+      validateStatus: (status) => status === 200 || status === 404
+    });
+
+    if (resposta.data && resposta.data.code === "OK" && resposta.data.items && resposta.data.items.length > 0) {
+      const item = resposta.data.items[0];
+      const nome = item.title || item.description || null;
+
+      if (nome) {
+        console.log("✅ UPCItemDB: Encontrado -", nome);
+        return {
+          nome: nome,
+          codigo: codigo,
+          marca: item.brand || "",
+          categoria: item.category || "",
+          quantidade: item.size || "",
+          imagem: (item.images && item.images[0]) || "",
+          origem: "UPCItemDB"
+        };
+      }
+    }
+
+    return null;
+  }
+};
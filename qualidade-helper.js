@@ -0,0 +1,363 @@
+/**
+ * Qualidade Helper - Verificação da qualidade dos dados da base local
+ * Percorre a tabela produtos (sem os excluídos) procurando GTINs inválidos,
+ * códigos que passaram por notação científica, NCMs fora do formato, campos
+ * essenciais vazios, nomes com sufixo de site, prováveis duplicados e pesos e
+ * preços não numéricos. Cada execução guarda o resumo; os achados da última
+ * ficam em qualidade_achados e podem ser baixados em XLSX para correção
+ * (a planilha volta pelo POST /api/importar: só as colunas presentes mudam).
+ */
+
+import { analisarCodigo } from './gtin-helper.js';
+import { planilhaEmStream } from './xlsx-stream-helper.js';
+
+// Produtos lidos do banco por vez
+const PAGINA = 1000;
+
+// Outros códigos citados no achado de duplicado
+const DUPLICADOS_NO_DETALHE = 5;
+
+export const VERIFICACOES = {
+  gtin_invalido: 'GTIN com tamanho ou dígito verificador inválido',
+  notacao_cientifica: 'Código que passou por notação científica (últimos dígitos perdidos)',
+  ncm_invalido: 'NCM preenchido sem 8 dígitos',
+  campos_vazios: 'Campos essenciais vazios (produto, marca, categoria, NCM)',
+  nome_com_sufixo: 'Nome com sufixo de site (" - Cosmos", " | loja.com.br")',
+  duplicado: 'Provável duplicado (mesmo nome e marca normalizados)',
+  peso_invalido: 'Peso líquido ou bruto não numérico',
+  preco_invalido: 'Preço médio não numérico'
+};
+
+const CAMPOS_ESSENCIAIS = ['produto', 'marca', 'categoria', 'ncm'];
+
+// Colunas da planilha de achados (nomes das colunas: a planilha corrigida reimporta com o perfil padrão)
+const COLUNAS_PLANILHA = [
+  'verificacao', 'codigo_barras', 'produto', 'marca', 'categoria', 'ncm',
+  'peso_liquido', 'peso_bruto', 'preco_medio', 'detalhe', 'sugestao'
+];
+const LARGURAS_PLANILHA = [20, 16, 45, 20, 25, 11, 12, 12, 12, 50, 30];
+
+// "7.8913E+12" vira 7891300000000 ao ser normalizado: muitos zeros no fim
+const CODIGO_CIENTIFICO = /^\d{2,7}0{6,}$/;
+
+// Último trecho do nome depois de " - ", " | ", " – " ou " — " citando um site
+const SUFIXO_DE_SITE = /\s+[-|–—]\s+(?:[^-|–—]*\b(?:cosmos|bluesoft|open\s?(?:food|beauty|products)\s?facts|mercado\s?livre|amazon|americanas|magalu|carrefour|shopee|google)\b[^-|–—]*|(?:www\.)?[\w-]+(?:\.[\w-]+)*\.(?:com|net|org)(?:\.br)?)\s*$/i;
+
+// Números no formato brasileiro ("1.234,56") ou com ponto decimal
+const NUMERO = String.raw`(?:\d{1,3}(?:\.\d{3})+(?:,\d+)?|\d+(?:[.,]\d+)?)`;
+const PESO_VALIDO = new RegExp(`^${NUMERO}\\s*(?:kg|g|mg|l|ml)?$`, 'i');
+const PRECO_VALIDO = new RegExp(`^(?:R\\$\\s*)?${NUMERO}$`, 'i');
+
+function erroQualidade(mensagem, status, erros) {
+  return Object.assign(new Error(mensagem), { status, erros });
+}
+
+/**
+ * Nome sem os sufixos de site (aplicado enquanto houver)
+ * @param {string} nome
+ * @returns {string}
+ */
+export function removerSufixoDeSite(nome) {
+  let limpo = String(nome ?? '').trim();
+  while (SUFIXO_DE_SITE.test(limpo)) limpo = limpo.replace(SUFIXO_DE_SITE, '').trim();
+  return limpo;
+}
+
+/**
+ * Chave para achar duplicados: nome (sem sufixo de site) + marca, sem
+ * acentos, maiúsculas nem pontuação
+ * @param {string} produto
+ * @param {string} marca
+ * @returns {string} Vazio quando não há nome
+ */
+export function chaveDeDuplicado(produto, marca) {
+  const normalizar = (texto) => String(texto ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .join(' ');
+
+  const nome = normalizar(removerSufixoDeSite(produto));
+  return nome ? `${nome}|${normalizar(marca)}` : '';
+}
+
+// Único número dentro do texto ("1,5 kg aprox" → "1,5"), para sugerir a correção
+function numeroDoTexto(texto) {
+  const numeros = texto.match(/\d+(?:[.,]\d+)*/g);
+  return numeros && numeros.length === 1 ? numeros[0] : null;
+}
+
+/**
+ * Problemas de um produto (menos duplicados, que dependem da base toda)
+ * @param {Object} produto - Linha da tabela produtos
+ * @returns {Array<{verificacao: string, detalhe: string, sugestao: string|null}>}
+ */
+export function verificarProduto(produto) {
+  const achados = [];
+  const achar = (verificacao, detalhe, sugestao = null) => achados.push({ verificacao, detalhe, sugestao });
+  const codigo = String(produto.codigo_barras ?? '');
+
+  if (codigo.length >= 12 && CODIGO_CIENTIFICO.test(codigo)) {
+    achar('notacao_cientifica', `código termina em ${codigo.match(/0+$/)[0].length} zeros: provavelmente veio de notação científica (ex: 7.8913E+12) e perdeu os últimos dígitos`);
+  } else {
+    const analise = analisarCodigo(codigo);
+    if (!analise.valido) {
+      if (analise.erro === 'digito_verificador_invalido') {
+        achar('gtin_invalido', `dígito verificador inválido (esperado ${analise.digitoEsperado})`);
+      } else {
+        achar('gtin_invalido', `código com ${codigo.length} dígitos não é um GTIN (8, 12, 13 ou 14)`);
+      }
+    }
+  }
+
+  const ncm = String(produto.ncm ?? '').trim();
+  if (ncm && !/^\d{8}$/.test(ncm)) {
+    const digitos = ncm.replace(/[.\s-]/g, '');
+    let sugestao = null;
+    if (/^\d{8}$/.test(digitos)) sugestao = digitos;
+    // Capítulos 01 a 09 perdem o zero à esquerda quando a planilha trata o NCM como número
+    else if (/^\d{7}$/.test(digitos)) sugestao = `0${digitos}`;
+    achar('ncm_invalido', `NCM "${ncm}" não tem 8 dígitos`, sugestao);
+  }
+
+  const vazios = CAMPOS_ESSENCIAIS.filter(c => !String(produto[c] ?? '').trim());
+  if (vazios.length > 0) achar('campos_vazios', `sem ${vazios.join(', ')}`);
+
+  const nome = String(produto.produto ?? '').trim();
+  const semSufixo = removerSufixoDeSite(nome);
+  if (semSufixo !== nome) achar('nome_com_sufixo', `nome termina com "${nome.slice(semSufixo.length).trim()}"`, semSufixo);
+
+  for (const campo of ['peso_liquido', 'peso_bruto']) {
+    const valor = String(produto[campo] ?? '').trim();
+    if (valor && !PESO_VALIDO.test(valor)) achar('peso_invalido', `${campo} "${valor}" não é numérico`, numeroDoTexto(valor));
+  }
+
+  const preco = String(produto.preco_medio ?? '').trim();
+  if (preco && !PRECO_VALIDO.test(preco)) achar('preco_invalido', `preco_medio "${preco}" não é numérico`, numeroDoTexto(preco));
+
+  return achados;
+}
+
+/**
+ * Verifica a base local inteira e grava os achados (substituem os da execução anterior)
+ * Lê em páginas, cedendo a vez entre elas: pode rodar dentro do servidor.
+ * CLI e API podem rodar ao mesmo tempo: cada execução só apaga achados de
+ * execuções mais antigas, e a que terminar depois de uma mais nova é descartada.
+ * @param {Database} database
+ * @param {{aoProgredir?: (progresso: {produtos: number, total: number, percentual: number}) => void}} [opcoes]
+ * @returns {Promise<{id: number, inicio: string, fim: string, produtos: number, resumo: Object<string, number>}>}
+ */
+export async function executarVerificacao(database, { aoProgredir } = {}) {
+  const id = database.prepare('INSERT INTO qualidade_execucoes DEFAULT VALUES').run().lastInsertRowid;
+
+  const total = database.prepare('SELECT COUNT(*) AS total FROM produtos WHERE excluido_em IS NULL').get().total;
+  const pagina = database.prepare(`
+    SELECT id, codigo_barras, produto, marca, categoria, ncm, peso_liquido, peso_bruto, preco_medio
+    FROM produtos
+    WHERE excluido_em IS NULL AND id > ?
+    ORDER BY id
+    LIMIT ${PAGINA}
+  `);
+  const inserir = database.prepare(`
+    INSERT INTO qualidade_achados (execucao, verificacao, codigo_barras, detalhe, sugestao) VALUES (?, ?, ?, ?, ?)
+  `);
+
+  const resumo = Object.fromEntries(Object.keys(VERIFICACOES).map(v => [v, 0]));
+  const gravarPagina = database.transaction((itens) => {
+    for (const { codigo, achados } of itens) {
+      for (const a of achados) {
+        inserir.run(id, a.verificacao, codigo, a.detalhe, a.sugestao);
+        resumo[a.verificacao]++;
+      }
+    }
+  });
+
+  let concluida;
+  try {
+    // chave normalizada → códigos com essa chave
+    const porChave = new Map();
+    let produtos = 0;
+    let ultimo = 0;
+
+    while (true) {
+      const linhas = pagina.all(ultimo);
+      gravarPagina(linhas.map(linha => {
+        const chave = chaveDeDuplicado(linha.produto, linha.marca);
+        if (chave) {
+          const codigos = porChave.get(chave);
+          if (codigos) codigos.push(linha.codigo_barras);
+          else porChave.set(chave, [linha.codigo_barras]);
+        }
+        return { codigo: linha.codigo_barras, achados: verificarProduto(linha) };
+      }));
+
+      produtos += linhas.length;
+      if (aoProgredir) aoProgredir({ produtos, total, percentual: total > 0 ? (produtos / total) * 100 : 100 });
+      if (linhas.length < PAGINA) break;
+      ultimo = linhas[linhas.length - 1].id;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const duplicados = [];
+    for (const codigos of porChave.values()) {
+      if (codigos.length < 2) continue;
+      for (const codigo of codigos) {
+        const outros = codigos.filter(c => c !== codigo);
+        const mais = outros.length > DUPLICADOS_NO_DETALHE ? ` e mais ${outros.length - DUPLICADOS_NO_DETALHE}` : '';
+        duplicados.push({
+          codigo,
+          achados: [{ verificacao: 'duplicado', detalhe: `mesmo nome e marca de ${outros.slice(0, DUPLICADOS_NO_DETALHE).join(', ')}${mais}`, sugestao: null }]
+        });
+      }
+    }
+    gravarPagina(duplicados);
+
+    concluida = database.transaction(() => {
+      // Uma execução que começou depois e já terminou tem o retrato mais novo
+      if (database.prepare("SELECT 1 FROM qualidade_execucoes WHERE id > ? AND status = 'concluida'").get(id)) {
+        database.prepare('DELETE FROM qualidade_achados WHERE execucao = ?').run(id);
+        database.prepare("UPDATE qualidade_execucoes SET status = 'descartada', fim = datetime('now') WHERE id = ?").run(id);
+        return false;
+      }
+
+      database.prepare(`
+        UPDATE qualidade_execucoes SET status = 'concluida', fim = datetime('now'), produtos = ?, resumo = ? WHERE id = ?
+      `).run(produtos, JSON.stringify(resumo), id);
+      // Anteriores em andamento ficaram pela metade (processo encerrado) ou vão ser descartadas ao terminar
+      database.prepare("UPDATE qualidade_execucoes SET status = 'interrompida' WHERE id < ? AND status = 'andamento'").run(id);
+      database.prepare('DELETE FROM qualidade_achados WHERE execucao < ?').run(id);
+      return true;
+    })();
+  } catch (err) {
+    database.prepare('DELETE FROM qualidade_achados WHERE execucao = ?').run(id);
+    database.prepare("UPDATE qualidade_execucoes SET status = 'erro', fim = datetime('now') WHERE id = ?").run(id);
+    throw err;
+  }
+
+  if (!concluida) {
+    throw erroQualidade('Verificação descartada: outra execução, iniciada depois, terminou antes', 409);
+  }
+
+  return { ...database.prepare('SELECT id, inicio, fim, produtos FROM qualidade_execucoes WHERE id = ?').get(id), resumo };
+}
+
+// -------------------------------------------
+// CONSULTA DOS ACHADOS
+// -------------------------------------------
+
+function validarVerificacao(verificacao) {
+  if (verificacao && !VERIFICACOES[verificacao]) {
+    throw erroQualidade(`Verificação inválida: ${verificacao}`, 400, [`use ${Object.keys(VERIFICACOES).join(', ')}`]);
+  }
+}
+
+/**
+ * Última execução concluída (a que os achados mostram)
+ * @param {Database} database
+ * @returns {Object|undefined}
+ */
+function ultimaExecucao(database) {
+  return database.prepare(`
+    SELECT id, inicio, fim, produtos, resumo FROM qualidade_execucoes
+    WHERE status = 'concluida'
+    ORDER BY id DESC
+    LIMIT 1
+  `).get();
+}
+
+/**
+ * Última execução concluída, com a contagem de cada verificação
+ * @param {Database} database
+ * @returns {{execucao: Object|null, emAndamento: boolean, verificacoes: Array<{id: string, descricao: string, total: number}>}}
+ */
+export function resumoDaQualidade(database) {
+  const execucao = ultimaExecucao(database);
+  const emAndamento = Boolean(database.prepare("SELECT 1 FROM qualidade_execucoes WHERE status = 'andamento'").get());
+  const resumo = execucao ? JSON.parse(execucao.resumo) : {};
+
+  return {
+    execucao: execucao ? { id: execucao.id, inicio: execucao.inicio, fim: execucao.fim, produtos: execucao.produtos } : null,
+    emAndamento,
+    verificacoes: Object.entries(VERIFICACOES).map(([id, descricao]) => ({ id, descricao, total: resumo[id] ?? 0 }))
+  };
+}
+
+// Achado + valores atuais do produto (o produto pode ter sido corrigido depois da verificação)
+const SELECT_ACHADOS = `
+  SELECT a.rowid AS id, a.verificacao, a.codigo_barras, p.produto, p.marca, p.categoria, p.ncm,
+         p.peso_liquido, p.peso_bruto, p.preco_medio, a.detalhe, a.sugestao
+  FROM qualidade_achados a
+  LEFT JOIN produtos p ON p.codigo_barras = a.codigo_barras
+`;
+
+/**
+ * Achados da última execução, paginados
+ * @param {Database} database
+ * @param {{verificacao?: string, pagina?: number, limite?: number}} [opcoes]
+ * @returns {{total: number, pagina: number, limite: number, itens: Object[]}}
+ */
+export function listarAchados(database, { verificacao, pagina = 1, limite = 100 } = {}) {
+  validarVerificacao(verificacao);
+  // Só a última execução concluída: as outras podem estar gravando ou ter parado no meio
+  const execucao = ultimaExecucao(database)?.id ?? 0;
+  const filtro = `WHERE a.execucao = ?${verificacao ? ' AND a.verificacao = ?' : ''}`;
+  const parametros = verificacao ? [execucao, verificacao] : [execucao];
+
+  const total = database.prepare(`SELECT COUNT(*) AS total FROM qualidade_achados a ${filtro}`).get(...parametros).total;
+  const itens = database.prepare(`${SELECT_ACHADOS} ${filtro} ORDER BY a.rowid LIMIT ? OFFSET ?`)
+    .all(...parametros, limite, (pagina - 1) * limite)
+    .map(({ id, ...item }) => item);
+
+  return { total, pagina, limite, itens };
+}
+
+/**
+ * Achados da última execução em XLSX, em stream
+ * @param {Database} database
+ * @param {{verificacao?: string}} [opcoes] - Sem verificação: todos os achados
+ * @returns {{nomeArquivo: string, conteudo: AsyncGenerator<Buffer>}}
+ */
+export function planilhaDeAchados(database, { verificacao } = {}) {
+  validarVerificacao(verificacao);
+  const execucao = ultimaExecucao(database)?.id ?? 0;
+  const pagina = database.prepare(`
+    ${SELECT_ACHADOS}
+    WHERE a.execucao = ? AND a.rowid > ? ${verificacao ? 'AND a.verificacao = ?' : ''}
+    ORDER BY a.rowid
+    LIMIT ${PAGINA}
+  `);
+
+  async function* linhas() {
+    let ultimo = 0;
+    while (true) {
+      const itens = pagina.all(execucao, ultimo, ...(verificacao ? [verificacao] : []));
+      for (const item of itens) yield COLUNAS_PLANILHA.map(c => item[c] ?? null);
+      if (itens.length < PAGINA) break;
+      ultimo = itens[itens.length - 1].id;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  const dia = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return {
+    nomeArquivo: `qualidade-${verificacao ? `${verificacao.replace(/_/g, '-')}-` : ''}${dia}.xlsx`,
+    conteudo: planilhaEmStream(linhas(), {
+      aba: verificacao || 'Qualidade',
+      cabecalhos: COLUNAS_PLANILHA,
+      larguras: LARGURAS_PLANILHA
+    })
+  };
+}
+
+export default {
+  VERIFICACOES,
+  removerSufixoDeSite,
+  chaveDeDuplicado,
+  verificarProduto,
+  executarVerificacao,
+  resumoDaQualidade,
+  listarAchados,
+  planilhaDeAchados,
+};
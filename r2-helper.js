@@ -1,4 +1,4 @@
-import { S3Client, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, GetObjectCommand, HeadObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import dotenv from 'dotenv';
 
@@ -168,11 +168,37 @@ export async function baixarFotoR2(filename) {
   }
 }
 
+/**
+ * Envia uma foto para o R2 (pasta fotos/)
+ * @param {string} filename - Nome do arquivo (ex: 7891234567890.jpg)
+ * @param {Buffer} conteudo - Bytes da imagem
+ * @param {string} contentType - Tipo MIME (ex: image/jpeg)
+ * @returns {Promise<boolean>} true se enviou
+ */
+export async function enviarFotoR2(filename, conteudo, contentType) {
+  if (!USE_R2 || !r2Client) return false;
+
+  try {
+    await r2Client.send(new PutObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: `fotos/${filename}`,
+      Body: conteudo,
+      ContentType: contentType,
+    }));
+    console.log(`📤 Foto enviada para o R2: ${filename}`);
+    return true;
+  } catch (error) {
+    console.error(`Erro ao enviar foto para o R2: ${filename}`, error.message);
+    return false;
+  }
+}
+
 export default {
   fotoExisteR2,
   gerarUrlFotoR2,
   gerarUrlPublicaR2,
   buscarFotoR2,
   baixarFotoR2,
+  enviarFotoR2,
   r2Habilitado,
 };
@@ -0,0 +1,74 @@
+/**
+ * Revalidação em massa do cache online (produtos_online)
+ * Consulta de novo as fontes online para os registros mais antigos.
+ *
+ * Uso:
+ *   node revalidar-cache-online.js --limite 50
+ *   node revalidar-cache-online.js --limite 200 --vencidos   (só os mais velhos que CACHE_ONLINE_MAX_DIAS)
+ */
+
+import dotenv from 'dotenv';
+import { getDatabase } from './database-helper.js';
+import { listarCacheMaisAntigo, revalidarCacheOnline } from './cache-online-helper.js';
+
+dotenv.config();
+
+const LIMITE_PADRAO = 50;
+
+function lerArgumentos(args) {
+  const i = args.indexOf('--limite');
+  const limite = i >= 0 ? parseInt(args[i + 1], 10) : LIMITE_PADRAO;
+  return {
+    limite: Number.isFinite(limite) && limite > 0 ? limite : LIMITE_PADRAO,
+    somenteVencidos: args.includes('--vencidos')
+  };
+}
+
+async function revalidar() {
+  const { limite, somenteVencidos } = lerArgumentos(process.argv.slice(2));
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('  REVALIDAÇÃO DO CACHE ONLINE');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('');
+
+  if (!getDatabase()) {
+    process.exit(1);
+  }
+
+  const registros = listarCacheMaisAntigo(limite, { somenteVencidos });
+  console.log(`📋 ${registros.length} registro(s) para revalidar (limite ${limite}${somenteVencidos ? ', só vencidos' : ''})\n`);
+
+  const totais = { atualizado: 0, revisado: 0, sem_resposta: 0, fontes_indisponiveis: 0, erro: 0 };
+  const inicio = Date.now();
+
+  // Um por vez: o limite de requisições de cada fonte vale para o script também
+  for (const [i, registro] of registros.entries()) {
+    const prefixo = `[${i + 1}/${registros.length}] ${registro.codigo_barras}`;
+    try {
+      const situacao = await revalidarCacheOnline(registro.codigo_barras);
+      totais[situacao]++;
+      console.log(`${prefixo} - ${situacao} (coletado em ${registro.data_coleta})`);
+    } catch (err) {
+      totais.erro++;
+      console.error(`${prefixo} - ❌ erro: ${err.message}`);
+    }
+  }
+
+  console.log('');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('  ✅ REVALIDAÇÃO CONCLUÍDA');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`  Atualizados:      ${totais.atualizado}`);
+  console.log(`  Com nova revisão: ${totais.revisado}`);
+  console.log(`  Sem resposta:     ${totais.sem_resposta}`);
+  console.log(`  Fontes fora:      ${totais.fontes_indisponiveis} (continuam vencidos)`);
+  console.log(`  Erros:            ${totais.erro}`);
+  console.log(`  Tempo:            ${((Date.now() - inicio) / 1000).toFixed(1)}s`);
+  console.log('');
+}
+
+revalidar().catch(err => {
+  console.error('❌ Erro na revalidação:', err);
+  process.exit(1);
+});
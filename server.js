@@ -2,13 +2,33 @@ import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
-import axios from "axios";
+import os from "os";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
 import XLSX from "xlsx";
-import * as cheerio from "cheerio";
 import dotenv from "dotenv";
-import Database from "better-sqlite3";
-import { buscarFotoR2, baixarFotoR2, r2Habilitado } from "./r2-helper.js";
+import { buscarFotoR2, baixarFotoR2, enviarFotoR2, r2Habilitado } from "./r2-helper.js";
 import { uploadParaOneDrive, onedriveHabilitado, getOneDriveStatus } from "./onedrive-helper.js";
+import { getDatabase, DB_PATH } from "./database-helper.js";
+import { normalizarCodigo, analisarCodigo, codigoDeUsoInterno } from "./gtin-helper.js";
+import { interpretarGS1 } from "./gs1-helper.js";
+import { TIPOS_CODIGO, resolverCodigoAlternativo, listarCodigosAlternativos, salvarCodigosAlternativos, removerCodigoAlternativo } from "./codigos-alternativos-helper.js";
+import { resolverEmbalagem, salvarEmbalagens, listarEmbalagens, removerEmbalagem } from "./embalagens-helper.js";
+import { decodificarBalanca, normalizarPLU, buscarPLU, salvarPLUs, pesoDaEtiqueta } from "./balanca-helper.js";
+import { registrarProvedor, listarProvedores, executarCadeia, estadoDosProvedores } from "./provedores/index.js";
+import { buscarPorNomeOpenFoodFacts } from "./provedores/open-facts.js";
+import { buscarPorNome, buscarAproximado } from "./busca-helper.js";
+import { FACETAS, consultarCatalogo, arvoreCatalogo } from "./catalogo-helper.js";
+import {
+  lerTabela, produtosDoArquivo, previaImportacao, importarIncremental, importarEmStream, salvarRelatorio,
+  abandonarInterrompidas, listarPerfis, obterPerfil, salvarPerfil, removerPerfil
+} from "./importacao-helper.js";
+import { exportarCatalogo } from "./exportacao-helper.js";
+import { executarVerificacao, resumoDaQualidade, listarAchados, planilhaDeAchados } from "./qualidade-helper.js";
+import { obterProduto, produtoExcluido, criarProduto, atualizarProduto, excluirProduto, historicoProduto, reverterProduto } from "./produtos-helper.js";
+import { criarCoalescedor } from "./coalescencia-helper.js";
+import { buscarCacheOnline, salvarProdutoOnlineSQLite, revalidarEmSegundoPlano, listarRevisoes } from "./cache-online-helper.js";
+import { codigosDoJSON, codigosDoArquivo, processarEmLote, linhaDoLote, planilhaDoLote } from "./lote-helper.js";
 
 // Carregar variáveis de ambiente
 dotenv.config();
@@ -22,33 +42,23 @@ const projectRoot = __dirname;
 const app = express();
 const PORT = process.env.PORT || 10000;
 
-// -------------------------------------------
-// BANCO DE DADOS SQLite
-// -------------------------------------------
-const DB_PATH = path.join(projectRoot, "data", "produtos.db");
-let db = null;
-
-function getDatabase() {
-  if (!db) {
-    if (!fs.existsSync(DB_PATH)) {
-      console.log("⚠️ Banco SQLite não encontrado. Execute: node migrate-to-sqlite.js");
-      return null;
-    }
-    db = new Database(DB_PATH, { readonly: false });
-    db.pragma('journal_mode = WAL');
-    db.pragma('cache_size = 5000');
-    console.log("✅ Banco SQLite conectado");
-  }
-  return db;
-}
-
 // Fallback para CSV caso SQLite não exista
 let cacheBase = null;
 let cacheBaseMap = null;
 let ultimaAtualizacao = 0;
 const CACHE_TIMEOUT = 300000;
 
-app.use(express.json());
+// Cache negativo: por quanto tempo um código não encontrado deixa de ir às fontes online
+const NAO_ENCONTRADO_TTL_HORAS = Number(process.env.NAO_ENCONTRADO_TTL_HORAS) || 24;
+
+// Consulta em lote: consultas simultâneas e tamanho máximo da lista
+const LOTE_CONCORRENCIA = Number(process.env.LOTE_CONCORRENCIA) || 4;
+const LOTE_MAXIMO = Number(process.env.LOTE_MAXIMO) || 10000;
+
+// Busca por nome: abaixo disso a busca aproximada (erros de digitação) complementa
+const BUSCA_MINIMO_EXATOS = Number(process.env.BUSCA_MINIMO_EXATOS) || 5;
+
+app.use(express.json({ limit: "5mb" }));
 
 // Arquivos estáticos (HTML, imagens, etc)
 app.use(express.static(path.join(projectRoot, "public")));
@@ -88,18 +98,15 @@ app.get("/foto-r2/:filename", async (req, res) => {
 });
 
 // -------------------------------------------
-// NORMALIZA CÓDIGO DE BARRAS (7.8913E+12 → 7891300000000)
+// RESUMO DO GTIN PARA AS RESPOSTAS DA API
 // -------------------------------------------
-function normalizarCodigo(valor) {
-  if (!valor) return "";
-  const str = String(valor).trim();
-
-  if (str.toLowerCase().includes("e")) {
-    const num = Number(str);
-    return String(num.toFixed(0));
-  }
-
-  return str.replace(/\D/g, "");
+function resumoGtin(analise) {
+  return {
+    tipo: analise.tipo,
+    gtin14: analise.gtin14,
+    pais: analise.pais,
+    valido: analise.valido
+  };
 }
 
 // -------------------------------------------
@@ -113,11 +120,18 @@ function buscarNoSQLite(codigo) {
     // Buscar na tabela principal
     const stmt = database.prepare(`
       SELECT codigo_barras, produto, grupo, subgrupo, marca, categoria, ncm,
-             unidade_medida, quantidade, peso_liquido, peso_bruto, preco_medio, fonte
+             unidade_medida, quantidade, peso_liquido, peso_bruto, preco_medio, fonte, tipo_gtin
       FROM produtos
-      WHERE codigo_barras = ?
+      WHERE codigo_barras = ? AND excluido_em IS NULL
     `);
-    const produto = stmt.get(codigo);
+    let produto = stmt.get(codigo);
+
+    // Código alternativo (GTIN antigo, interno, fornecedor...): leva ao produto principal
+    let alias = null;
+    if (!produto) {
+      alias = resolverCodigoAlternativo(codigo);
+      produto = alias ? stmt.get(alias.codigo_barras) : null;
+    }
 
     if (produto) {
       return {
@@ -133,6 +147,8 @@ function buscarNoSQLite(codigo) {
         "peso líquido": produto.peso_liquido,
         "peso bruto": produto.peso_bruto,
         "preço médio": produto.preco_medio,
+        "tipo gtin": produto.tipo_gtin,
+        ...(alias ? { "codigo alternativo": `${alias.codigo} (${alias.tipo})` } : {}),
         "fonte": produto.fonte || "local"
       };
     }
@@ -145,55 +161,118 @@ function buscarNoSQLite(codigo) {
 }
 
 // -------------------------------------------
-// BUSCA CACHE ONLINE NO SQLite
+// CACHE NEGATIVO (códigos não encontrados em nenhuma fonte)
 // -------------------------------------------
-function buscarCacheOnline(codigo) {
+function buscarNaoEncontrado(codigo) {
   const database = getDatabase();
   if (!database) return null;
 
   try {
-    const stmt = database.prepare(`
-      SELECT codigo_barras, nome, marca, categoria, fonte, data_coleta
-      FROM produtos_online
-      WHERE codigo_barras = ?
-    `);
-    const produto = stmt.get(codigo);
+    return database.prepare(`
+      SELECT codigo_barras, tentativas, primeira_tentativa, ultima_tentativa, expira_em
+      FROM produtos_nao_encontrados
+      WHERE codigo_barras = ? AND expira_em > datetime('now')
+    `).get(codigo) || null;
+  } catch (err) {
+    console.error("Erro ao buscar cache negativo:", err);
+    return null;
+  }
+}
 
-    if (produto) {
-      return {
-        "cod de barra": produto.codigo_barras,
-        "produto": produto.nome,
-        "nome": produto.nome,
-        "marca": produto.marca || "",
-        "categoria": produto.categoria || "",
-        "fonte": produto.fonte
-      };
-    }
+function registrarNaoEncontrado(codigo) {
+  const database = getDatabase();
+  if (!database) return;
 
-    return null;
+  try {
+    const validade = `+${NAO_ENCONTRADO_TTL_HORAS} hours`;
+    database.prepare(`
+      INSERT INTO produtos_nao_encontrados (codigo_barras, tentativas, expira_em)
+      VALUES (?, 1, datetime('now', ?))
+      ON CONFLICT(codigo_barras) DO UPDATE SET
+        tentativas = tentativas + 1,
+        ultima_tentativa = datetime('now'),
+        expira_em = datetime('now', ?)
+    `).run(codigo, validade, validade);
+    console.log(`📝 Código ${codigo} registrado no cache negativo (${NAO_ENCONTRADO_TTL_HORAS}h)`);
   } catch (err) {
-    console.error("Erro ao buscar cache online:", err);
-    return null;
+    console.error("Erro ao salvar cache negativo:", err);
   }
 }
 
-// -------------------------------------------
-// SALVAR PRODUTO ONLINE NO SQLite
-// -------------------------------------------
-function salvarProdutoOnlineSQLite(codigo, nome, marca, categoria, fonte) {
+function removerNaoEncontrado(codigo) {
   const database = getDatabase();
   if (!database) return;
 
   try {
-    const stmt = database.prepare(`
-      INSERT OR REPLACE INTO produtos_online (codigo_barras, nome, marca, categoria, fonte, data_coleta)
-      VALUES (?, ?, ?, ?, ?, datetime('now'))
-    `);
-    stmt.run(codigo, nome, marca || '', categoria || '', fonte);
-    console.log(`✅ Produto salvo no SQLite: ${codigo} - ${nome} (fonte: ${fonte})`);
+    database.prepare('DELETE FROM produtos_nao_encontrados WHERE codigo_barras = ?').run(codigo);
   } catch (err) {
-    console.error("Erro ao salvar no SQLite:", err);
+    console.error("Erro ao remover do cache negativo:", err);
+  }
+}
+
+// -------------------------------------------
+// AUTENTICAÇÃO DAS ROTAS ADMINISTRATIVAS (ADMIN_TOKEN)
+// -------------------------------------------
+function tokenDaRequisicao(req, cabecalho) {
+  const autorizacao = req.get("Authorization") || "";
+  return req.get(cabecalho) || autorizacao.replace(/^Bearer\s+/i, "");
+}
+
+function exigirAdmin(req, res, next) {
+  const tokenConfigurado = process.env.ADMIN_TOKEN;
+
+  if (!tokenConfigurado) {
+    return res.status(403).json({
+      ok: false,
+      error: "Rotas administrativas desativadas. Configure a variável ADMIN_TOKEN no arquivo .env"
+    });
+  }
+
+  if (tokenDaRequisicao(req, "X-Admin-Token") !== tokenConfigurado) {
+    return res.status(401).json({ ok: false, error: "Token administrativo inválido" });
   }
+
+  req.usuario = "admin";
+  next();
+}
+
+// -------------------------------------------
+// AUTENTICAÇÃO DO CADASTRO DE PRODUTOS (CADASTRO_TOKENS)
+// -------------------------------------------
+// Um token por pessoa: CADASTRO_TOKENS=maria:token1,joao:token2
+// O nome vai para o histórico do produto; o ADMIN_TOKEN também vale (como "admin")
+function tokensDeCadastro() {
+  const tokens = new Map();
+  for (const item of (process.env.CADASTRO_TOKENS || "").split(",")) {
+    const separador = item.indexOf(":");
+    const nome = item.slice(0, separador).trim();
+    const token = item.slice(separador + 1).trim();
+    if (separador > 0 && nome && token) tokens.set(token, nome);
+  }
+  return tokens;
+}
+
+function exigirCadastro(req, res, next) {
+  const tokens = tokensDeCadastro();
+  const tokenAdmin = process.env.ADMIN_TOKEN;
+
+  if (tokens.size === 0 && !tokenAdmin) {
+    return res.status(403).json({
+      ok: false,
+      error: "Cadastro de produtos desativado. Configure CADASTRO_TOKENS (ou ADMIN_TOKEN) no arquivo .env"
+    });
+  }
+
+  const token = tokenDaRequisicao(req, "X-Cadastro-Token");
+  if (token && tokenAdmin && token === tokenAdmin) {
+    req.usuario = "admin";
+  } else if (token && tokens.has(token)) {
+    req.usuario = tokens.get(token);
+  } else {
+    return res.status(401).json({ ok: false, error: "Token de cadastro inválido" });
+  }
+
+  next();
 }
 
 // -------------------------------------------
@@ -215,92 +294,42 @@ function carregarBase() {
   const csvPath = path.join(projectRoot, "data", "PARA_BUSCAR_DO_SITE.csv");
   const xlsxPath = path.join(projectRoot, "data", "PARA_BUSCAR_DO_SITE.xlsx");
 
-  let produtos = [];
-
-  // Prioridade para CSV
-  if (fs.existsSync(csvPath)) {
-    console.log("📂 Carregando base do CSV...");
-    const conteudo = fs.readFileSync(csvPath, "utf8");
-    const linhas = conteudo.split("\n").filter(l => l.trim());
-
-    if (linhas.length === 0) {
-      return { produtos: [], map: new Map() };
-    }
-
-    const delimitador = linhas[0].includes(';') ? ';' : ',';
-    const cabecalhos = linhas[0].split(delimitador).map(h => h.trim().toLowerCase());
-
-    for (let i = 1; i < linhas.length; i++) {
-      const colunas = linhas[i].split(delimitador);
-      if (!colunas[0] || !colunas[0].trim()) continue;
-
-      let obj = {};
-      cabecalhos.forEach((cab, idx) => {
-        obj[cab] = (colunas[idx] || "").trim();
-      });
-
-      const codigoOriginal = obj["cod. de barra"] || obj["cod de barra"] || obj["codigo de barra"] || obj["gtin"];
-      obj["cod de barra"] = normalizarCodigo(codigoOriginal);
+  // Prioridade para CSV; se não tiver, tenta XLSX
+  const arquivo = fs.existsSync(csvPath) ? csvPath : (fs.existsSync(xlsxPath) ? xlsxPath : null);
+  if (!arquivo) {
+    return { produtos: [], map: new Map() };
+  }
 
-      if (obj["cod de barra"]) {
-        produtos.push(obj);
-      }
-    }
+  console.log(`📂 Carregando base do ${path.extname(arquivo).slice(1).toUpperCase()}...`);
+  const { cabecalhos, linhas } = lerTabela(fs.readFileSync(arquivo));
+  const chaves = cabecalhos.map(h => String(h).trim().toLowerCase());
 
-    const map = new Map();
-    produtos.forEach(produto => {
-      const codigo = produto["cod de barra"];
-      if (codigo) {
-        map.set(codigo, produto);
-      }
+  const produtos = [];
+  for (const colunas of linhas) {
+    const obj = {};
+    chaves.forEach((cab, idx) => {
+      obj[cab] = (colunas[idx] || "").trim();
     });
 
-    cacheBase = produtos;
-    cacheBaseMap = map;
-    ultimaAtualizacao = agora;
+    const codigoOriginal = obj["cod. de barra"] || obj["cod de barra"] || obj["codigo de barra"] || obj["gtin"];
+    obj["cod de barra"] = normalizarCodigo(codigoOriginal);
 
-    console.log(`✅ Base carregada: ${produtos.length} produtos indexados`);
-    return { produtos, map };
+    if (obj["cod de barra"]) {
+      produtos.push(obj);
+    }
   }
 
-  // Se não tiver CSV, tenta XLSX
-  if (fs.existsSync(xlsxPath)) {
-    console.log("📂 Carregando base do XLSX...");
-    const workbook = XLSX.readFile(xlsxPath);
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const linhas = XLSX.utils.sheet_to_json(sheet);
-
-    linhas.forEach(l => {
-      let p = {};
-      for (const key in l) {
-        const keyLower = key.toString().toLowerCase().trim();
-        p[keyLower] = String(l[key] ?? "").trim();
-      }
-
-      const codigoOriginal = p["cod. de barra"] || p["cod de barra"] || p["codigo de barra"] || p["gtin"];
-      p["cod de barra"] = normalizarCodigo(codigoOriginal);
-
-      if (p["cod de barra"]) {
-        produtos.push(p);
-      }
-    });
-
-    const map = new Map();
-    produtos.forEach(produto => {
-      const codigo = produto["cod de barra"];
-      if (codigo) {
-        map.set(codigo, produto);
-      }
-    });
-
-    cacheBase = produtos;
-    cacheBaseMap = map;
-    ultimaAtualizacao = agora;
+  const map = new Map();
+  produtos.forEach(produto => {
+    map.set(produto["cod de barra"], produto);
+  });
 
-    console.log(`✅ Base carregada: ${produtos.length} produtos indexados`);
-  }
+  cacheBase = produtos;
+  cacheBaseMap = map;
+  ultimaAtualizacao = agora;
 
-  return { produtos, map: cacheBaseMap || new Map() };
+  console.log(`✅ Base carregada: ${produtos.length} produtos indexados`);
+  return { produtos, map };
 }
 
 // -------------------------------------------
@@ -339,7 +368,14 @@ function buscarFotoLocal(codigo) {
 // -------------------------------------------
 // BUSCA FOTO DO PRODUTO (R2 + LOCAL FALLBACK)
 // -------------------------------------------
-async function buscarFoto(codigo) {
+// Consultas simultâneas do mesmo código não repetem as sondagens no R2
+const fotosEmAndamento = criarCoalescedor("foto");
+
+function buscarFoto(codigo) {
+  return fotosEmAndamento(codigo, () => procurarFoto(codigo));
+}
+
+async function procurarFoto(codigo) {
   console.log(`🔍 Buscando foto para código ${codigo}...`);
 
   // 1. Tentar buscar do R2 (se configurado)
@@ -376,317 +412,139 @@ async function buscarFoto(codigo) {
 }
 
 // -------------------------------------------
-// LIMPAR NOME DO PRODUTO
+// FOTO DA FONTE ONLINE (quando não há foto no R2/local)
 // -------------------------------------------
-function limparNome(nome) {
-  if (!nome) return "";
-  nome = nome.trim();
-
-  const separadores = [" | ", " - ", " — ", " – "];
-  for (const sep of separadores) {
-    if (nome.includes(sep)) {
-      nome = nome.split(sep)[0].trim();
-    }
-  }
-
-  return nome;
+function fotoOnline(imagem) {
+  if (!imagem) return null;
+  return { fonte: 'online', url: imagem, filename: null };
 }
 
 // -------------------------------------------
-// BUSCA POR NOME NO OPEN FOOD FACTS
+// PROVEDORES LOCAIS (entram na cadeia do /consulta)
 // -------------------------------------------
-async function buscarPorNomeOpenFoodFacts(termo) {
-  console.log("🥫 Buscando por nome no Open Food Facts:", termo);
-
-  try {
-    const url = `https://world.openfoodfacts.org/cgi/search.pl?search_terms=${encodeURIComponent(termo)}&search_simple=1&action=process&json=1&page_size=10&lc=pt`;
-    const resposta = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        "User-Agent": "MISE-Scanner/1.0 (contact@mise.ws)"
-      }
-    });
-
-    if (resposta.data && resposta.data.products && resposta.data.products.length > 0) {
-      const resultados = resposta.data.products
-        .filter(p => p.product_name || p.product_name_pt)
-        .map(p => ({
-          codigo: p.code || "",
-          nome: p.product_name_pt || p.product_name || "",
-          marca: p.brands || "",
-          categoria: p.categories || "",
-          origem: "Open Food Facts"
-        }))
-        .slice(0, 10);
-
-      console.log(`✅ Open Food Facts: Encontrados ${resultados.length} produtos`);
-      return resultados;
-    }
-  } catch (err) {
-    console.log("❌ Open Food Facts busca por nome: Erro -", err.message);
+registrarProvedor({
+  nome: "sqlite",
+  rotulo: "SQLite (base local)",
+  tipo: "local",
+  origem: "local",
+  prioridade: 10,
+  timeout: 5000,
+  habilitado: true,
+  async buscar(codigo) {
+    const produto = buscarNoSQLite(codigo);
+    if (!produto) return null;
+    return { nome: produto.produto, codigo, marca: produto.marca, categoria: produto.categoria, origem: "Base Local", produto };
   }
+});
 
-  return [];
-}
-
-// -------------------------------------------
-// BUSCA ONLINE – OPEN FOOD FACTS (API gratuita)
-// -------------------------------------------
-async function buscarOpenFoodFacts(codigo) {
-  console.log("🥫 Buscando no Open Food Facts...");
-
-  try {
-    const url = `https://world.openfoodfacts.org/api/v2/product/${codigo}.json`;
-    const resposta = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        "User-Agent": "MISE-Scanner/1.0 (contact@mise.ws)"
-      }
-    });
-
-    if (resposta.data && resposta.data.status === 1 && resposta.data.product) {
-      const produto = resposta.data.product;
-      const nome = produto.product_name_pt || produto.product_name || produto.generic_name || null;
-
-      if (nome) {
-        console.log("✅ Open Food Facts: Encontrado -", nome);
-        return {
-          nome: nome,
-          codigo: codigo,
-          marca: produto.brands || "",
-          categoria: produto.categories || "",
-          origem: "Open Food Facts"
-        };
-      }
+registrarProvedor({
+  nome: "cache_online",
+  rotulo: "cache online (SQLite)",
+  tipo: "local",
+  origem: "cache",
+  prioridade: 20,
+  timeout: 5000,
+  habilitado: true,
+  async buscar(codigo) {
+    const alias = resolverCodigoAlternativo(codigo);
+    const cache = buscarCacheOnline(codigo) || (alias && buscarCacheOnline(alias.codigo_barras));
+    if (!cache) return null;
+    const { proveniencia, vencido, ...produto } = cache;
+
+    // Vencido: responde com o cache agora e atualiza em segundo plano
+    if (vencido) {
+      revalidarEmSegundoPlano(produto["cod de barra"]);
     }
-  } catch (err) {
-    console.log("❌ Open Food Facts: Erro -", err.message);
-  }
-
-  return null;
-}
 
-// -------------------------------------------
-// BUSCA ONLINE – OPEN BEAUTY FACTS (cosméticos)
-// -------------------------------------------
-async function buscarOpenBeautyFacts(codigo) {
-  console.log("💄 Buscando no Open Beauty Facts...");
-
-  try {
-    const url = `https://world.openbeautyfacts.org/api/v2/product/${codigo}.json`;
-    const resposta = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        "User-Agent": "MISE-Scanner/1.0 (contact@mise.ws)"
-      }
-    });
-
-    if (resposta.data && resposta.data.status === 1 && resposta.data.product) {
-      const produto = resposta.data.product;
-      const nome = produto.product_name_pt || produto.product_name || produto.generic_name || null;
-
-      if (nome) {
-        console.log("✅ Open Beauty Facts: Encontrado -", nome);
-        return {
-          nome: nome,
-          codigo: codigo,
-          marca: produto.brands || "",
-          categoria: produto.categories || "",
-          origem: "Open Beauty Facts"
-        };
-      }
-    }
-  } catch (err) {
-    console.log("❌ Open Beauty Facts: Erro -", err.message);
+    return {
+      nome: produto.nome,
+      codigo,
+      marca: produto.marca,
+      categoria: produto.categoria,
+      origem: produto.fonte,
+      proveniencia,
+      revalidando: vencido,
+      produto
+    };
   }
+});
 
-  return null;
-}
+registrarProvedor({
+  nome: "csv",
+  rotulo: "base local (CSV)",
+  tipo: "local",
+  origem: "local",
+  prioridade: 30,
+  timeout: 30000,
+  habilitado: true,
+  async buscar(codigo) {
+    const { map } = carregarBase();
+    const produto = map.get(codigo);
+    if (!produto || produtoExcluido(codigo)) return null;
+    return { nome: produto.produto || produto.nome, codigo, marca: produto.marca, categoria: produto.categoria, origem: "Base Local", produto };
+  }
+});
 
-// -------------------------------------------
-// BUSCA ONLINE – OPEN PET FOOD FACTS (ração/pet)
-// -------------------------------------------
-async function buscarOpenPetFoodFacts(codigo) {
-  console.log("🐕 Buscando no Open Pet Food Facts...");
+registrarProvedor({
+  nome: "json",
+  rotulo: "cache JSON",
+  tipo: "local",
+  origem: "cache",
+  prioridade: 40,
+  timeout: 5000,
+  habilitado: true,
+  async buscar(codigo) {
+    const jsonPath = path.join(projectRoot, "data", "produtos.json");
+    if (!fs.existsSync(jsonPath)) return null;
 
-  try {
-    const url = `https://world.openpetfoodfacts.org/api/v2/product/${codigo}.json`;
-    const resposta = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        "User-Agent": "MISE-Scanner/1.0 (contact@mise.ws)"
-      }
-    });
+    const cache = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    const noCache = cache.find(p => p.codigo === codigo);
+    if (!noCache) return null;
 
-    if (resposta.data && resposta.data.status === 1 && resposta.data.product) {
-      const produto = resposta.data.product;
-      const nome = produto.product_name_pt || produto.product_name || produto.generic_name || null;
-
-      if (nome) {
-        console.log("✅ Open Pet Food Facts: Encontrado -", nome);
-        return {
-          nome: nome,
-          codigo: codigo,
-          marca: produto.brands || "",
-          categoria: produto.categories || "",
-          origem: "Open Pet Food Facts"
-        };
+    return {
+      nome: noCache.nome,
+      codigo,
+      origem: noCache.fonte || "Cache",
+      produto: {
+        "cod de barra": noCache.codigo,
+        nome: noCache.nome
       }
-    }
-  } catch (err) {
-    console.log("❌ Open Pet Food Facts: Erro -", err.message);
+    };
   }
-
-  return null;
-}
+});
 
 // -------------------------------------------
-// BUSCA ONLINE – UPCITEMDB (banco de dados UPC/EAN)
+// SALVA PRODUTOS ENCONTRADOS ONLINE NO EXCEL
 // -------------------------------------------
-async function buscarUPCItemDB(codigo) {
-  console.log("🏷️ Buscando no UPCItemDB...");
+// SQLite na hora; JSON e Excel são reescritos inteiros a cada gravação, então
+// a consulta em lote junta os produtos em `pendentes` e grava uma vez no fim
+function salvarProduto(codigo, dados, { pendentes } = {}) {
+  const { nome, fonte } = dados;
+  console.log(`\n📝 SALVANDO PRODUTO ONLINE:`);
+  console.log(`   Código: ${codigo}`);
+  console.log(`   Nome: ${nome}`);
+  console.log(`   Fonte: ${fonte}`);
 
   try {
-    const url = `https://api.upcitemdb.com/prod/trial/lookup?upc=${codigo}`;
-    const resposta = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        "Accept": "application/json",
-        "User-Agent": "MISE-Scanner/1.0"
-      }
-    });
-
-    if (resposta.data && resposta.data.code === "OK" && resposta.data.items && resposta.data.items.length > 0) {
-      const item = resposta.data.items[0];
-      const nome = item.title || item.description || null;
-
-      if (nome) {
-        console.log("✅ UPCItemDB: Encontrado -", nome);
-        return {
-          nome: nome,
-          codigo: codigo,
-          marca: item.brand || "",
-          categoria: item.category || "",
-          origem: "UPCItemDB"
-        };
-      }
-    }
-  } catch (err) {
-    if (err.response && err.response.status === 429) {
-      console.log("⚠️ UPCItemDB: Limite de requisições atingido");
-    } else {
-      console.log("❌ UPCItemDB: Erro -", err.message);
-    }
+    salvarProdutoOnlineSQLite(codigo, dados);
+  } catch (errSqlite) {
+    console.error("❌ Erro ao salvar no SQLite:", errSqlite.message);
   }
 
-  return null;
-}
-
-// -------------------------------------------
-// BUSCA EM TODAS AS FONTES ONLINE
-// -------------------------------------------
-async function buscarEmTodasFontes(codigo) {
-  const [openFood, openBeauty, openPet, upcItem] = await Promise.all([
-    buscarOpenFoodFacts(codigo).catch(() => null),
-    buscarOpenBeautyFacts(codigo).catch(() => null),
-    buscarOpenPetFoodFacts(codigo).catch(() => null),
-    buscarUPCItemDB(codigo).catch(() => null)
-  ]);
-
-  return openFood || openBeauty || openPet || upcItem || null;
-}
-
-// -------------------------------------------
-// BUSCA ONLINE – COSMOS (seguindo lógica do script Python)
-// -------------------------------------------
-async function buscarCosmos(codigo) {
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log("🌐 INICIANDO BUSCA NO COSMOS");
-  console.log(`📋 Código: ${codigo}`);
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-
-  const headers = {
-    "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
-    "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
-    "Accept-Language": "pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7",
-    "Referer": "https://cosmos.bluesoft.com.br/"
-  };
-
-  const urls = [
-    `https://api.cosmos.bluesoft.com.br/produtos/${codigo}`,
-    `https://cosmos.bluesoft.com.br/produtos/${codigo}`
-  ];
-
-  for (const url of urls) {
-    try {
-      console.log(`\n🔗 Tentando: ${url}`);
-
-      const resposta = await axios.get(url, {
-        headers,
-        timeout: 20000,
-        validateStatus: (status) => status < 500,
-        maxRedirects: 5
-      });
-
-      console.log(`📊 Status: ${resposta.status}`);
-
-      if (resposta.status !== 200) {
-        console.log(`⚠️ Status ${resposta.status}, tentando próxima URL...`);
-        continue;
-      }
-
-      const html = resposta.data;
-      if (!html) continue;
-
-      const $ = cheerio.load(html);
-      let nome = null;
-
-      const prodDesc = $('span#product_description').text().trim();
-      if (prodDesc) {
-        nome = limparNome(prodDesc);
-        console.log("✅ Nome encontrado (span#product_description):", nome);
-      }
-
-      if (!nome) {
-        const ogTitle = $('meta[property="og:title"]').attr('content');
-        if (ogTitle && ogTitle.trim()) {
-          nome = limparNome(ogTitle);
-          console.log("✅ Nome encontrado (og:title):", nome);
-        }
-      }
-
-      if (!nome) {
-        const h1Text = $('h1').first().text().trim();
-        if (h1Text) {
-          nome = limparNome(h1Text);
-          console.log("✅ Nome encontrado (h1):", nome);
-        }
-      }
-
-      if (nome && nome !== "-") {
-        return { nome: nome, codigo: codigo, origem: "Cosmos" };
-      }
-
-    } catch (err) {
-      console.log(`❌ Erro em ${url}: ${err.message}`);
-      continue;
-    }
+  const registro = { codigo, nome, fonte, data: new Date() };
+  if (pendentes) {
+    pendentes.push(registro);
+  } else {
+    salvarNosArquivos([registro]);
   }
-
-  console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log("❌ COSMOS: Produto NÃO encontrado");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
-  return null;
 }
 
-// -------------------------------------------
-// SALVA PRODUTOS ENCONTRADOS ONLINE NO EXCEL
-// -------------------------------------------
-function salvarProduto(codigo, nome, fonte) {
-  console.log(`\n📝 SALVANDO PRODUTO ONLINE:`);
-  console.log(`   Código: ${codigo}`);
-  console.log(`   Nome: ${nome}`);
-  console.log(`   Fonte: ${fonte}`);
+/**
+ * Acrescenta produtos ao produtos.json e ao Excel (uma leitura e uma escrita de cada)
+ * @param {Array<{codigo: string, nome: string, fonte: string, data: Date}>} registros
+ */
+function salvarNosArquivos(registros) {
+  if (registros.length === 0) return;
 
   const excelPath = path.join(projectRoot, "data", "OK BASE DO APP COLETADO.xlsx");
   const jsonPath = path.join(projectRoot, "data", "produtos.json");
@@ -705,22 +563,17 @@ function salvarProduto(codigo, nome, fonte) {
       lista = [];
     }
 
-    if (!lista.find(x => x.codigo === codigo)) {
-      lista.push({ codigo, nome, fonte, data: new Date().toISOString() });
+    const existentes = new Set(lista.map(x => x.codigo));
+    const novos = registros.filter(r => !existentes.has(r.codigo) && existentes.add(r.codigo));
+    if (novos.length > 0) {
+      lista.push(...novos.map(({ codigo, nome, fonte, data }) => ({ codigo, nome, fonte, data: data.toISOString() })));
       fs.writeFileSync(jsonPath, JSON.stringify(lista, null, 2));
-      console.log(`✅ Produto salvo no JSON cache`);
+      console.log(`✅ ${novos.length} produto(s) salvo(s) no JSON cache`);
     }
   } catch (errJson) {
     console.error("❌ Erro ao salvar no JSON:", errJson.message);
   }
 
-  // Salvar no SQLite também
-  try {
-    salvarProdutoOnlineSQLite(codigo, nome, '', '', fonte);
-  } catch (errSqlite) {
-    console.error("❌ Erro ao salvar no SQLite:", errSqlite.message);
-  }
-
   // Salvar no Excel
   try {
     let dados = [];
@@ -737,18 +590,18 @@ function salvarProduto(codigo, nome, fonte) {
       }
     }
 
-    const jaExiste = dados.some(item => {
-      const codigoExistente = normalizarCodigo(item["Código de Barra"] || item["codigo"] || item["Cod. de Barra"] || "");
-      return codigoExistente === codigo;
-    });
+    const existentes = new Set(dados.map(item => normalizarCodigo(item["Código de Barra"] || item["codigo"] || item["Cod. de Barra"] || "")));
+    const novos = registros.filter(r => !existentes.has(r.codigo) && existentes.add(r.codigo));
 
-    if (!jaExiste) {
-      dados.push({
-        "Código de Barra": codigo,
-        "Nome do Produto": nome,
-        "Fonte": fonte,
-        "Data de Coleta": new Date().toLocaleString("pt-BR")
-      });
+    if (novos.length > 0) {
+      for (const { codigo, nome, fonte, data } of novos) {
+        dados.push({
+          "Código de Barra": codigo,
+          "Nome do Produto": nome,
+          "Fonte": fonte,
+          "Data de Coleta": data.toLocaleString("pt-BR")
+        });
+      }
 
       const novaSheet = XLSX.utils.json_to_sheet(dados);
 
@@ -764,7 +617,7 @@ function salvarProduto(codigo, nome, fonte) {
       XLSX.utils.book_append_sheet(novoWorkbook, novaSheet, "Produtos Coletados");
 
       XLSX.writeFile(novoWorkbook, excelPath);
-      console.log(`✅ Produto salvo no Excel: ${codigo} - ${nome} (fonte: ${fonte})`);
+      console.log(`✅ ${novos.length === 1 ? `Produto salvo no Excel: ${novos[0].codigo} - ${novos[0].nome}` : `${novos.length} produtos salvos no Excel`}`);
 
       if (onedriveHabilitado()) {
         uploadParaOneDrive(excelPath).catch(err => {
@@ -772,7 +625,7 @@ function salvarProduto(codigo, nome, fonte) {
         });
       }
     } else {
-      console.log(`ℹ️ Produto já existe no Excel, não duplicando`);
+      console.log(`ℹ️ Produto(s) já existe(m) no Excel, não duplicando`);
     }
   } catch (errExcel) {
     console.error("❌ Erro ao salvar no Excel:", errExcel.message);
@@ -792,31 +645,36 @@ app.get("/api/buscar-por-nome/:termo", async (req, res) => {
   console.log("🔍 Buscando produtos por nome:", termo);
 
   let resultadosLocais = [];
-  const database = getDatabase();
+  let comSQLite = false;
+  let sugestao = null;
 
-  // Se SQLite existe, usa ele
-  if (database) {
-    try {
-      const stmt = database.prepare(`
-        SELECT codigo_barras, produto, marca, categoria
-        FROM produtos
-        WHERE produto LIKE ?
-        LIMIT 100
-      `);
-      resultadosLocais = stmt.all(`%${termo}%`).map(p => ({
-        codigo: p.codigo_barras,
-        nome: p.produto,
-        marca: p.marca || "",
-        categoria: p.categoria || "",
-        origem: "local"
-      }));
-    } catch (err) {
-      console.error("Erro na busca por nome no SQLite:", err);
+  // Se SQLite existe, usa o índice FTS5 (sem acentos, por prefixo, ordenado por relevância)
+  try {
+    const encontrados = buscarPorNome(termo, { limite: 100 });
+    if (encontrados) {
+      comSQLite = true;
+      resultadosLocais = encontrados.map(p => ({ ...p, similaridade: 1 }));
+    }
+
+    // Poucos resultados: segunda passada tolerante a erros de digitação
+    if (comSQLite && resultadosLocais.length < BUSCA_MINIMO_EXATOS) {
+      const aproximada = buscarAproximado(termo, { limite: 100 });
+      if (aproximada && aproximada.sugestao) {
+        const codigos = new Set(resultadosLocais.map(p => p.codigo));
+        const novos = aproximada.produtos.filter(p => !codigos.has(p.codigo));
+        if (novos.length > 0) {
+          sugestao = aproximada.sugestao;
+          console.log(`🔤 Você quis dizer "${sugestao}"? ${novos.length} produto(s) aproximado(s)`);
+          resultadosLocais = [...resultadosLocais, ...novos].slice(0, 100);
+        }
+      }
     }
+  } catch (err) {
+    console.error("Erro na busca por nome no SQLite:", err);
   }
 
-  // Se não encontrou no SQLite, tenta CSV
-  if (resultadosLocais.length === 0) {
+  // Sem banco, tenta CSV
+  if (!comSQLite) {
     const { produtos } = carregarBase();
     resultadosLocais = produtos.filter(p => {
       const nome = (p.produto || p.nome || "").toLowerCase();
@@ -854,158 +712,541 @@ app.get("/api/buscar-por-nome/:termo", async (req, res) => {
   res.json({
     ok: true,
     produtos: resultadosLocais,
+    sugestao,
     fonte: resultadosLocais.length > 0 ? "local" : "nenhum"
   });
 });
 
 // -------------------------------------------
-// ROTA PRINCIPAL DE CONSULTA
+// API PRODUTOS - Cadastro da base local com histórico
 // -------------------------------------------
-app.get("/consulta/:codigo", async (req, res) => {
-  const codigo = normalizarCodigo(req.params.codigo);
-  if (!codigo || codigo.length < 8) {
-    return res.json({ ok: false, mensagem: "Código inválido" });
-  }
+// Quem fez a alteração (req.usuario) vem do token: exigirCadastro ou exigirAdmin
+function responderErroCadastro(res, err) {
+  if (!err.status) console.error("Erro no cadastro de produto:", err);
+  res.status(err.status || 500).json({ ok: false, error: err.message, ...(err.erros ? { erros: err.erros } : {}) });
+}
 
-  console.log("🔍 Buscando código:", codigo);
+app.get("/api/produtos/:codigo", (req, res) => {
+  const produto = obterProduto(req.params.codigo, { incluirExcluidos: req.query.incluir_excluidos === "1" });
+  if (!produto) {
+    return res.status(404).json({ ok: false, error: "Produto não encontrado" });
+  }
+  res.json({ ok: true, produto });
+});
 
-  // 1ª SQLITE (se disponível)
-  const produtoSQLite = buscarNoSQLite(codigo);
-  if (produtoSQLite) {
-    console.log("✅ Encontrado no SQLite (base local)");
+app.post("/api/produtos", exigirCadastro, (req, res) => {
+  try {
+    const produto = criarProduto(req.body || {}, { usuario: req.usuario });
+    removerNaoEncontrado(produto.codigo_barras);
+    console.log(`🆕 Produto ${produto.codigo_barras} cadastrado por ${req.usuario}`);
+    res.status(201).json({ ok: true, produto });
+  } catch (err) {
+    responderErroCadastro(res, err);
+  }
+});
 
-    const foto = await buscarFoto(codigo);
-    if (foto) {
-      produtoSQLite.foto = foto;
+app.patch("/api/produtos/:codigo", exigirCadastro, (req, res) => {
+  try {
+    const { produto, alterados } = atualizarProduto(req.params.codigo, req.body || {}, { usuario: req.usuario });
+    if (alterados.length > 0) {
+      console.log(`✏️ Produto ${produto.codigo_barras} alterado (${alterados.join(", ")}) por ${req.usuario}`);
     }
-
-    return res.json({
-      ok: true,
-      origem: "local",
-      fonte: "Base Local",
-      produto: produtoSQLite
-    });
+    res.json({ ok: true, alterados, produto });
+  } catch (err) {
+    responderErroCadastro(res, err);
   }
+});
 
-  // 2ª CACHE ONLINE NO SQLITE
-  const cacheOnline = buscarCacheOnline(codigo);
-  if (cacheOnline) {
-    console.log("✅ Encontrado no cache online (SQLite)");
+// Foto tirada no cadastro manual: corpo = bytes da imagem (Content-Type image/jpeg, png ou webp)
+// Substitui a foto atual (local e R2), então exige o mesmo token do cadastro
+const EXTENSOES_FOTO = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp" };
 
-    const foto = await buscarFoto(codigo);
+app.post("/api/produtos/:codigo/foto", exigirCadastro, express.raw({ type: "image/*", limit: "8mb" }), async (req, res) => {
+  const produto = obterProduto(req.params.codigo);
+  if (!produto) {
+    return res.status(404).json({ ok: false, error: "Produto não encontrado" });
+  }
 
-    return res.json({
+  const contentType = (req.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+  const extensao = EXTENSOES_FOTO[contentType];
+  if (!extensao || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ ok: false, error: "Envie a imagem (JPEG, PNG ou WebP) no corpo da requisição" });
+  }
+
+  const codigo = produto.codigo_barras;
+  const filename = `${codigo}.${extensao}`;
+
+  try {
+    // Local sempre (fallback); a foto nova substitui as anteriores do mesmo código
+    const fotosDir = path.join(projectRoot, "data", "fotos_produtos");
+    fs.mkdirSync(fotosDir, { recursive: true });
+    for (const ext of Object.values(EXTENSOES_FOTO)) {
+      const anterior = path.join(fotosDir, `${codigo}.${ext}`);
+      if (fs.existsSync(anterior)) fs.unlinkSync(anterior);
+    }
+    fs.writeFileSync(path.join(fotosDir, filename), req.body);
+
+    const noR2 = await enviarFotoR2(filename, req.body, contentType);
+    console.log(`📸 Foto de ${codigo} salva por ${req.usuario} (${noR2 ? "R2 + local" : "local"})`);
+
+    res.json({
       ok: true,
-      origem: "cache",
-      fonte: cacheOnline.fonte,
-      produto: {
-        ...cacheOnline,
-        foto: foto
-      }
+      foto: noR2
+        ? { fonte: "r2", url: `/foto-r2/${filename}`, filename }
+        : { fonte: "local", url: `/fotos/${filename}`, filename }
     });
+  } catch (err) {
+    console.error("Erro ao salvar foto:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/produtos/:codigo/historico", (req, res) => {
+  res.json({ ok: true, historico: historicoProduto(req.params.codigo) });
+});
+
+app.delete("/api/admin/produtos/:codigo", exigirAdmin, (req, res) => {
+  try {
+    const produto = excluirProduto(req.params.codigo, { usuario: req.usuario });
+    console.log(`🗑️ Produto ${produto.codigo_barras} excluído por ${req.usuario}`);
+    res.json({ ok: true, produto });
+  } catch (err) {
+    responderErroCadastro(res, err);
+  }
+});
+
+// Volta à versão gravada pela entrada :id do histórico
+app.post("/api/admin/produtos/:codigo/reverter/:id", exigirAdmin, (req, res) => {
+  try {
+    const produto = reverterProduto(req.params.codigo, Number(req.params.id), { usuario: req.usuario });
+    console.log(`↩️ Produto ${produto.codigo_barras} revertido para a versão ${req.params.id}`);
+    res.json({ ok: true, produto });
+  } catch (err) {
+    responderErroCadastro(res, err);
+  }
+});
+
+// -------------------------------------------
+// API CATÁLOGO - Navegação por grupo, subgrupo, marca e categoria
+// -------------------------------------------
+// ?grupo=&subgrupo=&marca=&categoria=&ncm= (valor exato; vazio = sem valor), q, pagina, por_pagina, ordem, direcao
+app.get("/api/catalogo", (req, res) => {
+  const filtros = {};
+  for (const dimensao of FACETAS) {
+    if (typeof req.query[dimensao] === "string") filtros[dimensao] = req.query[dimensao];
   }
 
-  // 3ª BASE LOCAL CSV (fallback se SQLite não existe)
-  const { map: baseLocalMap } = carregarBase();
-  const encontradoLocal = baseLocalMap.get(codigo);
+  try {
+    const catalogo = consultarCatalogo({
+      filtros,
+      termo: req.query.q,
+      pagina: req.query.pagina,
+      porPagina: req.query.por_pagina,
+      ordem: req.query.ordem,
+      direcao: req.query.direcao
+    });
+    if (!catalogo) {
+      return res.json({ ok: false, error: "SQLite não configurado" });
+    }
+    res.json({ ok: true, filtros, ...catalogo });
+  } catch (err) {
+    console.error("Erro ao consultar catálogo:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-  if (encontradoLocal) {
-    console.log("✅ Encontrado na base local (CSV)");
+app.get("/api/catalogo/arvore", (req, res) => {
+  const arvore = arvoreCatalogo();
+  if (!arvore) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+  res.json({ ok: true, grupos: arvore });
+});
 
-    const foto = await buscarFoto(codigo);
-    if (foto) {
-      encontradoLocal.foto = foto;
+// -------------------------------------------
+// RESOLVE UM CÓDIGO NA CADEIA DE PROVEDORES
+// -------------------------------------------
+// Requisições simultâneas do mesmo GTIN compartilham uma única busca (e um único salvamento)
+const consultasEmAndamento = criarCoalescedor("consulta");
+
+function consultarCodigo(valor, { forcar = false, pendentes } = {}) {
+  // Etiqueta GS1 (GS1-128, DataMatrix/QR, Digital Link): consulta pelo GTIN do AI (01)
+  const gs1 = interpretarGS1(valor);
+  if (gs1) {
+    console.log(`🏷️ Leitura GS1 (${gs1.formato}): GTIN ${gs1.gtin || "-"}, lote ${gs1.lote || "-"}, validade ${gs1.validade || "-"}`);
+    if (!gs1.gtin) {
+      return Promise.resolve({ ok: false, erro: "gs1_sem_gtin", mensagem: "Etiqueta GS1 sem GTIN (AI 01)", gs1 });
     }
+  }
 
-    return res.json({
+  // Código interno/do fornecedor (não é GTIN): consulta pelo código principal do produto
+  let analise = analisarCodigo(gs1 ? gs1.gtin : valor);
+  const alias = !gs1 && !analise.valido ? resolverCodigoAlternativo(valor) : null;
+  if (alias) {
+    console.log(`🔀 Código ${alias.tipo} ${alias.codigo} → produto ${alias.codigo_barras}`);
+    analise = analisarCodigo(alias.codigo_barras);
+  }
+
+  const codigo = analise.codigo;
+  if (!codigo || codigo.length < 8) {
+    return Promise.resolve({ ok: false, erro: "codigo_invalido", mensagem: "Código inválido" });
+  }
+
+  // Caixa/fardo cadastrado: consulta a unidade e informa o tamanho da embalagem
+  const embalagem = resolverEmbalagem(codigo);
+  let consulta;
+  if (embalagem) {
+    console.log(`📦 Embalagem ${codigo}: ${embalagem.descricao} de ${embalagem.codigoUnidade}`);
+    consulta = consultarCodigo(embalagem.codigoUnidade, { forcar, pendentes }).then(resposta => ({
+      ...resposta,
+      embalagem,
+      ...(resposta.produto ? { produto: { ...resposta.produto, embalagem: embalagem.descricao } } : {})
+    }));
+  } else {
+    // Lote/validade variam por etiqueta: ficam fora da busca compartilhada
+    const chave = `${analise.gtin14 || codigo}${forcar ? ":forcar" : ""}`;
+    consulta = consultasEmAndamento(chave, () => resolverCodigo(analise, { forcar, pendentes }));
+  }
+
+  if (alias) {
+    consulta = consulta.then(resposta => ({ ...resposta, codigoAlternativo: alias }));
+  }
+  return gs1 ? consulta.then(resposta => ({ ...resposta, gs1 })) : consulta;
+}
+
+async function resolverCodigo(analise, { forcar, pendentes }) {
+  const codigo = analise.codigo;
+  const gtin = resumoGtin(analise);
+
+  console.log("🔍 Buscando código:", codigo);
+
+  // 1ª a 4ª FONTES LOCAIS (SQLite, cache online, CSV, produtos.json)
+  // Pela forma canônica e, se não achar, pela forma lida (ex: UPC-E de 8 dígitos gravado assim)
+  let local = await executarCadeia(codigo, { tipo: "local" });
+  for (const alternativo of analise.alternativas) {
+    if (local.resultado) break;
+    local = await executarCadeia(alternativo, { tipo: "local" });
+  }
+  if (local.resultado) {
+    console.log(`✅ Encontrado em ${local.provedor.rotulo}`);
+
+    const foto = await buscarFoto(codigo) || fotoOnline(local.resultado.produto.imagem);
+
+    return {
       ok: true,
-      origem: "local",
-      fonte: "Base Local",
-      produto: encontradoLocal
-    });
+      origem: local.provedor.origem,
+      fonte: local.resultado.origem,
+      gtin,
+      proveniencia: local.resultado.proveniencia || null,
+      ...(local.resultado.revalidando ? { revalidando: true } : {}),
+      produto: {
+        ...local.resultado.produto,
+        foto: foto
+      }
+    };
   }
 
-  // 4ª produtos.json (cache de buscas online anteriores)
-  const jsonPath = path.join(projectRoot, "data", "produtos.json");
-  if (fs.existsSync(jsonPath)) {
-    const cache = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
-    const noCache = cache.find(p => p.codigo === codigo);
-    if (noCache) {
-      console.log("✅ Encontrado no cache JSON");
-
-      const foto = await buscarFoto(codigo);
-
-      return res.json({
-        ok: true,
-        origem: "cache",
-        fonte: noCache.fonte || "Cache",
-        produto: {
-          "cod de barra": noCache.codigo,
-          nome: noCache.nome,
-          foto: foto
-        }
-      });
+  // Etiqueta de balança (peso/preço variável): o produto vem da tabela PLU
+  const etiqueta = etiquetaDeBalanca(analise);
+  if (etiqueta) {
+    return resolverEtiquetaBalanca(codigo, etiqueta, gtin);
+  }
+
+  // Só consulta fontes online com GTIN válido (leitura ruim não sai da loja)
+  if (!analise.valido) {
+    if (analise.erro === "digito_verificador_invalido") {
+      console.log(`❌ Dígito verificador inválido: ${codigo} (esperado ${analise.digitoEsperado})`);
+      return {
+        ok: false,
+        erro: "digito_verificador_invalido",
+        mensagem: "Dígito verificador inválido. Confira o código e leia novamente.",
+        codigo,
+        tipo: analise.tipo,
+        digitoEsperado: analise.digitoEsperado
+      };
     }
+
+    console.log(`❌ Código não é um GTIN (${codigo.length} dígitos)`);
+    return {
+      ok: false,
+      erro: "tamanho_invalido",
+      mensagem: "Código não encontrado na base local e não é um GTIN (8, 12, 13 ou 14 dígitos)",
+      codigo
+    };
   }
 
-  // 5ª BUSCA ONLINE - APIs abertas (Open Food Facts, UPCItemDB, etc.)
-  console.log("🌐 Buscando em APIs abertas...");
-  try {
-    const resultadoAPIs = await buscarEmTodasFontes(codigo);
-    if (resultadoAPIs && resultadoAPIs.nome) {
-      console.log(`✅ Encontrado em ${resultadoAPIs.origem}:`, resultadoAPIs.nome);
-      salvarProduto(codigo, resultadoAPIs.nome, resultadoAPIs.origem);
-
-      const foto = await buscarFoto(codigo);
-
-      return res.json({
-        ok: true,
-        origem: "online",
-        fonte: resultadoAPIs.origem,
-        produto: {
-          "cod de barra": codigo,
-          nome: resultadoAPIs.nome,
-          produto: resultadoAPIs.nome,
-          marca: resultadoAPIs.marca || "",
-          categoria: resultadoAPIs.categoria || "",
-          foto: foto
-        }
-      });
+  // Circulação restrita (prefixo 2, códigos internos): não existe nas bases online
+  if (codigoDeUsoInterno(analise)) {
+    console.log("⏭️ Código de uso interno, pulando fontes online");
+    return {
+      ok: false,
+      erro: "nao_encontrado",
+      cacheNegativo: false,
+      usoInterno: true,
+      mensagem: "Código de uso interno da loja: cadastre-o na base local",
+      codigo
+    };
+  }
+
+  // Código já procurado sem sucesso há pouco tempo: não repete as buscas online
+  const naoEncontrado = forcar ? null : buscarNaoEncontrado(codigo);
+  if (naoEncontrado) {
+    console.log(`⏭️ Código no cache negativo (${naoEncontrado.tentativas} tentativa(s)), pulando fontes online`);
+    return {
+      ok: false,
+      erro: "nao_encontrado",
+      cacheNegativo: true,
+      mensagem: "Produto não encontrado em consultas anteriores. Use \"buscar novamente\" para forçar nova consulta online.",
+      codigo,
+      tentativas: naoEncontrado.tentativas,
+      ultimaTentativa: naoEncontrado.ultima_tentativa,
+      expiraEm: naoEncontrado.expira_em
+    };
+  }
+
+  // 5ª em diante: FONTES ONLINE (APIs abertas, Cosmos...) na ordem configurada
+  console.log("🌐 Buscando nas fontes online...");
+  const online = await executarCadeia(codigo, { tipo: "online" });
+  if (online.resultado) {
+    removerNaoEncontrado(codigo);
+    const { resultado, proveniencia, fontes } = online;
+    console.log(`✅ Encontrado em ${resultado.origem}:`, resultado.nome);
+    salvarProduto(codigo, { ...resultado, fonte: resultado.origem, proveniencia }, { pendentes });
+
+    const foto = await buscarFoto(codigo) || fotoOnline(resultado.imagem);
+
+    return {
+      ok: true,
+      origem: "online",
+      fonte: resultado.origem,
+      gtin,
+      proveniencia,
+      fontes,
+      produto: {
+        "cod de barra": codigo,
+        nome: resultado.nome,
+        produto: resultado.nome,
+        marca: resultado.marca || "",
+        categoria: resultado.categoria || "",
+        quantidade: resultado.quantidade || "",
+        ncm: resultado.ncm || "",
+        cest: resultado.cest || "",
+        "peso líquido": resultado.peso_liquido || "",
+        "peso bruto": resultado.peso_bruto || "",
+        imagem: resultado.imagem || "",
+        foto: foto
+      }
+    };
+  }
+
+  // Fonte que falhou ou foi pulada (circuito, limite, cota) não respondeu "não existe":
+  // sem cache negativo, a próxima leitura tenta de novo
+  if (!online.definitivo) {
+    console.log(`❌ Produto não encontrado; fontes sem resposta: ${online.falhas.map(f => `${f.provedor} (${f.status})`).join(", ") || "nenhuma ativa"}`);
+    return {
+      ok: false,
+      erro: "nao_encontrado",
+      cacheNegativo: false,
+      fontesComFalha: online.falhas,
+      mensagem: "Produto não encontrado, mas algumas fontes online não foram consultadas (falha, limite ou cota). Tente novamente mais tarde.",
+      codigo
+    };
+  }
+
+  // Nada encontrado em nenhuma fonte
+  console.log("❌ Produto não encontrado em nenhuma base");
+  registrarNaoEncontrado(codigo);
+  return {
+    ok: false,
+    erro: "nao_encontrado",
+    cacheNegativo: false,
+    mensagem: "Produto não encontrado em nenhuma base (local, cache, APIs abertas ou Cosmos)",
+    codigo
+  };
+}
+
+// -------------------------------------------
+// ETIQUETA DE BALANÇA → PRODUTO DA TABELA PLU
+// -------------------------------------------
+// Só decodifica EAN-13 válido que não é produto da base local: o prefixo da
+// balança também aparece em códigos de circulação restrita cadastrados
+function etiquetaDeBalanca(analise) {
+  if (!analise.valido) return null;
+  const etiqueta = decodificarBalanca(analise.codigo);
+  if (!etiqueta || buscarNoSQLite(analise.codigo)) return null;
+  return etiqueta;
+}
+
+async function resolverEtiquetaBalanca(codigo, etiqueta, gtin) {
+  const registro = buscarPLU(etiqueta.plu);
+  const balanca = {
+    plu: etiqueta.plu,
+    campo: etiqueta.campo,
+    peso: pesoDaEtiqueta(etiqueta, registro),
+    preco: etiqueta.preco
+  };
+
+  if (!registro) {
+    console.log(`❌ Etiqueta de balança com PLU ${etiqueta.plu} não cadastrado`);
+    return {
+      ok: false,
+      erro: "plu_nao_encontrado",
+      mensagem: `PLU ${etiqueta.plu} não cadastrado na tabela da balança`,
+      codigo,
+      balanca
+    };
+  }
+
+  console.log(`⚖️ Etiqueta de balança: PLU ${registro.plu} - ${registro.produto} (${etiqueta.campo} ${etiqueta.valor})`);
+
+  // PLU ligado a um produto da base: aproveita a classificação e a foto
+  const base = (registro.codigo_barras && buscarNoSQLite(registro.codigo_barras)) || {};
+  const foto = registro.codigo_barras ? await buscarFoto(registro.codigo_barras) : null;
+
+  return {
+    ok: true,
+    origem: "local",
+    fonte: "Tabela PLU",
+    gtin,
+    balanca,
+    produto: {
+      "cod de barra": codigo,
+      produto: registro.produto,
+      grupo: base.grupo || "",
+      subgrupo: base.subgrupo || "",
+      marca: base.marca || "",
+      categoria: base.categoria || "",
+      ncm: base.ncm || "",
+      plu: registro.plu,
+      "preço kg": registro.preco_kg || "",
+      "peso (kg)": balanca.peso ?? "",
+      "preço etiqueta": balanca.preco ?? "",
+      foto: foto
     }
-  } catch (erroAPIs) {
-    console.error("❌ Erro nas APIs abertas:", erroAPIs.message);
+  };
+}
+
+// -------------------------------------------
+// ROTA PRINCIPAL DE CONSULTA
+// -------------------------------------------
+app.get("/consulta/:codigo", async (req, res) => {
+  const forcar = req.query.forcar === "1" || req.query.forcar === "true";
+  try {
+    res.json(await consultarCodigo(req.params.codigo, { forcar }));
+  } catch (err) {
+    console.error(`❌ Erro ao consultar ${req.params.codigo}:`, err);
+    res.status(500).json({ ok: false, error: err.message });
   }
+});
+
+// -------------------------------------------
+// INTERPRETA ETIQUETA GS1 (sem consultar o produto)
+// -------------------------------------------
+app.get("/api/gs1/interpretar", (req, res) => {
+  const texto = String(req.query.texto || "");
+  if (!texto) {
+    return res.status(400).json({ ok: false, error: "Informe o texto lido em ?texto=" });
+  }
+
+  const gs1 = interpretarGS1(texto);
+  if (!gs1) {
+    return res.json({ ok: false, erro: "nao_gs1", mensagem: "Leitura não é uma etiqueta GS1 válida" });
+  }
+  res.json({ ok: true, gs1 });
+});
 
-  // 6ª BUSCA ONLINE - Cosmos (fallback, faz scraping de HTML)
-  console.log("🌐 Buscando no Cosmos (fallback)...");
+// -------------------------------------------
+// CONSULTA EM LOTE
+// -------------------------------------------
+// Corpo: JSON (["789...", ...] ou {"codigos": [...]}) ou o próprio arquivo
+// CSV/XLSX/texto enviado como corpo binário (ex: curl --data-binary @lista.xlsx)
+// Resposta: NDJSON (uma linha por código, à medida que terminam) ou ?formato=xlsx
+const arquivoDoLote = express.raw({
+  type: ["text/csv", "text/plain", "application/octet-stream", "application/vnd.ms-excel", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+  limit: "20mb"
+});
+
+app.post("/api/consulta/lote", arquivoDoLote, async (req, res) => {
+  let codigos;
   try {
-    const resultadoCosmos = await buscarCosmos(codigo);
-    if (resultadoCosmos && resultadoCosmos.nome) {
-      const nomeOnline = resultadoCosmos.nome;
-      console.log("✅ Encontrado no Cosmos:", nomeOnline);
-      salvarProduto(codigo, nomeOnline, "Cosmos");
-
-      const foto = await buscarFoto(codigo);
-
-      return res.json({
-        ok: true,
-        origem: "online",
-        fonte: "Cosmos",
-        produto: {
-          "cod de barra": codigo,
-          nome: nomeOnline,
-          produto: nomeOnline,
-          foto: foto
-        }
-      });
+    codigos = Buffer.isBuffer(req.body) ? codigosDoArquivo(req.body) : codigosDoJSON(req.body);
+  } catch (error) {
+    console.error("❌ Erro ao ler lista do lote:", error.message);
+    return res.status(400).json({ ok: false, error: "Não foi possível ler o arquivo enviado" });
+  }
+
+  if (!codigos || codigos.length === 0) {
+    return res.status(400).json({ ok: false, error: "Envie uma lista de códigos (JSON, CSV ou XLSX)" });
+  }
+  if (codigos.length > LOTE_MAXIMO) {
+    return res.status(413).json({ ok: false, error: `Lista com ${codigos.length} códigos; o máximo é ${LOTE_MAXIMO}` });
+  }
+
+  const formato = String(req.query.formato || "ndjson").toLowerCase();
+  if (formato !== "ndjson" && formato !== "xlsx") {
+    return res.status(400).json({ ok: false, error: "Formato inválido (use ndjson ou xlsx)" });
+  }
+
+  const inicio = Date.now();
+  console.log(`📋 Consulta em lote: ${codigos.length} códigos (${formato}, concorrência ${LOTE_CONCORRENCIA})`);
+
+  // Cliente desconectou: para de consultar o resto da lista
+  let cancelado = false;
+  res.on("close", () => {
+    if (!res.writableFinished) cancelado = true;
+  });
+
+  // Produtos achados online: JSON e Excel gravados uma vez, no fim do lote
+  const pendentes = [];
+
+  const consultar = async (codigo, indice) => {
+    try {
+      return linhaDoLote(codigo, await consultarCodigo(codigo, { pendentes }), indice);
+    } catch (error) {
+      console.error(`❌ Erro no lote (${codigo}):`, error.message);
+      return { ...linhaDoLote(codigo, { ok: false, erro: "erro_interno" }, indice), origem: "erro" };
     }
-  } catch (erroCosmosGenerico) {
-    console.error("❌ Erro ao buscar no Cosmos:", erroCosmosGenerico);
+  };
+
+  if (formato === "ndjson") {
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("X-Total-Codigos", codigos.length);
   }
 
-  // Nada encontrado em nenhuma fonte
-  console.log("❌ Produto não encontrado em nenhuma base");
-  res.json({ ok: false, mensagem: "Produto não encontrado em nenhuma base (local, cache, APIs abertas ou Cosmos)" });
+  // Cliente lendo devagar: os trabalhadores esperam o buffer esvaziar (ou a conexão cair)
+  const escreverLinha = (linha) => {
+    if (res.destroyed || res.write(JSON.stringify(linha) + "\n")) return;
+    return new Promise(resolve => {
+      const continuar = () => {
+        res.off("drain", continuar);
+        res.off("close", continuar);
+        resolve();
+      };
+      res.on("drain", continuar);
+      res.on("close", continuar);
+    });
+  };
+
+  const linhas = await processarEmLote(codigos, consultar, {
+    concorrencia: LOTE_CONCORRENCIA,
+    cancelado: () => cancelado,
+    aoConcluir: formato === "ndjson" ? escreverLinha : undefined
+  });
+  salvarNosArquivos(pendentes);
+
+  const concluidos = linhas.filter(Boolean);
+  console.log(`✅ Lote concluído: ${concluidos.length}/${codigos.length} códigos em ${((Date.now() - inicio) / 1000).toFixed(1)}s${cancelado ? " (cancelado pelo cliente)" : ""}`);
+
+  if (cancelado) return;
+
+  if (formato === "ndjson") {
+    return res.end();
+  }
+
+  const nomeArquivo = `consulta-lote-${new Date().toISOString().slice(0, 10)}.xlsx`;
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename="${nomeArquivo}"`);
+  res.send(planilhaDoLote(concluidos));
 });
 
 // -------------------------------------------
@@ -1013,7 +1254,8 @@ app.get("/consulta/:codigo", async (req, res) => {
 // -------------------------------------------
 app.post("/api/inventario", async (req, res) => {
   try {
-    const { codigo, produto, quantidade, peso, dataHora } = req.body;
+    const { lote, validade, dataHora } = req.body;
+    let { codigo, produto, quantidade, peso } = req.body;
 
     if (!codigo) {
       return res.json({ ok: false, error: "Código de barras é obrigatório" });
@@ -1033,10 +1275,40 @@ app.post("/api/inventario", async (req, res) => {
       }
     }
 
-    const codigoNormalizado = normalizarCodigo(codigo);
+    // Mesmo produto em lotes diferentes (etiquetas GS1) fica em linhas separadas
+    let codigoNormalizado = normalizarCodigo(codigo);
+
+    // Código interno/do fornecedor: o inventário fica no código principal do produto
+    const alias = resolverCodigoAlternativo(codigo);
+    if (alias) {
+      codigo = alias.codigo_barras;
+      codigoNormalizado = alias.codigo_barras;
+    }
+
+    // Caixa/fardo: entra no inventário como unidades (multiplicador × quantidade)
+    const embalagem = resolverEmbalagem(analisarCodigo(codigoNormalizado).codigo);
+    if (embalagem) {
+      const caixas = parseInt(quantidade) || 1;
+      quantidade = caixas * embalagem.multiplicador;
+      codigo = embalagem.codigoUnidade;
+      codigoNormalizado = embalagem.codigoUnidade;
+      console.log(`📦 Inventário: ${caixas} × ${embalagem.descricao} = ${quantidade} un de ${codigo}`);
+    }
+
+    // Etiqueta de balança: peso embutido (ou calculado pelo preço/kg) e nome do PLU
+    const etiqueta = etiquetaDeBalanca(analisarCodigo(codigoNormalizado));
+    const registroPlu = etiqueta ? buscarPLU(etiqueta.plu) : null;
+    if (etiqueta && !peso) {
+      peso = pesoDaEtiqueta(etiqueta, registroPlu) ?? "";
+    }
+    if (registroPlu && !produto) {
+      produto = registroPlu.produto;
+    }
+
+    const loteNormalizado = String(lote || "").trim();
     const indexExistente = dados.findIndex(item => {
       const codigoItem = normalizarCodigo(item["Código de Barras"] || item["codigo"] || "");
-      return codigoItem === codigoNormalizado;
+      return codigoItem === codigoNormalizado && String(item["Lote"] || "").trim() === loteNormalizado;
     });
 
     let mensagem = "";
@@ -1048,6 +1320,9 @@ app.post("/api/inventario", async (req, res) => {
       if (peso) {
         dados[indexExistente]["Peso (kg)"] = peso;
       }
+      if (validade) {
+        dados[indexExistente]["Validade"] = validade;
+      }
       mensagem = `Quantidade atualizada: ${qtdAnterior} + ${qtdNova} = ${dados[indexExistente]["Quantidade"]}`;
       console.log(`📦 Inventário: Item existente atualizado - ${codigo} - Nova qtd: ${dados[indexExistente]["Quantidade"]}`);
     } else {
@@ -1056,19 +1331,26 @@ app.post("/api/inventario", async (req, res) => {
         "Produto": produto || "",
         "Quantidade": quantidade || 1,
         "Peso (kg)": peso || "",
+        "Lote": loteNormalizado,
+        "Validade": validade || "",
         "Data/Hora": dataHora ? new Date(dataHora).toLocaleString("pt-BR") : new Date().toLocaleString("pt-BR")
       });
       mensagem = "Produto adicionado ao inventário";
       console.log(`✅ Inventário: Novo item adicionado - ${codigo} - ${produto}`);
     }
 
-    const novaSheet = XLSX.utils.json_to_sheet(dados);
+    // Ordem fixa: planilhas antigas (sem Lote/Validade) ganham as colunas no lugar certo
+    const novaSheet = XLSX.utils.json_to_sheet(dados, {
+      header: ["Código de Barras", "Produto", "Quantidade", "Peso (kg)", "Lote", "Validade", "Data/Hora"]
+    });
 
     novaSheet['!cols'] = [
       { wch: 18 },
       { wch: 40 },
       { wch: 12 },
       { wch: 12 },
+      { wch: 15 },
+      { wch: 12 },
       { wch: 20 }
     ];
 
@@ -1084,11 +1366,16 @@ app.post("/api/inventario", async (req, res) => {
         });
     }
 
+    if (embalagem) {
+      mensagem += ` (${embalagem.descricao} × ${quantidade / embalagem.multiplicador})`;
+    }
+
     res.json({
       ok: true,
       mensagem: mensagem,
       total: dados.length,
       atualizado: indexExistente >= 0,
+      ...(embalagem ? { embalagem, codigoUnidade: codigo, quantidadeUnidades: quantidade } : {}),
       onedrive: onedriveHabilitado() ? "sincronizando" : "não configurado"
     });
 
@@ -1146,19 +1433,23 @@ app.get("/api/stats", (req, res) => {
     return res.json({
       ok: false,
       usandoSQLite: false,
-      mensagem: "SQLite não configurado. Execute: node migrate-to-sqlite.js"
+      mensagem: "SQLite não configurado. Execute: node migrate-to-sqlite.js",
+      provedores: estadoDosProvedores()
     });
   }
 
   try {
-    const totalProdutos = database.prepare('SELECT COUNT(*) as total FROM produtos').get();
+    const totalProdutos = database.prepare('SELECT COUNT(*) as total FROM produtos WHERE excluido_em IS NULL').get();
     const totalOnline = database.prepare('SELECT COUNT(*) as total FROM produtos_online').get();
+    const totalNaoEncontrados = database.prepare("SELECT COUNT(*) as total FROM produtos_nao_encontrados WHERE expira_em > datetime('now')").get();
 
     res.json({
       ok: true,
       usandoSQLite: true,
       totalProdutos: totalProdutos.total,
-      totalProdutosOnline: totalOnline.total
+      totalProdutosOnline: totalOnline.total,
+      totalNaoEncontrados: totalNaoEncontrados.total,
+      provedores: estadoDosProvedores()
     });
   } catch (err) {
     res.json({
@@ -1168,6 +1459,527 @@ app.get("/api/stats", (req, res) => {
   }
 });
 
+// -------------------------------------------
+// API ADMIN - Importação incremental da base (CSV/XLSX)
+// -------------------------------------------
+// Corpo: o arquivo (curl --data-binary @base.csv)
+// ?perfil=nome (mapeamento de colunas salvo; padrão: cabeçalhos da PARA_BUSCAR_DO_SITE),
+// ?aba=nome ou posição (XLSX), ?marcar_ausentes=1 marca o que sumiu da fonte
+const IMPORTACAO_LIMITE = process.env.IMPORTACAO_LIMITE || "200mb";
+// Arquivos temporários dos envios (um por requisição)
+const TEMPORARIO_IMPORTACAO = path.join(os.tmpdir(), "importacao-");
+
+const arquivoDeImportacao = express.raw({
+  type: ["text/csv", "text/plain", "application/octet-stream", "application/vnd.ms-excel", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+  limit: IMPORTACAO_LIMITE
+});
+
+/**
+ * "200mb" → bytes
+ * @param {string} limite
+ * @returns {number}
+ */
+function limiteEmBytes(limite) {
+  const [, numero, unidade = "b"] = String(limite).trim().toLowerCase().match(/^(\d+)\s*(b|kb|mb|gb)?$/) || [];
+  if (!numero) return 200 * 1024 * 1024;
+  return Number(numero) * { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }[unidade];
+}
+
+/**
+ * Grava o corpo da requisição num arquivo temporário sem passar pela memória
+ * @param {express.Request} req
+ * @param {number} limite - Bytes
+ * @returns {Promise<{caminho: string, tamanho: number}>}
+ */
+function corpoParaArquivo(req, limite) {
+  return new Promise((resolve, reject) => {
+    const caminho = `${TEMPORARIO_IMPORTACAO}${process.pid}-${Date.now()}.tmp`;
+    const saida = fs.createWriteStream(caminho);
+    let tamanho = 0;
+
+    const falhar = (err) => {
+      req.unpipe(saida);
+      req.resume();
+      saida.destroy();
+      fs.rm(caminho, { force: true }, () => reject(err));
+    };
+
+    req.on("data", (pedaco) => {
+      tamanho += pedaco.length;
+      if (tamanho > limite) {
+        falhar(Object.assign(new Error(`Arquivo maior que o limite de importação (${IMPORTACAO_LIMITE})`), { status: 413 }));
+      }
+    });
+    req.on("error", falhar);
+    saida.on("error", falhar);
+    saida.on("finish", () => resolve({ caminho, tamanho }));
+    req.pipe(saida);
+  });
+}
+
+/**
+ * Perfil, aba e delimitador pedidos na query
+ * @param {Database} database
+ * @param {express.Request} req
+ */
+function opcoesDeImportacao(database, req) {
+  return {
+    perfil: obterPerfil(database, req.query.perfil),
+    aba: req.query.aba,
+    delimitador: req.query.delimitador === "tab" ? "\t" : req.query.delimitador
+  };
+}
+
+function responderErroImportacao(res, err) {
+  if (!err.status) console.error("Erro na importação:", err);
+  res.status(err.status || 500).json({ ok: false, error: err.message, ...(err.erros ? { erros: err.erros } : {}) });
+}
+
+// Prévia: primeiras linhas mapeadas (?linhas=20) e linhas com problema, sem gravar nada
+app.post("/api/importar/previa", exigirAdmin, arquivoDeImportacao, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ ok: false, error: "Envie o arquivo CSV ou XLSX no corpo da requisição" });
+  }
+
+  try {
+    const linhas = Math.min(Math.max(parseInt(req.query.linhas) || 20, 1), 500);
+    const previa = previaImportacao(req.body, { ...opcoesDeImportacao(database, req), linhas });
+    res.json({ ok: true, previa });
+  } catch (err) {
+    responderErroImportacao(res, err);
+  }
+});
+
+// O corpo vai para um arquivo temporário: CSV é importado em stream, em lotes
+// (memória constante mesmo com bases de centenas de MB); XLSX é lido inteiro.
+// Retomar do último lote é só pelo CLI (npm run importar): o temporário tem nome
+// único, então uma importação daqui que falhou é descartada (aqui ou na subida)
+app.post("/api/importar", exigirAdmin, async (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+
+  let recebido = null;
+  try {
+    const opcoes = opcoesDeImportacao(database, req);
+    recebido = await corpoParaArquivo(req, limiteEmBytes(IMPORTACAO_LIMITE));
+    if (recebido.tamanho === 0) {
+      return res.status(400).json({ ok: false, error: "Envie o arquivo CSV ou XLSX no corpo da requisição" });
+    }
+
+    const usuario = "importacao";
+    const marcarAusentes = req.query.marcar_ausentes === "1";
+    const arquivo = req.query.arquivo || null;
+
+    const inicio = Buffer.alloc(2);
+    const fd = fs.openSync(recebido.caminho, "r");
+    fs.readSync(fd, inicio, 0, 2, 0);
+    fs.closeSync(fd);
+
+    let relatorio;
+    if (inicio[0] === 0x50 && inicio[1] === 0x4b) {
+      const { produtos, invalidos, problemas, aba } = produtosDoArquivo(fs.readFileSync(recebido.caminho), opcoes);
+      relatorio = importarIncremental(database, produtos, { marcarAusentes, arquivo, usuario, invalidos, problemas });
+      relatorio.aba = aba;
+    } else {
+      relatorio = await importarEmStream(database, recebido.caminho, {
+        perfil: opcoes.perfil,
+        delimitador: opcoes.delimitador,
+        marcarAusentes,
+        usuario,
+        arquivo,
+        retomar: false
+      });
+    }
+    relatorio.perfil = opcoes.perfil.nome;
+    const caminho = salvarRelatorio(relatorio);
+
+    console.log(`📥 Importação: +${relatorio.adicionados} ~${relatorio.alterados} -${relatorio.ausentes} (${path.basename(caminho)})`);
+    res.json({ ok: true, relatorio, arquivoRelatorio: path.relative(projectRoot, caminho) });
+  } catch (err) {
+    if (recebido) abandonarInterrompidas(database, arquivo => arquivo === recebido.caminho);
+    responderErroImportacao(res, err);
+  } finally {
+    if (recebido) fs.rm(recebido.caminho, { force: true }, () => {});
+  }
+});
+
+// -------------------------------------------
+// API ADMIN - Perfis de importação (mapeamento de colunas)
+// -------------------------------------------
+// Corpo do POST: {"nome", "descricao", "colunas": {"Cabeçalho": "coluna"}, "transformacoes": {"coluna": [...]}, "aba", "delimitador"}
+app.get("/api/admin/perfis-importacao", exigirAdmin, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+  res.json({ ok: true, perfis: listarPerfis(database) });
+});
+
+app.get("/api/admin/perfis-importacao/:nome", exigirAdmin, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+  try {
+    res.json({ ok: true, perfil: obterPerfil(database, req.params.nome) });
+  } catch (err) {
+    responderErroImportacao(res, err);
+  }
+});
+
+app.post("/api/admin/perfis-importacao", exigirAdmin, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+  try {
+    const perfil = salvarPerfil(database, req.body || {});
+    console.log(`🗂️  Perfil de importação salvo: ${perfil.nome}`);
+    res.json({ ok: true, perfil });
+  } catch (err) {
+    responderErroImportacao(res, err);
+  }
+});
+
+app.delete("/api/admin/perfis-importacao/:nome", exigirAdmin, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+  if (!removerPerfil(database, req.params.nome)) {
+    return res.status(404).json({ ok: false, error: `Perfil de importação "${req.params.nome}" não encontrado` });
+  }
+  res.json({ ok: true });
+});
+
+// -------------------------------------------
+// API ADMIN - Exportação do catálogo
+// -------------------------------------------
+// ?tabela=produtos|produtos_online &formato=csv|csv-virgula|xlsx|json|ndjson
+// Filtros: grupo, subgrupo, marca, categoria, fonte (repetir para mais de um valor),
+// desde=AAAA-MM-DD (criados ou alterados a partir da data), incluir_excluidos=1
+app.get("/api/exportar/produtos", exigirAdmin, async (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+
+  const filtros = {};
+  for (const campo of ["grupo", "subgrupo", "marca", "categoria", "fonte"]) {
+    if (req.query[campo] !== undefined) filtros[campo] = req.query[campo];
+  }
+
+  let exportacao;
+  try {
+    exportacao = exportarCatalogo(database, {
+      formato: req.query.formato,
+      tabela: req.query.tabela,
+      filtros,
+      desde: req.query.desde,
+      incluirExcluidos: req.query.incluir_excluidos === "1"
+    });
+  } catch (err) {
+    if (!err.status) console.error("Erro na exportação:", err);
+    return res.status(err.status || 500).json({ ok: false, error: err.message, ...(err.erros ? { erros: err.erros } : {}) });
+  }
+
+  res.setHeader("Content-Type", exportacao.tipo);
+  res.setHeader("Content-Disposition", `attachment; filename="${exportacao.nomeArquivo}"`);
+  res.setHeader("X-Total-Linhas", String(exportacao.total));
+  console.log(`📤 Exportação: ${exportacao.nomeArquivo} (${exportacao.total} linhas)`);
+
+  try {
+    await pipeline(Readable.from(exportacao.conteudo), res);
+  } catch (err) {
+    // Cliente que desiste do download não é erro
+    if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error("Erro na exportação:", err);
+    res.destroy();
+  }
+});
+
+// -------------------------------------------
+// API ADMIN - Qualidade da base local
+// -------------------------------------------
+// Resultado da última verificação (npm run qualidade ou POST /api/qualidade/verificar).
+// Sem parâmetros: contagem por verificação; ?verificacao=ncm_invalido&pagina=1&limite=100 lista os achados
+app.get("/api/qualidade", exigirAdmin, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+
+  try {
+    const resumo = resumoDaQualidade(database);
+    if (req.query.verificacao === undefined && req.query.pagina === undefined) {
+      return res.json({ ok: true, ...resumo });
+    }
+
+    const limite = Math.min(parseInt(req.query.limite) || 100, 1000);
+    const pagina = Math.max(parseInt(req.query.pagina) || 1, 1);
+    res.json({ ok: true, execucao: resumo.execucao, ...listarAchados(database, { verificacao: req.query.verificacao, pagina, limite }) });
+  } catch (err) {
+    if (!err.status) console.error("Erro no relatório de qualidade:", err);
+    res.status(err.status || 500).json({ ok: false, error: err.message, ...(err.erros ? { erros: err.erros } : {}) });
+  }
+});
+
+// Planilha dos achados para correção (?verificacao= para uma só)
+app.get("/api/qualidade/xlsx", exigirAdmin, async (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+
+  let planilha;
+  try {
+    planilha = planilhaDeAchados(database, { verificacao: req.query.verificacao });
+  } catch (err) {
+    return res.status(err.status || 500).json({ ok: false, error: err.message, ...(err.erros ? { erros: err.erros } : {}) });
+  }
+
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename="${planilha.nomeArquivo}"`);
+  try {
+    await pipeline(Readable.from(planilha.conteudo), res);
+  } catch (err) {
+    if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error("Erro na planilha de qualidade:", err);
+    res.destroy();
+  }
+});
+
+// Roda a verificação agora (uma por vez); responde com o resumo ao terminar
+let verificacaoEmAndamento = null;
+
+app.post("/api/qualidade/verificar", exigirAdmin, async (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+  if (verificacaoEmAndamento) {
+    return res.status(409).json({ ok: false, error: "Verificação de qualidade já em andamento" });
+  }
+
+  try {
+    verificacaoEmAndamento = executarVerificacao(database);
+    const execucao = await verificacaoEmAndamento;
+    console.log(`🧹 Qualidade: ${execucao.produtos} produtos verificados`);
+    res.json({ ok: true, execucao });
+  } catch (err) {
+    if (!err.status) console.error("Erro na verificação de qualidade:", err);
+    res.status(err.status || 500).json({ ok: false, error: err.message });
+  } finally {
+    verificacaoEmAndamento = null;
+  }
+});
+
+// -------------------------------------------
+// API ADMIN - Cache negativo (códigos não encontrados)
+// -------------------------------------------
+app.get("/api/admin/nao-encontrados", exigirAdmin, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+
+  const limite = Math.min(parseInt(req.query.limite) || 100, 1000);
+  const pagina = Math.max(parseInt(req.query.pagina) || 1, 1);
+  const incluirExpirados = req.query.expirados === "1";
+  const filtro = incluirExpirados ? "" : "WHERE expira_em > datetime('now')";
+
+  try {
+    const total = database.prepare(`SELECT COUNT(*) as total FROM produtos_nao_encontrados ${filtro}`).get().total;
+    const itens = database.prepare(`
+      SELECT codigo_barras, tentativas, primeira_tentativa, ultima_tentativa, expira_em,
+             expira_em <= datetime('now') as expirado
+      FROM produtos_nao_encontrados
+      ${filtro}
+      ORDER BY ultima_tentativa DESC
+      LIMIT ? OFFSET ?
+    `).all(limite, (pagina - 1) * limite);
+
+    res.json({
+      ok: true,
+      total,
+      pagina,
+      limite,
+      ttlHoras: NAO_ENCONTRADO_TTL_HORAS,
+      itens: itens.map(i => ({ ...i, expirado: Boolean(i.expirado) }))
+    });
+  } catch (err) {
+    res.json({ ok: false, error: err.message });
+  }
+});
+
+app.delete("/api/admin/nao-encontrados", exigirAdmin, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+
+  try {
+    // ?expirados=1 limpa só os vencidos; sem parâmetro limpa tudo
+    const resultado = req.query.expirados === "1"
+      ? database.prepare("DELETE FROM produtos_nao_encontrados WHERE expira_em <= datetime('now')").run()
+      : database.prepare("DELETE FROM produtos_nao_encontrados").run();
+
+    console.log(`🧹 Cache negativo: ${resultado.changes} código(s) removido(s)`);
+    res.json({ ok: true, removidos: resultado.changes });
+  } catch (err) {
+    res.json({ ok: false, error: err.message });
+  }
+});
+
+app.delete("/api/admin/nao-encontrados/:codigo", exigirAdmin, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+
+  const codigo = analisarCodigo(req.params.codigo).codigo;
+  try {
+    const resultado = database.prepare("DELETE FROM produtos_nao_encontrados WHERE codigo_barras = ?").run(codigo);
+    res.json({ ok: true, removidos: resultado.changes });
+  } catch (err) {
+    res.json({ ok: false, error: err.message });
+  }
+});
+
+// -------------------------------------------
+// API ADMIN - Revisões do cache online (nome/marca alterados na fonte)
+// -------------------------------------------
+app.get("/api/admin/cache-online/:codigo/revisoes", exigirAdmin, (req, res) => {
+  const codigo = analisarCodigo(req.params.codigo).codigo;
+  try {
+    res.json({ ok: true, codigo, atual: buscarCacheOnline(codigo), revisoes: listarRevisoes(codigo) });
+  } catch (err) {
+    res.json({ ok: false, error: err.message });
+  }
+});
+
+// -------------------------------------------
+// API ADMIN - Tabela PLU das balanças
+// -------------------------------------------
+app.get("/api/admin/plu", exigirAdmin, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+
+  const itens = database.prepare(`
+    SELECT plu, produto, codigo_barras, preco_kg, unidade, data_atualizacao
+    FROM produtos_plu
+    ORDER BY CAST(plu AS INTEGER)
+  `).all();
+  res.json({ ok: true, total: itens.length, itens });
+});
+
+// Corpo: um PLU ({plu, produto, codigo_barras?, preco_kg?, unidade?}) ou uma lista deles
+app.post("/api/admin/plu", exigirAdmin, (req, res) => {
+  const itens = Array.isArray(req.body) ? req.body : [req.body];
+  try {
+    const gravados = salvarPLUs(itens);
+    console.log(`⚖️ Tabela PLU: ${gravados} item(ns) gravado(s)`);
+    res.json({ ok: true, gravados, ignorados: itens.length - gravados });
+  } catch (err) {
+    res.json({ ok: false, error: err.message });
+  }
+});
+
+app.delete("/api/admin/plu/:plu", exigirAdmin, (req, res) => {
+  const database = getDatabase();
+  if (!database) {
+    return res.json({ ok: false, error: "SQLite não configurado" });
+  }
+
+  const resultado = database.prepare("DELETE FROM produtos_plu WHERE plu = ?").run(normalizarPLU(req.params.plu));
+  res.json({ ok: true, removidos: resultado.changes });
+});
+
+// -------------------------------------------
+// API ADMIN - Hierarquia de embalagens (caixa/fardo → unidade)
+// -------------------------------------------
+app.get("/api/admin/embalagens", exigirAdmin, (req, res) => {
+  const itens = listarEmbalagens({ contido: req.query.contido });
+  res.json({ ok: true, total: itens.length, itens });
+});
+
+// Corpo: {codigo_barras, codigo_contido, quantidade, descricao?} ou uma lista deles
+app.post("/api/admin/embalagens", exigirAdmin, (req, res) => {
+  const itens = Array.isArray(req.body) ? req.body : [req.body];
+  try {
+    const { gravados, erros } = salvarEmbalagens(itens);
+    console.log(`📦 Embalagens: ${gravados} gravada(s), ${erros.length} com erro`);
+    res.json({ ok: erros.length === 0, gravados, erros });
+  } catch (err) {
+    res.json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/admin/embalagens/:codigo", exigirAdmin, (req, res) => {
+  const embalagem = resolverEmbalagem(analisarCodigo(req.params.codigo).codigo);
+  if (!embalagem) {
+    return res.json({ ok: false, error: "Embalagem não cadastrada" });
+  }
+  res.json({ ok: true, embalagem });
+});
+
+app.delete("/api/admin/embalagens/:codigo", exigirAdmin, (req, res) => {
+  res.json({ ok: true, removidos: removerEmbalagem(req.params.codigo) });
+});
+
+// -------------------------------------------
+// API CÓDIGOS ALTERNATIVOS (GTIN antigo, interno, fornecedor, PLU)
+// -------------------------------------------
+app.get("/api/codigos-alternativos/:codigo", (req, res) => {
+  // Aceita o código principal ou qualquer apelido dele
+  const alias = resolverCodigoAlternativo(req.params.codigo);
+  const principal = alias ? alias.codigo_barras : analisarCodigo(req.params.codigo).codigo;
+  res.json({ ok: true, codigo_barras: principal, tipos: TIPOS_CODIGO, codigos: listarCodigosAlternativos(principal) });
+});
+
+// Corpo: {codigo_barras, codigo, tipo, fornecedor?, observacao?} ou uma lista deles
+app.post("/api/admin/codigos-alternativos", exigirAdmin, (req, res) => {
+  const itens = Array.isArray(req.body) ? req.body : [req.body];
+  try {
+    const { gravados, erros } = salvarCodigosAlternativos(itens);
+    console.log(`🔀 Códigos alternativos: ${gravados} gravado(s), ${erros.length} com erro`);
+    res.json({ ok: erros.length === 0, gravados, erros });
+  } catch (err) {
+    res.json({ ok: false, error: err.message });
+  }
+});
+
+app.delete("/api/admin/codigos-alternativos/:tipo/:codigo", exigirAdmin, (req, res) => {
+  const tipo = req.params.tipo.toLowerCase();
+  if (!TIPOS_CODIGO.includes(tipo)) {
+    return res.status(400).json({ ok: false, error: `Tipo inválido (use ${TIPOS_CODIGO.join(", ")})` });
+  }
+  res.json({ ok: true, removidos: removerCodigoAlternativo(tipo, req.params.codigo) });
+});
+
+// -------------------------------------------
+// API PROVEDORES - Cadeia de consulta configurada
+// -------------------------------------------
+app.get("/api/provedores", (req, res) => {
+  res.json({
+    ok: true,
+    provedores: listarProvedores().map(p => ({
+      nome: p.nome,
+      rotulo: p.rotulo,
+      tipo: p.tipo,
+      prioridade: p.prioridade,
+      timeout: p.timeout,
+      habilitado: p.habilitado
+    }))
+  });
+});
+
 // -------------------------------------------
 // SPA – sempre entrega o index.html
 // -------------------------------------------
@@ -1187,8 +1999,15 @@ app.listen(PORT, () => {
   // Verificar se SQLite está disponível
   const database = getDatabase();
   if (database) {
-    const stats = database.prepare('SELECT COUNT(*) as total FROM produtos').get();
+    const stats = database.prepare('SELECT COUNT(*) as total FROM produtos WHERE excluido_em IS NULL').get();
     console.log(` SQLite: ${stats.total.toLocaleString()} produtos`);
+
+    // Importações pela API que caíram no meio (processo derrubado) não são retomadas
+    const descartadas = abandonarInterrompidas(database, arquivo => arquivo.startsWith(TEMPORARIO_IMPORTACAO));
+    for (const arquivo of descartadas) fs.rm(arquivo, { force: true }, () => {});
+    if (descartadas.length > 0) {
+      console.log(` Importações interrompidas descartadas: ${descartadas.length}`);
+    }
   } else {
     console.log(" SQLite: NÃO CONFIGURADO (usando CSV)");
     console.log(" Execute: node migrate-to-sqlite.js");
@@ -0,0 +1,109 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, 'data', 'fixtures', 'cosmos-api');
+const TOKEN = 'token-de-teste';
+
+console.log('🔍 Testando o cliente da API do Cosmos com um servidor local...\n');
+
+// Servidor falso: responde /gtins/<codigo>.json com os arquivos de data/fixtures/cosmos-api
+const requisicoes = [];
+const servidor = http.createServer((req, res) => {
+  requisicoes.push({ url: req.url, token: req.headers['x-cosmos-token'] });
+
+  if (req.headers['x-cosmos-token'] !== TOKEN) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ message: 'Unauthorized' }));
+  }
+
+  const encontrado = req.url.match(/^\/gtins\/(\d+)\.json$/);
+  const arquivo = encontrado && path.join(FIXTURES_DIR, `${encontrado[1]}.json`);
+  if (!arquivo || !fs.existsSync(arquivo)) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ message: 'Not Found' }));
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(fs.readFileSync(arquivo));
+});
+
+await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+
+process.env.COSMOS_API_URL = `http://127.0.0.1:${servidor.address().port}`;
+process.env.COSMOS_TOKEN = TOKEN;
+process.env.COSMOS_COTA_DIARIA = '3';
+
+const { default: cosmosApi, cosmosApiDisponivel } = await import('./provedores/cosmos-api.js');
+const { default: cosmosScraper } = await import('./provedores/cosmos.js');
+
+let falhas = 0;
+function conferir(descricao, ok, detalhe) {
+  if (ok) {
+    console.log(`✅ ${descricao}`);
+  } else {
+    falhas++;
+    console.log(`❌ ${descricao}${detalhe ? ` - ${detalhe}` : ''}`);
+  }
+}
+
+try {
+  conferir('Com token, a API fica habilitada e o scraping fica de fora', cosmosApi.habilitado && !cosmosScraper.habilitado);
+
+  // 1. Produto cadastrado
+  const produto = await cosmosApi.buscar('7891000100103', { timeout: 5000 });
+  const esperado = {
+    nome: 'AÇÚCAR REFINADO UNIÃO PACOTE 1KG',
+    marca: 'UNIÃO',
+    categoria: 'Açúcar/Substitutos do Açúcar',
+    ncm: '17019900',
+    cest: '1708500',
+    peso_liquido: '1000 g',
+    peso_bruto: '1010 g',
+    imagem: 'https://cdn-cosmos.bluesoft.com.br/products/7891000100103',
+    origem: 'Cosmos'
+  };
+  const diferentes = Object.keys(esperado).filter(c => !produto || produto[c] !== esperado[c]);
+  conferir('GTIN cadastrado é convertido para os campos do produto', diferentes.length === 0, `campos: ${diferentes.join(', ')}`);
+  conferir('Token enviado no header X-Cosmos-Token', requisicoes[0] && requisicoes[0].token === TOKEN);
+
+  // 2. GTIN que a API não conhece
+  const inexistente = await cosmosApi.buscar('7894900011517', { timeout: 5000 });
+  conferir('GTIN não cadastrado (404) retorna null', inexistente === null);
+
+  // 3. Token recusado
+  process.env.COSMOS_TOKEN = 'token-errado';
+  let erro = null;
+  try {
+    await cosmosApi.buscar('7891000100103', { timeout: 5000 });
+  } catch (err) {
+    erro = err;
+  }
+  conferir('Token recusado (401) lança erro', erro && /token recusado/.test(erro.message), erro ? erro.message : 'nenhum erro');
+  process.env.COSMOS_TOKEN = TOKEN;
+
+  // 4. Cota diária (3 consultas já feitas): não chama mais a API e o scraping volta
+  const antes = requisicoes.length;
+  let semCota = null;
+  try {
+    await cosmosApi.buscar('7891000100103', { timeout: 5000 });
+  } catch (err) {
+    semCota = err;
+  }
+  conferir('Cota esgotada: fonte pulada (erro com pulado) sem chamar a API', semCota && semCota.pulado === true && requisicoes.length === antes);
+  conferir('Cota esgotada: API sai da cadeia e o scraping volta a ser usado', !cosmosApiDisponivel() && !cosmosApi.habilitado && cosmosScraper.habilitado);
+  conferir('Estado da cota exposto para /api/stats', cosmosApi.estado().cota.usadas === 3 && cosmosApi.estado().cota.esgotada);
+
+  // 5. Sem token: API fora da cadeia
+  delete process.env.COSMOS_TOKEN;
+  conferir('Sem token, a API fica desabilitada e o scraping habilitado', !cosmosApi.habilitado && cosmosScraper.habilitado);
+} finally {
+  servidor.close();
+}
+
+console.log(`\n${falhas === 0 ? '🎉 Todos os testes passaram' : `⚠️ ${falhas} teste(s) falharam`}\n`);
+process.exit(falhas === 0 ? 0 : 1);
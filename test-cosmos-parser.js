@@ -0,0 +1,37 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extrairProdutoCosmos } from './provedores/cosmos.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, 'data', 'fixtures', 'cosmos');
+
+console.log('🔍 Testando o parser do Cosmos com as páginas salvas...\n');
+
+// Cada página salva (<codigo>.html) tem o resultado esperado ao lado (<codigo>.json)
+const paginas = fs.readdirSync(FIXTURES_DIR).filter(f => f.endsWith('.html')).sort();
+let falhas = 0;
+
+for (const pagina of paginas) {
+  const codigo = path.basename(pagina, '.html');
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, pagina), 'utf8');
+  const esperado = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${codigo}.json`), 'utf8'));
+  const obtido = extrairProdutoCosmos(html) || {};
+
+  const diferencas = Object.keys(esperado).filter(campo => obtido[campo] !== esperado[campo]);
+
+  if (diferencas.length === 0) {
+    console.log(`✅ ${codigo} - ${obtido.nome}`);
+  } else {
+    falhas++;
+    console.log(`❌ ${codigo}`);
+    for (const campo of diferencas) {
+      console.log(`   ${campo}: esperado "${esperado[campo]}", obtido "${obtido[campo] ?? ''}"`);
+    }
+  }
+}
+
+console.log(`\n${falhas === 0 ? '🎉' : '⚠️'} ${paginas.length - falhas}/${paginas.length} páginas conferem\n`);
+process.exit(falhas === 0 ? 0 : 1);
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analisarCSV, registrosCSV } from './csv-helper.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, 'data', 'fixtures', 'csv');
+
+console.log('🔍 Testando a leitura de CSV com os arquivos de exemplo...\n');
+
+let total = 0;
+let falhas = 0;
+function conferir(descricao, ok, detalhe) {
+  total++;
+  if (ok) {
+    console.log(`✅ ${descricao}`);
+  } else {
+    falhas++;
+    console.log(`❌ ${descricao}${detalhe ? ` - ${detalhe}` : ''}`);
+  }
+}
+
+const igual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+async function lerRegistros(caminho, opcoes) {
+  const registros = [];
+  for await (const registro of registrosCSV(caminho, opcoes)) registros.push(registro);
+  return registros;
+}
+
+/**
+ * Confere a leitura em stream: mesmos campos, "fim" de cada registro e
+ * retomada a partir de cada "fim" (só os registros seguintes)
+ * Em CRLF o registro fecha no "\r": o "fim" fica antes do "\n", que na
+ * retomada vira uma linha em branco (descartada).
+ * @param {string} nome
+ * @param {string} caminho
+ * @param {{delimitador: string, linhas: string[][], fins?: number[]}} esperado
+ */
+async function conferirStream(nome, caminho, esperado) {
+  const registros = await lerRegistros(caminho);
+  conferir(`${nome}: stream lê os mesmos registros`, igual(registros.map(r => r.campos), esperado.linhas));
+  conferir(`${nome}: stream detecta o delimitador`, registros.every(r => r.delimitador === esperado.delimitador));
+
+  const fins = registros.map(r => r.fim);
+  if (esperado.fins) {
+    conferir(`${nome}: posição em bytes de cada registro`, igual(fins, esperado.fins), `obtido ${fins.join(', ')}`);
+  } else {
+    const conteudo = fs.readFileSync(caminho);
+    const final = conteudo.length - (conteudo.subarray(-2).toString() === '\r\n' ? 1 : 0);
+    conferir(`${nome}: último registro termina no fim do arquivo`, fins[fins.length - 1] === final, `obtido ${fins[fins.length - 1]} de ${conteudo.length}`);
+  }
+
+  const erradas = [];
+  for (const [i, fim] of fins.entries()) {
+    const retomados = await lerRegistros(caminho, { delimitador: esperado.delimitador, inicio: fim });
+    if (!igual(retomados.map(r => r.campos), esperado.linhas.slice(i + 1))) erradas.push(fim);
+  }
+  conferir(`${nome}: retomada a partir de cada registro`, erradas.length === 0, `erradas a partir dos bytes ${erradas.join(', ')}`);
+}
+
+// 1. Arquivos de exemplo: <nome>.csv com o resultado esperado ao lado (<nome>.json)
+const arquivos = fs.readdirSync(FIXTURES_DIR).filter(f => f.endsWith('.csv')).sort();
+for (const arquivo of arquivos) {
+  const nome = path.basename(arquivo, '.csv');
+  const caminho = path.join(FIXTURES_DIR, arquivo);
+  const esperado = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${nome}.json`), 'utf8'));
+
+  const lido = analisarCSV(fs.readFileSync(caminho, 'utf8'));
+  conferir(`${nome}: delimitador "${JSON.stringify(esperado.delimitador).slice(1, -1)}"`, lido.delimitador === esperado.delimitador, `obtido ${JSON.stringify(lido.delimitador)}`);
+  conferir(`${nome}: campos e linhas`, igual(lido.linhas, esperado.linhas), JSON.stringify(lido.linhas));
+  await conferirStream(nome, caminho, esperado);
+}
+
+// 2. Divisas entre pedaços do stream (64 KiB): CRLF partido, caractere de
+// 2 bytes partido e quebra de linha dentro de aspas bem na divisa
+const PEDACO = 64 * 1024;
+const cabecalho = 'codigo;produto\r\n';
+const primeira = `1;${'a'.repeat(PEDACO - 1 - cabecalho.length - 2)}\r\n`;
+const segunda = `2;${'b'.repeat(2 * PEDACO - 1 - (cabecalho.length + primeira.length) - 2)}Ç\r\n`;
+const inicioTerceira = cabecalho.length + primeira.length + Buffer.byteLength(segunda);
+const terceira = `3;"${'c'.repeat(3 * PEDACO - inicioTerceira - 3)}\nfim"\r\n`;
+const linhas = [cabecalho, primeira, segunda, terceira];
+
+const temporario = path.join(os.tmpdir(), `teste-csv-${process.pid}.csv`);
+fs.writeFileSync(temporario, linhas.join(''));
+try {
+  let fim = 0;
+  await conferirStream('divisas de 64 KiB', temporario, {
+    delimitador: ';',
+    linhas: [
+      ['codigo', 'produto'],
+      ['1', 'a'.repeat(primeira.length - 4)],
+      ['2', `${'b'.repeat(segunda.length - 5)}Ç`],
+      ['3', `${'c'.repeat(3 * PEDACO - inicioTerceira - 3)}\nfim`]
+    ],
+    fins: linhas.map(linha => (fim += Buffer.byteLength(linha)) - 1)
+  });
+} finally {
+  fs.rmSync(temporario, { force: true });
+}
+
+console.log(`\n${falhas === 0 ? '🎉' : '⚠️'} ${total - falhas}/${total} verificações conferem\n`);
+process.exit(falhas === 0 ? 0 : 1);
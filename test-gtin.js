@@ -0,0 +1,46 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { calcularDigitoVerificador, expandirUPCE, analisarCodigo } from './gtin-helper.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, 'data', 'fixtures', 'gtin');
+
+console.log('🔍 Testando a análise de GTIN com os códigos de exemplo...\n');
+
+// Cada caso traz a entrada e só os campos que importam no resultado esperado
+const casos = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'codigos.json'), 'utf8'));
+let total = 0;
+let falhas = 0;
+
+function conferir(descricao, esperado, obtido) {
+  total++;
+  const diferencas = Object.keys(esperado).filter(campo => JSON.stringify(obtido[campo]) !== JSON.stringify(esperado[campo]));
+
+  if (diferencas.length === 0) {
+    console.log(`✅ ${descricao}`);
+  } else {
+    falhas++;
+    console.log(`❌ ${descricao}`);
+    for (const campo of diferencas) {
+      console.log(`   ${campo}: esperado ${JSON.stringify(esperado[campo])}, obtido ${JSON.stringify(obtido[campo])}`);
+    }
+  }
+}
+
+for (const { semDigito, digito } of casos.digitoVerificador) {
+  conferir(`Dígito verificador de ${semDigito}`, { digito }, { digito: calcularDigitoVerificador(semDigito) });
+}
+
+for (const { upce, upca } of casos.expandirUPCE) {
+  conferir(`UPC-E ${upce} expandido`, { upca }, { upca: expandirUPCE(upce) });
+}
+
+for (const { entrada, ...esperado } of casos.analisarCodigo) {
+  conferir(`analisarCodigo("${entrada}")`, esperado, analisarCodigo(entrada));
+}
+
+console.log(`\n${falhas === 0 ? '🎉' : '⚠️'} ${total - falhas}/${total} casos conferem\n`);
+process.exit(falhas === 0 ? 0 : 1);
@@ -0,0 +1,79 @@
+/**
+ * Verificação da qualidade da base local (produtos)
+ * Grava o resultado no banco (visto em /api/qualidade) e, com --xlsx, salva
+ * também a planilha dos achados em data/relatorios para correção.
+ *
+ * Uso:
+ *   node verificar-qualidade.js
+ *   node verificar-qualidade.js --xlsx
+ *   node verificar-qualidade.js --xlsx --verificacao=ncm_invalido   (planilha só com essa verificação)
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { getDatabase } from './database-helper.js';
+import { RELATORIOS_DIR } from './importacao-helper.js';
+import { VERIFICACOES, executarVerificacao, planilhaDeAchados } from './qualidade-helper.js';
+
+dotenv.config();
+
+function opcao(nome) {
+  const arg = process.argv.find(a => a.startsWith(`--${nome}=`));
+  return arg ? arg.slice(nome.length + 3) : undefined;
+}
+
+async function verificar() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('  QUALIDADE DA BASE LOCAL');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('');
+
+  const database = getDatabase();
+  if (!database) {
+    process.exit(1);
+  }
+
+  const verificacao = opcao('verificacao');
+  if (verificacao && !VERIFICACOES[verificacao]) {
+    console.error(`❌ Verificação inválida: ${verificacao} (use ${Object.keys(VERIFICACOES).join(', ')})`);
+    process.exit(1);
+  }
+
+  const inicio = Date.now();
+  let ultimoLog = 0;
+  const execucao = await executarVerificacao(database, {
+    aoProgredir: ({ produtos, total, percentual }) => {
+      if (Date.now() - ultimoLog < 2000 && produtos < total) return;
+      ultimoLog = Date.now();
+      console.log(`   ${percentual.toFixed(1)}% • ${produtos.toLocaleString()} de ${total.toLocaleString()} produtos`);
+    }
+  });
+
+  console.log('');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('  ✅ VERIFICAÇÃO CONCLUÍDA');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`  Produtos verificados: ${execucao.produtos.toLocaleString()}`);
+  for (const [id, descricao] of Object.entries(VERIFICACOES)) {
+    console.log(`  ${String(execucao.resumo[id]).padStart(8)}  ${descricao}`);
+  }
+  console.log(`  Tempo: ${((Date.now() - inicio) / 1000).toFixed(1)}s`);
+  console.log('');
+
+  if (process.argv.includes('--xlsx')) {
+    const { nomeArquivo, conteudo } = planilhaDeAchados(database, { verificacao });
+    fs.mkdirSync(RELATORIOS_DIR, { recursive: true });
+    const caminho = path.join(RELATORIOS_DIR, nomeArquivo);
+    await pipeline(Readable.from(conteudo), fs.createWriteStream(caminho));
+    console.log(`📊 Planilha dos achados: ${path.relative(process.cwd(), caminho)}`);
+    console.log('');
+  }
+}
+
+verificar().catch(err => {
+  console.error('❌ Erro na verificação de qualidade:', err);
+  process.exit(1);
+});
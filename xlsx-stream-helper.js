@@ -0,0 +1,242 @@
+/**
+ * XLSX Stream Helper - Gera planilhas XLSX grandes sem montar tudo na memória
+ * O SheetJS só escreve a pasta de trabalho inteira de uma vez; aqui o XLSX
+ * (um zip com XMLs) é produzido em pedaços: a aba é comprimida à medida que
+ * as linhas chegam e o índice do zip vai no fim. Uma aba só, textos inline.
+ */
+
+import { Readable } from 'stream';
+import zlib from 'zlib';
+
+// Limite de linhas de uma aba do Excel (incluindo o cabeçalho)
+export const LINHAS_MAXIMAS_XLSX = 1048576;
+
+// Linhas por pedaço de XML entregue ao compressor
+const LINHAS_POR_PEDACO = 500;
+
+// -------------------------------------------
+// ZIP
+// -------------------------------------------
+
+const TABELA_CRC = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) c = TABELA_CRC[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Data e hora no formato do MS-DOS usado pelo zip
+function dataDOS(data) {
+  return {
+    hora: (data.getHours() << 11) | (data.getMinutes() << 5) | Math.floor(data.getSeconds() / 2),
+    dia: ((data.getFullYear() - 1980) << 9) | ((data.getMonth() + 1) << 5) | data.getDate()
+  };
+}
+
+// Flags: bit 3 = tamanhos e CRC no descritor após os dados; bit 11 = nomes em UTF-8
+const FLAGS = 0x0808;
+const DEFLATE = 8;
+
+function cabecalhoLocal(nome, { hora, dia }) {
+  const nomeBuffer = Buffer.from(nome, 'utf8');
+  const b = Buffer.alloc(30);
+  b.writeUInt32LE(0x04034b50, 0);
+  b.writeUInt16LE(20, 4);
+  b.writeUInt16LE(FLAGS, 6);
+  b.writeUInt16LE(DEFLATE, 8);
+  b.writeUInt16LE(hora, 10);
+  b.writeUInt16LE(dia, 12);
+  b.writeUInt16LE(nomeBuffer.length, 26);
+  return Buffer.concat([b, nomeBuffer]);
+}
+
+function descritor({ crc, comprimido, original }) {
+  const b = Buffer.alloc(16);
+  b.writeUInt32LE(0x08074b50, 0);
+  b.writeUInt32LE(crc, 4);
+  b.writeUInt32LE(comprimido, 8);
+  b.writeUInt32LE(original, 12);
+  return b;
+}
+
+function indiceCentral(entradas, inicioIndice, { hora, dia }) {
+  const partes = entradas.map(e => {
+    const nomeBuffer = Buffer.from(e.nome, 'utf8');
+    const b = Buffer.alloc(46);
+    b.writeUInt32LE(0x02014b50, 0);
+    b.writeUInt16LE(20, 4);
+    b.writeUInt16LE(20, 6);
+    b.writeUInt16LE(FLAGS, 8);
+    b.writeUInt16LE(DEFLATE, 10);
+    b.writeUInt16LE(hora, 12);
+    b.writeUInt16LE(dia, 14);
+    b.writeUInt32LE(e.crc, 16);
+    b.writeUInt32LE(e.comprimido, 20);
+    b.writeUInt32LE(e.original, 24);
+    b.writeUInt16LE(nomeBuffer.length, 28);
+    b.writeUInt32LE(e.posicao, 42);
+    return Buffer.concat([b, nomeBuffer]);
+  });
+
+  const indice = Buffer.concat(partes);
+  const fim = Buffer.alloc(22);
+  fim.writeUInt32LE(0x06054b50, 0);
+  fim.writeUInt16LE(entradas.length, 8);
+  fim.writeUInt16LE(entradas.length, 10);
+  fim.writeUInt32LE(indice.length, 12);
+  fim.writeUInt32LE(inicioIndice, 16);
+  return Buffer.concat([indice, fim]);
+}
+
+/**
+ * Zip em stream: cada arquivo é comprimido à medida que o conteúdo chega
+ * @param {Array<{nome: string, conteudo: string|AsyncIterable<string>}>} arquivos
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* zipEmStream(arquivos) {
+  const data = dataDOS(new Date());
+  const entradas = [];
+  let posicao = 0;
+
+  for (const { nome, conteudo } of arquivos) {
+    const entrada = { nome, posicao, crc: 0, comprimido: 0, original: 0 };
+    const cabecalho = cabecalhoLocal(nome, data);
+    yield cabecalho;
+    posicao += cabecalho.length;
+
+    // CRC e tamanho calculados sobre o conteúdo original, antes de comprimir
+    const origem = typeof conteudo === 'string' ? [conteudo] : conteudo;
+    const original = Readable.from((async function* () {
+      for await (const texto of origem) {
+        const buffer = Buffer.from(texto, 'utf8');
+        entrada.crc = crc32(buffer, entrada.crc);
+        entrada.original += buffer.length;
+        yield buffer;
+      }
+    })());
+
+    for await (const comprimido of original.pipe(zlib.createDeflateRaw())) {
+      entrada.comprimido += comprimido.length;
+      yield comprimido;
+    }
+
+    const fimDaEntrada = descritor(entrada);
+    yield fimDaEntrada;
+    posicao += entrada.comprimido + fimDaEntrada.length;
+    entradas.push(entrada);
+  }
+
+  yield indiceCentral(entradas, posicao, data);
+}
+
+// -------------------------------------------
+// XLSX
+// -------------------------------------------
+
+// Caracteres de controle não são aceitos em XML
+function escaparXML(valor) {
+  return String(valor)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Coluna 0 → "A", 26 → "AA"
+function letraDaColuna(indice) {
+  let letra = '';
+  for (let n = indice + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letra = String.fromCharCode(65 + ((n - 1) % 26)) + letra;
+  }
+  return letra;
+}
+
+function linhaXML(valores, numero) {
+  const celulas = valores.map((valor, i) => {
+    if (valor === null || valor === undefined || valor === '') return '';
+    const ref = `${letraDaColuna(i)}${numero}`;
+    if (typeof valor === 'number' && Number.isFinite(valor)) return `<c r="${ref}"><v>${valor}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escaparXML(valor)}</t></is></c>`;
+  });
+  return `<row r="${numero}">${celulas.join('')}</row>`;
+}
+
+const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+  + '</Types>';
+
+const RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+  + '</Relationships>';
+
+const WORKBOOK_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+  + '</Relationships>';
+
+function workbookXML(aba) {
+  // Nome de aba: até 31 caracteres, sem : \ / ? * [ ]
+  const nome = escaparXML(String(aba).replace(/[:\\/?*[\]]/g, ' ').slice(0, 31));
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + `<sheets><sheet name="${nome}" sheetId="1" r:id="rId1"/></sheets>`
+    + '</workbook>';
+}
+
+/**
+ * XLSX de uma aba, linha a linha
+ * Passando do limite do Excel, as linhas restantes são descartadas.
+ * @param {AsyncIterable<Array<string|number|null>>|Iterable<Array<string|number|null>>} linhas - Valores de cada linha
+ * @param {{aba?: string, cabecalhos?: string[], larguras?: number[]}} [opcoes] - larguras em caracteres
+ * @returns {AsyncGenerator<Buffer>} Bytes do arquivo .xlsx
+ */
+export function planilhaEmStream(linhas, { aba = 'Planilha1', cabecalhos = [], larguras = [] } = {}) {
+  async function* abaXML() {
+    yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">';
+    if (larguras.length > 0) {
+      yield `<cols>${larguras.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>`;
+    }
+    yield '<sheetData>';
+
+    let numero = 0;
+    if (cabecalhos.length > 0) yield linhaXML(cabecalhos, ++numero);
+
+    let pedaco = [];
+    for await (const valores of linhas) {
+      if (numero >= LINHAS_MAXIMAS_XLSX) break;
+      pedaco.push(linhaXML(valores, ++numero));
+      if (pedaco.length >= LINHAS_POR_PEDACO) {
+        yield pedaco.join('');
+        pedaco = [];
+      }
+    }
+    if (pedaco.length > 0) yield pedaco.join('');
+
+    yield '</sheetData></worksheet>';
+  }
+
+  return zipEmStream([
+    { nome: '[Content_Types].xml', conteudo: CONTENT_TYPES },
+    { nome: '_rels/.rels', conteudo: RELS },
+    { nome: 'xl/workbook.xml', conteudo: workbookXML(aba) },
+    { nome: 'xl/_rels/workbook.xml.rels', conteudo: WORKBOOK_RELS },
+    { nome: 'xl/worksheets/sheet1.xml', conteudo: abaXML() }
+  ]);
+}
+
+export default {
+  LINHAS_MAXIMAS_XLSX,
+  planilhaEmStream,
+};